@@ -0,0 +1,92 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { findOutlineNumber, stripOutlineNumber } from "./headingNumbering";
+
+// Word bookmark names start with a letter, use letters, digits and underscores, and are at most 40 characters
+export const BOOKMARK_NAME_LIMIT = 40;
+
+// Prefix of the bookmarks created for headings from the cross-reference panel
+export const CROSS_REFERENCE_BOOKMARK_PREFIX = "Sec_";
+
+// How an inserted cross-reference reads: "Section 4.2", "Introduction" or "Section 4.2 Introduction"
+export const CROSS_REFERENCE_FORMATS = {
+  number: "number",
+  title: "title",
+  numberAndTitle: "numberAndTitle",
+};
+
+// "Section 4.2", "section 3", "Sections 2.1", "§ 5.1", "Appendix B" and "Appendix A.2"
+const SECTION_REFERENCE_PATTERN = /(\bSections?|§|\bAppendix)[ \t\u00a0]*(\d+(?:\.\d+)*|[A-Z](?:\.\d+)*)\b/gi;
+
+// A bookmark name for a heading that is not in `existingNames`, such as Sec_4_2_Scope
+export function bookmarkNameForHeading(item, existingNames = []) {
+  const number = (item.outlineNumber || findOutlineNumber(item.text).trim()).replace(/\.$/, "");
+  const words = stripOutlineNumber(item.text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  const parts = [number.replace(/\./g, "_"), words].filter(Boolean);
+  const base = (CROSS_REFERENCE_BOOKMARK_PREFIX + (parts.join("_") || "Heading"))
+    .slice(0, BOOKMARK_NAME_LIMIT)
+    .replace(/_+$/, "");
+
+  const taken = new Set(existingNames.map((name) => name.toLowerCase()));
+  let name = base;
+  for (let suffix = 2; taken.has(name.toLowerCase()); suffix++) {
+    name = `${base.slice(0, BOOKMARK_NAME_LIMIT - String(suffix).length - 1)}_${suffix}`;
+  }
+  return name;
+}
+
+// Visible text of a cross-reference to a heading in the given format
+export function crossReferenceText(item, format = CROSS_REFERENCE_FORMATS.numberAndTitle) {
+  const title = stripOutlineNumber(item.text).trim();
+  const number = (item.outlineNumber || findOutlineNumber(item.text).trim()).replace(/\.$/, "");
+  const label = number ? `${/^[A-Z]/.test(number) ? "Appendix" : "Section"} ${number}` : "";
+
+  if (format === CROSS_REFERENCE_FORMATS.title || !label) {
+    return title;
+  }
+  return format === CROSS_REFERENCE_FORMATS.number ? label : `${label} ${title}`;
+}
+
+// Textual section references in a piece of text: [{ text, number, index }], where index is the
+// offset of the match and number the referenced outline number ("4.2", "B")
+export function findSectionReferences(text) {
+  const references = [];
+  for (const match of (text || "").matchAll(SECTION_REFERENCE_PATTERN)) {
+    const isAppendix = match[1].toLowerCase() === "appendix";
+    // Letters only make sense for appendices ("Section A" is just a word)
+    if (!isAppendix && /^[A-Z]/i.test(match[2])) {
+      continue;
+    }
+    references.push({ text: match[0], number: match[2].toUpperCase(), index: match.index });
+  }
+  return references;
+}
+
+// Outline numbers a reference may point at: the pane's computed numbers and any numbers typed into
+// the heading text
+export function collectHeadingNumbers(items) {
+  const numbers = new Set();
+  items.forEach((item) => {
+    if (item.outlineNumber) {
+      numbers.add(item.outlineNumber.toUpperCase());
+    }
+    const typed = findOutlineNumber(item.text).trim().replace(/\.$/, "");
+    if (typed) {
+      numbers.add(typed.toUpperCase());
+    }
+  });
+  return numbers;
+}
+
+// References (from findSectionReferences) whose number matches no heading
+export function findStaleReferences(references, items) {
+  const numbers = collectHeadingNumbers(items);
+  return references.filter((reference) => !numbers.has(reference.number));
+}
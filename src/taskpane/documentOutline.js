@@ -0,0 +1,345 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { levelFromStyleName, resolveHeadingLevel } from "./headingLevels";
+import { HEADING_TEXT_LIMIT } from "./headingLint";
+import { countWords, scanHeadings } from "./headingScanner";
+import { parseSectionTag } from "./sectionControls";
+
+// Reading the outline and the section around the cursor from the document. These functions take
+// a Word request context and resolve to plain data without touching the task pane, so the pane
+// renders what they return and tests run them against a mocked Word API.
+
+// The document's TOC items, in document order. Section content controls are used when the document
+// has any; otherwise every heading paragraph is scanned for, with its range tracked in `context`
+// so it keeps pointing at the heading as the document is edited.
+//
+// Options: headingStyleMap (custom style mapping), onProgress and signal (see scanHeadings).
+// Resolves to { items, cancelled }. Items are
+//   { text, level, style, index, type: "contentControl" | "paragraph", start, end, wordCount }
+// plus controlId and sectionId for section controls and range for paragraphs.
+export async function readTableOfContents(context, { headingStyleMap = [], onProgress = null, signal = null } = {}) {
+  let items = [];
+
+  try {
+    items = await readSectionControlItems(context);
+  } catch (error) {
+    console.warn("Content controls approach failed:", error);
+  }
+  if (items.length > 0) {
+    return { items, cancelled: false };
+  }
+
+  // Scan the whole body in batches, crediting body text to the heading it follows
+  const scan = await scanHeadings(context, {
+    resolveLevel: (paragraph) => resolveHeadingLevel(paragraph, headingStyleMap),
+    acceptHeading: (text) => Boolean(text) && text.length < HEADING_TEXT_LIMIT,
+    countWords: true,
+    onProgress: onProgress,
+    signal: signal,
+  });
+  console.log(`Scanned ${scan.paragraphCount} paragraphs`);
+
+  items = scan.headings.map((heading, index) => {
+    context.trackedObjects.add(heading.range);
+    return {
+      text: heading.text,
+      level: heading.level,
+      style: heading.style,
+      index: index,
+      type: "paragraph",
+      range: heading.range,
+      start: heading.range.start,
+      end: heading.range.end,
+      wordCount: heading.wordCount,
+    };
+  });
+  await context.sync();
+
+  return { items, cancelled: scan.cancelled };
+}
+
+// TOC items for the section content controls in the document
+async function readSectionControlItems(context) {
+  const contentControls = context.document.contentControls;
+  context.load(contentControls, "items/id, items/tag");
+  await context.sync();
+
+  // Section controls carry a section:<id>:<level> tag; any other control is not a heading
+  const sections = contentControls.items
+    .map((control) => ({ control, section: parseSectionTag(control.tag) }))
+    .filter((entry) => entry.section);
+  if (sections.length === 0) {
+    return [];
+  }
+
+  // Load each control's range position and first paragraph
+  sections.forEach((entry) => {
+    entry.range = entry.control.getRange();
+    context.load(entry.range, "start, end");
+    entry.heading = entry.control.paragraphs.getFirst();
+    context.load(entry.heading, "text");
+  });
+  await context.sync();
+
+  const items = [];
+  sections.forEach(({ control, section, range, heading }) => {
+    const text = heading.text ? heading.text.trim() : "";
+    if (text) {
+      items.push({
+        text: text,
+        level: section.level,
+        style: `Section (Heading ${section.level})`,
+        index: items.length,
+        type: "contentControl",
+        controlId: control.id,
+        sectionId: section.id,
+        start: range.start,
+        end: range.end,
+      });
+    }
+  });
+
+  if (items.length > 0) {
+    await countWordsByControlSection(context, items);
+  }
+  return items;
+}
+
+// Credit body paragraph words to the innermost section control holding them
+export async function countWordsByControlSection(context, tocItems) {
+  const itemsByControlId = new Map(tocItems.map((item) => [item.controlId, item]));
+  tocItems.forEach((item) => {
+    item.wordCount = 0;
+  });
+
+  const paragraphs = context.document.body.paragraphs;
+  context.load(paragraphs, "items/text");
+  await context.sync();
+
+  const parentControls = paragraphs.items.map((para) => {
+    const control = para.parentContentControlOrNullObject;
+    context.load(control, "id");
+    return control;
+  });
+  await context.sync();
+
+  // The first paragraph of a section control is its heading; paragraphs in other controls
+  // (such as inserted drafts) count toward the section they appear in
+  const seenControls = new Set();
+  let currentItem = null;
+  paragraphs.items.forEach((para, i) => {
+    const control = parentControls[i];
+    const sectionItem = control.isNullObject ? null : itemsByControlId.get(control.id);
+
+    if (sectionItem && !seenControls.has(control.id)) {
+      seenControls.add(control.id);
+      currentItem = sectionItem;
+    } else if (sectionItem) {
+      sectionItem.wordCount += countWords(para.text);
+    } else if (currentItem) {
+      currentItem.wordCount += countWords(para.text);
+    }
+  });
+}
+
+// Headings at the level of `headingStyle`, including custom styles mapped to that level, sorted by
+// position as { title, start, end, style }. Ranges and paragraphs belong to this request context, so
+// they are only included (as `range` and `paragraph`) when `includeRanges` is set.
+export async function findHeadingsByStyle(context, headingStyle, options = {}) {
+  let headings = [];
+
+  try {
+    const boundaryLevel = levelFromStyleName(headingStyle);
+    const scan = await scanHeadings(context, {
+      resolveLevel: (paragraph) => resolveHeadingLevel(paragraph, options.headingStyleMap || []),
+      matchLevel: (level) => level === boundaryLevel,
+      onProgress: options.onProgress,
+      signal: options.signal,
+    });
+    console.log(`Scanned ${scan.paragraphCount} paragraphs for ${headingStyle}`);
+
+    headings = scan.headings.map((heading) => ({
+      title: heading.text,
+      start: heading.start,
+      end: heading.end,
+      style: heading.style,
+      ...(options.includeRanges ? { range: heading.range, paragraph: heading.paragraph } : {}),
+    }));
+  } catch (error) {
+    console.error("Error finding headings:", error);
+  }
+
+  headings.sort((a, b) => a.start - b.start);
+  return headings;
+}
+
+// Number of body paragraphs whose style puts them at `level`, read from paragraph styles alone.
+// Where paragraph change events are missing, this is how an added or removed heading is noticed
+// without loading the document text.
+export async function countHeadingParagraphs(context, level, headingStyleMap = []) {
+  const paragraphs = context.document.body.paragraphs;
+  context.load(paragraphs, "items/styleBuiltIn, items/style, items/outlineLevel");
+  await context.sync();
+
+  return paragraphs.items.filter((paragraph) => resolveHeadingLevel(paragraph, headingStyleMap) === level).length;
+}
+
+// Cached headings from findHeadingsByStyle (with includeRanges, tracked in this context) with their
+// start and end re-read from the ranges, which Word keeps adjusted as the document is edited.
+//
+// With `verify` set, also checks that every heading paragraph still resolves to `level` and still
+// has the cached text, and resolves to null when one does not so the caller rescans.
+export async function refreshSectionHeadings(context, headings, { level, headingStyleMap = [], verify = false } = {}) {
+  headings.forEach((heading) => {
+    context.load(heading.range, "start, end");
+    if (verify) {
+      context.load(heading.paragraph, "text, styleBuiltIn, style, outlineLevel");
+    }
+  });
+  await context.sync();
+
+  const changed =
+    verify &&
+    headings.some(
+      ({ title, paragraph }) =>
+        (paragraph.text || "").trim() !== title || resolveHeadingLevel(paragraph, headingStyleMap) !== level
+    );
+  if (changed) {
+    return null;
+  }
+
+  return headings.map((heading) => ({ ...heading, start: heading.range.start, end: heading.range.end }));
+}
+
+// Current start of each TOC item: paragraph items from their tracked ranges, section control items
+// by looking the control up again. Items whose heading can no longer be found keep their old start.
+export async function readTocItemPositions(context, items) {
+  const controls = items.map((item) => {
+    if (item.controlId === undefined) {
+      return null;
+    }
+    const control = context.document.contentControls.getByIdOrNullObject(item.controlId);
+    context.load(control, "isNullObject");
+    return control;
+  });
+  if (controls.some(Boolean)) {
+    await context.sync();
+  }
+
+  const ranges = items.map((item, index) => {
+    const control = controls[index];
+    const range = control ? (control.isNullObject ? null : control.getRange()) : item.range || null;
+    if (range) {
+      context.load(range, "start");
+    }
+    return range;
+  });
+  await context.sync();
+
+  return items.map((item, index) => (ranges[index] ? ranges[index].start : item.start));
+}
+
+// The last heading starting at or before the position, or null when the position is before the first one
+export function findSectionFromPosition(cursorPosition, sectionHeadings) {
+  let currentSection = null;
+
+  for (let i = 0; i < sectionHeadings.length; i++) {
+    const heading = sectionHeadings[i];
+
+    // If cursor is after this heading start
+    if (cursorPosition >= heading.start) {
+      // Check if there's a next heading
+      const nextHeading = sectionHeadings[i + 1];
+
+      // If no next heading, or cursor is before next heading
+      if (!nextHeading || cursorPosition < nextHeading.start) {
+        currentSection = heading;
+        break;
+      }
+    }
+  }
+
+  return currentSection;
+}
+
+// The section control at `level` that holds the selection, with its id and heading paragraph loaded.
+// Resolves to { control, id, heading } or null when the selection is not inside such a section.
+export async function findEnclosingSectionControl(context, selection, level) {
+  const controls = context.document.contentControls;
+  controls.load("items/id, items/tag");
+  await context.sync();
+
+  // Sections at one level never overlap, so at most one of them contains the selection
+  const candidates = controls.items.filter((control) => {
+    const section = parseSectionTag(control.tag);
+    return section && section.level === level;
+  });
+  const relations = candidates.map((control) => control.getRange().compareLocationWith(selection));
+  await context.sync();
+
+  const position = relations.findIndex((relation) =>
+    [Word.LocationRelation.contains, Word.LocationRelation.containsStart, Word.LocationRelation.equal].includes(
+      relation.value
+    )
+  );
+  if (position < 0) {
+    return null;
+  }
+
+  const control = candidates[position];
+  const heading = control.paragraphs.getFirst();
+  context.load(heading, "text");
+  await context.sync();
+  return { control, id: parseSectionTag(control.tag).id, heading };
+}
+
+// The section around the cursor: the section control at the boundary level that holds it, or else
+// the closest boundary heading before it.
+//
+// Options: headingStyleMap, and loadSectionHeadings(context, style) to supply the boundary headings
+// (such as from a cache); by default they are scanned with findHeadingsByStyle.
+//
+// Resolves to { cursorPosition, section, headingCount } where section is null before the first
+// boundary and headingCount is the number of boundary headings looked at (null when a section
+// control was found first). Content control sections are
+//   { title, start, end, style, type: "contentControl", id }
+// and heading sections are the heading found by findHeadingsByStyle.
+export async function readCurrentSection(context, sectionHeadingStyle, options = {}) {
+  const selection = context.document.getSelection();
+  context.load(selection, "start");
+  await context.sync();
+
+  const cursorPosition = selection.start;
+  const boundaryLevel = levelFromStyleName(sectionHeadingStyle);
+
+  const control = await findEnclosingSectionControl(context, selection, boundaryLevel);
+  if (control) {
+    return {
+      cursorPosition: cursorPosition,
+      section: {
+        title: control.heading.text.trim() || `Section ${control.id}`,
+        start: cursorPosition,
+        end: cursorPosition,
+        style: `Section control (level ${boundaryLevel})`,
+        type: "contentControl",
+        id: control.control.id,
+      },
+      headingCount: null,
+    };
+  }
+
+  const loadSectionHeadings =
+    options.loadSectionHeadings ||
+    ((requestContext, style) =>
+      findHeadingsByStyle(requestContext, style, { headingStyleMap: options.headingStyleMap || [] }));
+  const sectionHeadings = await loadSectionHeadings(context, sectionHeadingStyle);
+
+  return {
+    cursorPosition: cursorPosition,
+    section: findSectionFromPosition(cursorPosition, sectionHeadings),
+    headingCount: sectionHeadings.length,
+  };
+}
@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Built-in Word document properties shown in the properties panel, in display order.
+// Read-only ones are maintained by Word itself.
+export const BUILT_IN_PROPERTIES = [
+  { key: "title", label: "Title", editable: true },
+  { key: "subject", label: "Subject", editable: true },
+  { key: "author", label: "Author", editable: true },
+  { key: "manager", label: "Manager", editable: true },
+  { key: "company", label: "Company", editable: true },
+  { key: "category", label: "Category", editable: true },
+  { key: "keywords", label: "Keywords", editable: true },
+  { key: "comments", label: "Comments", editable: true },
+  { key: "creationDate", label: "Created", editable: false, type: "date" },
+  { key: "lastSaveTime", label: "Modified", editable: false, type: "date" },
+  { key: "lastAuthor", label: "Last modified by", editable: false },
+  { key: "lastPrintDate", label: "Last printed", editable: false, type: "date" },
+  { key: "revisionNumber", label: "Revision", editable: false },
+  { key: "template", label: "Template", editable: false },
+];
+
+// Sets of properties a document must carry. Built-in entries refer to BUILT_IN_PROPERTIES keys;
+// custom entries are created as custom properties when a template is applied.
+export const PROPERTY_TEMPLATES = [
+  {
+    id: "controlled",
+    name: "Controlled document",
+    properties: [
+      { key: "title", builtIn: true },
+      { key: "author", builtIn: true },
+      { key: "Document ID", defaultValue: "" },
+      { key: "Classification", defaultValue: "Internal", allowedValues: ["Public", "Internal", "Confidential"] },
+      { key: "Owner", defaultValue: "" },
+    ],
+  },
+  {
+    id: "specification",
+    name: "Specification",
+    properties: [
+      { key: "title", builtIn: true },
+      { key: "subject", builtIn: true },
+      { key: "category", builtIn: true },
+      { key: "Document ID", defaultValue: "" },
+      { key: "Classification", defaultValue: "Internal", allowedValues: ["Public", "Internal", "Confidential"] },
+      { key: "Spec Version", defaultValue: "0.1" },
+    ],
+  },
+];
+
+// Names of the BUILT_IN_PROPERTIES keys, comma-separated for context.load
+export const BUILT_IN_PROPERTY_LOAD = BUILT_IN_PROPERTIES.map((property) => property.key).join(", ");
+
+// Required properties of a template that are empty or hold a value outside their allowed list.
+// `values` is { builtIn: { title: ... }, custom: { "Document ID": ... } }.
+// Returns [{ key, builtIn, reason: "missing" | "invalid", allowedValues }].
+export function findMissingProperties(template, values) {
+  return template.properties
+    .map((required) => {
+      const source = required.builtIn ? values.builtIn : values.custom;
+      const value = source ? source[required.key] : undefined;
+      const text = value === undefined || value === null ? "" : String(value).trim();
+
+      if (!text) {
+        return { ...required, builtIn: Boolean(required.builtIn), reason: "missing" };
+      }
+      if (required.allowedValues && !required.allowedValues.includes(text)) {
+        return { ...required, builtIn: Boolean(required.builtIn), reason: "invalid" };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Custom properties a template would add: those it requires that the document does not have yet
+export function customPropertiesToAdd(template, customValues) {
+  return template.properties
+    .filter((required) => !required.builtIn && !Object.prototype.hasOwnProperty.call(customValues, required.key))
+    .map((required) => ({ key: required.key, value: required.defaultValue || "" }));
+}
+
+// Convert text typed in the panel back to the custom property's existing type. Throws when the text
+// does not read as that type, since saving it as text would change the property's type.
+export function coerceCustomPropertyValue(type, text) {
+  const trimmed = text.trim();
+  switch (type) {
+    case "Number": {
+      const number = Number(trimmed);
+      if (trimmed === "" || isNaN(number)) {
+        throw new Error(`"${text}" is not a number`);
+      }
+      return number;
+    }
+    case "Boolean":
+      if (/^(true|yes|1)$/i.test(trimmed)) {
+        return true;
+      }
+      if (/^(false|no|0)$/i.test(trimmed)) {
+        return false;
+      }
+      throw new Error(`"${text}" is not yes or no`);
+    case "Date": {
+      const time = Date.parse(trimmed);
+      if (isNaN(time)) {
+        throw new Error(`"${text}" is not a date`);
+      }
+      return new Date(time);
+    }
+    default:
+      return text;
+  }
+}
+
+// Display text for a property value
+export function formatPropertyValue(value, type) {
+  if (value === undefined || value === null || value === "") {
+    return "";
+  }
+  if (type === "date" || type === "Date" || value instanceof Date) {
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+  }
+  return String(value);
+}
@@ -0,0 +1,208 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Where a document lives, as reported by Office.context.document.url
+export const DocumentLocation = {
+  sharePoint: "sharepoint",
+  oneDriveForBusiness: "onedrive-business",
+  oneDrivePersonal: "onedrive-personal",
+  local: "local",
+  web: "web",
+  unknown: "unknown",
+};
+
+// <tenant>.sharepoint.com, <tenant>-my.sharepoint.com and the sovereign cloud variants
+const SHAREPOINT_HOST_PATTERN = /^([a-z0-9-]+?)(-my)?\.sharepoint\.(com|us|de|cn)$/i;
+
+// Consumer OneDrive hosts
+const ONEDRIVE_PERSONAL_HOSTS = ["d.docs.live.net", "onedrive.live.com", "1drv.ms"];
+
+// Managed paths that start a site collection: /sites/<name>, /teams/<name>, /personal/<user>
+const SITE_COLLECTION_PREFIXES = ["sites", "teams", "personal"];
+
+// Split a document URL or file path into its parts. Never throws; unrecognized input comes
+// back with kind "unknown" and only the fields that could be worked out.
+//
+// Returns { kind, url, host, tenant, siteCollection, library, folderPath, fileName, extension }
+// where siteCollection is a server-relative path ("/sites/Eng", "/personal/jane_contoso_com", "/"),
+// folderPath is relative to the library, and all path parts are percent-decoded.
+export function parseDocumentUrl(url) {
+  const result = {
+    kind: DocumentLocation.unknown,
+    url: url || "",
+    host: null,
+    tenant: null,
+    siteCollection: null,
+    library: null,
+    folderPath: null,
+    fileName: null,
+    extension: null,
+  };
+
+  const input = (url || "").trim();
+  if (!input) {
+    return result;
+  }
+
+  if (isLocalPath(input)) {
+    return parseLocalPath(input, result);
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(input);
+  } catch (error) {
+    return result;
+  }
+
+  result.host = parsed.hostname.toLowerCase();
+  const sharePointHost = result.host.match(SHAREPOINT_HOST_PATTERN);
+
+  if (sharePointHost) {
+    result.kind = sharePointHost[2] ? DocumentLocation.oneDriveForBusiness : DocumentLocation.sharePoint;
+    result.tenant = sharePointHost[1];
+    return parseSharePointPath(parsed, result);
+  }
+
+  if (ONEDRIVE_PERSONAL_HOSTS.includes(result.host)) {
+    result.kind = DocumentLocation.oneDrivePersonal;
+    // d.docs.live.net/<cid>/<path>: the first segment is the drive id, the rest the file path
+    const segments = pathSegments(parsed.pathname);
+    if (result.host === "d.docs.live.net" && segments.length > 1) {
+      result.siteCollection = `/${segments[0]}`;
+      setFilePath(result, segments.slice(1));
+    }
+    return result;
+  }
+
+  result.kind = DocumentLocation.web;
+  setFilePath(result, pathSegments(parsed.pathname));
+  return result;
+}
+
+// Human-readable location such as "SharePoint › /sites/Eng › Shared Documents › Specs"
+export function describeDocumentLocation(location) {
+  const labels = {
+    [DocumentLocation.sharePoint]: "SharePoint",
+    [DocumentLocation.oneDriveForBusiness]: "OneDrive for Business",
+    [DocumentLocation.oneDrivePersonal]: "OneDrive",
+    [DocumentLocation.local]: "Local file",
+    [DocumentLocation.web]: "Web",
+    [DocumentLocation.unknown]: "Unknown location",
+  };
+
+  return [labels[location.kind], location.siteCollection, location.library, location.folderPath]
+    .filter(Boolean)
+    .join(" › ");
+}
+
+function parseSharePointPath(parsed, result) {
+  let segments = pathSegments(parsed.pathname);
+
+  // Sharing links: /:w:/r/<server-relative path> points at the file, while
+  // /:w:/s/<site>/<token> and /:w:/g/... only name a share token
+  if (segments.length > 0 && /^:[a-z]:$/i.test(segments[0])) {
+    const linkType = segments[1];
+    segments = segments.slice(2);
+
+    if (linkType !== "r") {
+      if (linkType === "s" && segments.length > 0) {
+        result.siteCollection = `/sites/${segments[0]}`;
+      } else if (linkType === "p" && segments.length > 0) {
+        result.siteCollection = `/personal/${segments[0]}`;
+      }
+      return result;
+    }
+  }
+
+  // Site collection
+  if (segments.length >= 2 && SITE_COLLECTION_PREFIXES.includes(segments[0].toLowerCase())) {
+    result.siteCollection = `/${segments[0]}/${segments[1]}`;
+    segments = segments.slice(2);
+  } else {
+    result.siteCollection = "/";
+  }
+
+  // Office Online links (_layouts/15/Doc.aspx?sourcedoc=...&file=Spec.docx) only carry the file name
+  const layoutsIndex = segments.findIndex((segment) => segment.toLowerCase() === "_layouts");
+  if (layoutsIndex >= 0) {
+    const file = parsed.searchParams.get("file");
+    if (file) {
+      setFileName(result, file);
+    }
+    return result;
+  }
+
+  if (segments.length === 0) {
+    return result;
+  }
+
+  result.library = segments[0];
+  setFilePath(result, segments.slice(1), true);
+  return result;
+}
+
+// Treat the last segment as the file and everything before it as folders
+function setFilePath(result, segments, emptyFolderAsRoot = false) {
+  if (segments.length === 0) {
+    return;
+  }
+
+  setFileName(result, segments[segments.length - 1]);
+  const folders = segments.slice(0, -1);
+  result.folderPath = folders.length > 0 ? folders.join("/") : emptyFolderAsRoot ? "" : null;
+}
+
+function setFileName(result, fileName) {
+  result.fileName = fileName;
+  const dot = fileName.lastIndexOf(".");
+  result.extension = dot > 0 && dot < fileName.length - 1 ? fileName.slice(dot + 1).toLowerCase() : null;
+}
+
+// Percent-decoded, non-empty path segments
+function pathSegments(pathname) {
+  return pathname
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => safeDecode(segment));
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// Drive-letter paths, UNC shares, POSIX paths and file:// URLs
+function isLocalPath(input) {
+  return /^[a-z]:[\\/]/i.test(input) || input.startsWith("\\\\") || input.startsWith("/") || /^file:/i.test(input);
+}
+
+function parseLocalPath(input, result) {
+  result.kind = DocumentLocation.local;
+
+  let path = input;
+  if (/^file:/i.test(path)) {
+    // file:///C:/Docs/Spec.docx and file://server/share/Spec.docx
+    path = safeDecode(path.replace(/^file:\/*/i, ""));
+    if (!/^[a-z]:/i.test(path)) {
+      path = input.startsWith("file:///") ? `/${path}` : `\\\\${path}`;
+    }
+  }
+
+  const segments = path.split(/[\\/]+/).filter(Boolean);
+  if (path.startsWith("\\\\") && segments.length > 0) {
+    result.host = segments[0];
+  }
+
+  setFileName(result, segments[segments.length - 1] || "");
+  result.folderPath = path.slice(0, path.length - result.fileName.length).replace(/[\\/]+$/, "");
+  if (!result.fileName) {
+    result.fileName = null;
+  }
+  return result;
+}
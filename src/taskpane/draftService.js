@@ -0,0 +1,277 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Client for the draft service (the /draft/* endpoints behind API Gateway).
+// Configuration is passed in rather than hard-coded so the pane, and tests against a
+// local mock server, can point it anywhere.
+
+export const DEFAULT_DRAFT_SERVICE_CONFIG = {
+  baseUrl: "https://k43riamgd3.execute-api.us-east-2.amazonaws.com",
+  key: "demo_cuvitru",
+  base: "usercache",
+  savePath: "/draft/save/",
+  timeoutMs: 10000,
+  retries: 2,
+  retryDelayMs: 500,
+};
+
+export const GET_ALL_DRAFTS_PATH = "/draft/getAll/";
+
+// Base class for everything the client throws, so callers can catch draft-service failures as one type
+export class DraftServiceError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "DraftServiceError";
+    this.url = details.url || null;
+    this.retryable = Boolean(details.retryable);
+  }
+}
+
+// The server did not answer within the configured timeout
+export class DraftServiceTimeoutError extends DraftServiceError {
+  constructor(url, timeoutMs) {
+    super(`Request to ${url} timed out after ${timeoutMs} ms`, { url, retryable: true });
+    this.name = "DraftServiceTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// The request never reached the server (offline, DNS, CORS rejection, ...)
+export class DraftServiceNetworkError extends DraftServiceError {
+  constructor(url, cause) {
+    super(`Could not reach ${url}: ${cause.message}`, { url, retryable: true });
+    this.name = "DraftServiceNetworkError";
+    this.cause = cause;
+  }
+}
+
+// The server answered with a non-2xx status
+export class DraftServiceHttpError extends DraftServiceError {
+  constructor(url, status, statusText, body) {
+    super(`Draft service returned ${status} ${statusText}`.trim(), {
+      url,
+      retryable: status >= 500 || status === 429,
+    });
+    this.name = "DraftServiceHttpError";
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+  }
+}
+
+// The server refused a save because the draft changed since it was loaded (HTTP 409).
+// `current` is the server's copy of the draft when the response includes one.
+export class DraftServiceConflictError extends DraftServiceHttpError {
+  constructor(url, statusText, body) {
+    super(url, 409, statusText, body);
+    this.name = "DraftServiceConflictError";
+    this.current = parseConflictBody(body);
+  }
+}
+
+// The server answered 2xx but the payload is not what the client expects
+export class DraftServiceSchemaError extends DraftServiceError {
+  constructor(url, message, payload) {
+    super(`Unexpected response from ${url}: ${message}`, { url });
+    this.name = "DraftServiceSchemaError";
+    this.payload = payload;
+  }
+}
+
+// Create a client bound to one configuration. `fetchImpl` and `sleep` are injectable for tests.
+export function createDraftServiceClient(config = {}, { fetchImpl, sleep = delay } = {}) {
+  const settings = { ...DEFAULT_DRAFT_SERVICE_CONFIG, ...config };
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+
+  // POST a JSON body. With `retry` set, retryable failures are retried with exponential backoff;
+  // only requests that are safe to send twice should set it.
+  async function postJson(path, body, { retry = false } = {}) {
+    const url = joinUrl(settings.baseUrl, path);
+    const retries = retry ? settings.retries : 0;
+    let attempt = 0;
+
+    for (;;) {
+      try {
+        return await requestOnce(url, body);
+      } catch (error) {
+        if (!(error instanceof DraftServiceError) || !error.retryable || attempt >= retries) {
+          throw error;
+        }
+
+        const waitMs = settings.retryDelayMs * Math.pow(2, attempt);
+        console.warn(`Draft service request failed (${error.message}); retrying in ${waitMs} ms`);
+        attempt++;
+        await sleep(waitMs);
+      }
+    }
+  }
+
+  async function requestOnce(url, body) {
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    let timer = null;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (controller) {
+          controller.abort();
+        }
+        reject(new DraftServiceTimeoutError(url, settings.timeoutMs));
+      }, settings.timeoutMs);
+    });
+
+    const request = (async () => {
+      let response;
+      try {
+        response = await doFetch(url, {
+          method: "POST",
+          headers: {
+            Accept: "application/json",
+            "Content-Type": "application/json",
+          },
+          mode: "cors",
+          body: JSON.stringify(body),
+          signal: controller ? controller.signal : undefined,
+        });
+      } catch (error) {
+        throw new DraftServiceNetworkError(url, error);
+      }
+
+      // Read the body once as text so it can be reported even when it is not JSON
+      const text = await response.text();
+      if (response.status === 409) {
+        throw new DraftServiceConflictError(url, response.statusText || "", text);
+      }
+      if (!response.ok) {
+        throw new DraftServiceHttpError(url, response.status, response.statusText || "", text);
+      }
+
+      try {
+        return text ? JSON.parse(text) : null;
+      } catch (parseError) {
+        throw new DraftServiceSchemaError(url, "response is not valid JSON", text);
+      }
+    })();
+
+    try {
+      return await Promise.race([request, timeout]);
+    } finally {
+      clearTimeout(timer);
+      // The losing promise may still reject later; it has already been reported
+      request.catch(() => {});
+    }
+  }
+
+  return {
+    config: settings,
+
+    // Fetch every draft for the configured key/base
+    async getAllDrafts() {
+      const url = joinUrl(settings.baseUrl, GET_ALL_DRAFTS_PATH);
+      const payload = await postJson(GET_ALL_DRAFTS_PATH, { key: settings.key, base: settings.base }, { retry: true });
+      return parseDraftList(payload, url);
+    },
+
+    // Save a serialized draft. Pass the version it was loaded at as `baseVersion` so the
+    // service can reject stale saves with a conflict. Saves are never retried: one that timed out
+    // may still have been stored, and posting it again would create a duplicate draft.
+    async saveDraft(draft) {
+      const payload = await postJson(settings.savePath, { key: settings.key, base: settings.base, draft: draft });
+      return payload || {};
+    },
+  };
+}
+
+// Validate a /draft/getAll/ payload and normalize it to { id, title, author, date, content, raw } drafts.
+// The service has returned both a bare array and an array wrapped in drafts/items/data.
+export function parseDraftList(payload, url = GET_ALL_DRAFTS_PATH) {
+  let list = payload;
+  if (payload && !Array.isArray(payload) && typeof payload === "object") {
+    list = payload.drafts || payload.items || payload.data;
+  }
+
+  if (!Array.isArray(list)) {
+    throw new DraftServiceSchemaError(url, "expected an array of drafts", payload);
+  }
+
+  return list.map((draft, index) => {
+    if (!draft || typeof draft !== "object") {
+      throw new DraftServiceSchemaError(url, `draft ${index} is not an object`, payload);
+    }
+
+    const id = firstDefined(draft, ["id", "draftId", "_id", "key"]);
+    if (typeof id !== "string" && typeof id !== "number") {
+      throw new DraftServiceSchemaError(url, `draft ${index} has no id`, payload);
+    }
+
+    return {
+      id: String(id),
+      title: String(firstDefined(draft, ["title", "name"]) || `Draft ${id}`),
+      author: String(firstDefined(draft, ["author", "createdBy", "owner"]) || ""),
+      date: String(firstDefined(draft, ["modified", "updatedAt", "date", "createdAt", "created"]) || ""),
+      content: String(firstDefined(draft, ["content", "text", "body"]) || ""),
+      raw: draft,
+    };
+  });
+}
+
+// Drafts whose title, author or content contain the query, ordered by "date" (newest first), "title" or "author"
+export function filterAndSortDrafts(drafts, query = "", sortBy = "date") {
+  const needle = query.trim().toLowerCase();
+  const matches = needle
+    ? drafts.filter((draft) =>
+        [draft.title, draft.author, draft.content].some((value) => value.toLowerCase().includes(needle))
+      )
+    : drafts.slice();
+
+  if (sortBy === "date") {
+    // Unparseable dates sort last
+    const time = (draft) => {
+      const value = Date.parse(draft.date);
+      return isNaN(value) ? -Infinity : value;
+    };
+    matches.sort((a, b) => time(b) - time(a));
+  } else if (sortBy === "title" || sortBy === "author") {
+    matches.sort((a, b) => a[sortBy].localeCompare(b[sortBy], undefined, { sensitivity: "base" }));
+  }
+
+  return matches;
+}
+
+// Pull the server's copy of a draft out of a 409 body ({ current: {...} }, { draft: {...} } or the draft itself)
+function parseConflictBody(body) {
+  let payload;
+  try {
+    payload = body ? JSON.parse(body) : null;
+  } catch (error) {
+    return null;
+  }
+
+  const draft = payload && (payload.current || payload.draft || payload);
+  if (!draft || typeof draft !== "object") {
+    return null;
+  }
+
+  return {
+    version: firstDefined(draft, ["version", "etag", "revision"]),
+    content: String(firstDefined(draft, ["content", "text", "body"]) || ""),
+  };
+}
+
+function firstDefined(object, keys) {
+  for (const key of keys) {
+    if (object[key] !== undefined && object[key] !== null) {
+      return object[key];
+    }
+  }
+  return undefined;
+}
+
+function joinUrl(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Highest heading level Word supports
+export const MAX_HEADING_LEVEL = 9;
+
+// Built-in heading style names in the UI languages our templates ship in ("Heading 1", "Überschrift 1", ...)
+const LOCALIZED_HEADING_PATTERN =
+  /^(heading|überschrift|titre|título|titulo|titolo|kop|rubrik|overskrift|nagłówek|otsikko|nadpis)\s*(\d)$/i;
+
+// Built-in Title style names in the same languages
+const LOCALIZED_TITLE_NAMES = ["title", "titel", "titre", "título", "titulo", "titolo", "tytuł"];
+
+// Resolve the heading level of a paragraph, or null when it is body text.
+//
+// `paragraph` may carry any of styleBuiltIn ("Heading1", "Title", "Other"), style (the style
+// name as shown in Word, possibly localized or custom) and outlineLevel (1-9 for outline
+// levels, anything else for body text). Sources are checked in order of how deliberate they are:
+//   1. the document's custom style mapping, so users can override anything
+//   2. the built-in style
+//   3. a localized built-in style name
+//   4. the paragraph's outline level
+// Title resolves to level 0.
+export function resolveHeadingLevel(paragraph, styleMap = []) {
+  const styleName = normalizeStyleName(paragraph.style);
+
+  const mapped = styleName ? styleMap.find((entry) => normalizeStyleName(entry.style) === styleName) : null;
+  if (mapped) {
+    return mapped.level;
+  }
+
+  const builtInLevel = levelFromStyleName(paragraph.styleBuiltIn ? paragraph.styleBuiltIn.toString() : "");
+  if (builtInLevel !== null) {
+    return builtInLevel;
+  }
+
+  const namedLevel = levelFromStyleName(paragraph.style || "");
+  if (namedLevel !== null) {
+    return namedLevel;
+  }
+
+  const outlineLevel = Number(paragraph.outlineLevel);
+  if (Number.isInteger(outlineLevel) && outlineLevel >= 1 && outlineLevel <= MAX_HEADING_LEVEL) {
+    return outlineLevel;
+  }
+
+  return null;
+}
+
+// Level for a built-in or localized style name ("Heading1", "Heading 2", "Überschrift 3", "Title")
+export function levelFromStyleName(styleName) {
+  const name = normalizeStyleName(styleName);
+  if (!name) {
+    return null;
+  }
+
+  if (LOCALIZED_TITLE_NAMES.includes(name)) {
+    return 0;
+  }
+
+  const match = name.match(LOCALIZED_HEADING_PATTERN);
+  if (match) {
+    const level = parseInt(match[2]);
+    return level >= 1 && level <= MAX_HEADING_LEVEL ? level : null;
+  }
+
+  return null;
+}
+
+// Clean up a user-edited mapping: drop blank or invalid rows and keep the last entry per style
+export function normalizeStyleMap(entries) {
+  const byName = new Map();
+
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const style = entry && typeof entry.style === "string" ? entry.style.trim() : "";
+    const level = entry ? parseInt(entry.level) : NaN;
+
+    if (style && Number.isInteger(level) && level >= 0 && level <= MAX_HEADING_LEVEL) {
+      byName.set(normalizeStyleName(style), { style: style, level: level });
+    }
+  });
+
+  return Array.from(byName.values());
+}
+
+function normalizeStyleName(styleName) {
+  return styleName ? styleName.toString().trim().toLowerCase() : "";
+}
@@ -0,0 +1,183 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { buildOutlineTree } from "./outline";
+
+// Headings this long or longer are left out of the TOC
+export const HEADING_TEXT_LIMIT = 200;
+
+// Problems the structure check reports
+export const LINT_RULES = {
+  skippedLevel: "skipped-level",
+  emptyHeading: "empty-heading",
+  duplicateSibling: "duplicate-sibling",
+  tooLong: "too-long",
+  manualHeading: "manual-heading",
+  missingTitle: "missing-title",
+};
+
+// Body paragraphs longer than this are never taken for hand-formatted headings
+const MANUAL_HEADING_MAX_WORDS = 12;
+
+// Check the heading structure of a document.
+//
+// `headings` are the document's headings in order ({ paragraphIndex, text, level, style }) and
+// `bodyParagraphs` its other paragraphs ({ paragraphIndex, text, bold, size }), where bold and
+// size come from the paragraph font (null when mixed).
+//
+// Returns findings ordered by position:
+//   { rule, severity: "error" | "warning", message, paragraphIndex, text, fix }
+// where fix, when the problem can be fixed in one click, is { label, level } - apply the
+// built-in style for that level (0 = Title, null = Normal) to the paragraph.
+export function lintHeadingStructure(headings, bodyParagraphs = [], { maxLength = HEADING_TEXT_LIMIT } = {}) {
+  const findings = [];
+  const add = (rule, severity, paragraph, message, fix = null) => {
+    findings.push({
+      rule: rule,
+      severity: severity,
+      message: message,
+      paragraphIndex: paragraph ? paragraph.paragraphIndex : null,
+      text: paragraph ? paragraph.text : "",
+      fix: fix,
+    });
+  };
+
+  let previousLevel = 0;
+  headings.forEach((heading) => {
+    if (!heading.text) {
+      add(LINT_RULES.emptyHeading, "error", heading, `Empty ${heading.style || "heading"} paragraph`, {
+        label: "Make body text",
+        level: null,
+      });
+      return;
+    }
+
+    if (heading.level > previousLevel + 1) {
+      const expected = previousLevel + 1;
+      add(
+        LINT_RULES.skippedLevel,
+        "warning",
+        heading,
+        previousLevel === 0
+          ? `Outline starts at level ${heading.level} instead of level 1`
+          : `Level ${heading.level} follows level ${previousLevel}; level ${expected} was skipped`,
+        { label: `Make Heading ${expected}`, level: expected }
+      );
+    }
+
+    if (heading.text.length >= maxLength) {
+      add(
+        LINT_RULES.tooLong,
+        "warning",
+        heading,
+        `Heading is ${heading.text.length} characters long and is left out of the TOC (limit ${maxLength})`
+      );
+    }
+
+    previousLevel = heading.level;
+  });
+
+  findDuplicateSiblings(headings).forEach((heading) => {
+    add(
+      LINT_RULES.duplicateSibling,
+      "warning",
+      heading,
+      `Another heading under the same parent is also "${heading.text}"`
+    );
+  });
+
+  const bodyFontSize = mostCommonFontSize(bodyParagraphs);
+  bodyParagraphs.forEach((paragraph) => {
+    const level = manualHeadingLevel(paragraph, bodyFontSize, maxLength);
+    if (level !== null) {
+      add(LINT_RULES.manualHeading, "warning", paragraph, "Looks like a heading but uses body text formatting", {
+        label: `Make Heading ${level}`,
+        level: level,
+      });
+    }
+  });
+
+  if (!headings.some((heading) => heading.level === 0)) {
+    // When the document opens with a plain paragraph, that is almost always the title
+    const first = [...headings, ...bodyParagraphs]
+      .filter((paragraph) => paragraph.text)
+      .sort((a, b) => a.paragraphIndex - b.paragraphIndex)[0];
+    const firstIsBody = first && !headings.includes(first) && first.text.length < maxLength;
+
+    add(
+      LINT_RULES.missingTitle,
+      "warning",
+      firstIsBody ? first : null,
+      "The document has no paragraph in the Title style",
+      firstIsBody ? { label: "Make Title", level: 0 } : null
+    );
+  }
+
+  // Document order, with document-wide findings first
+  return findings.sort((a, b) => {
+    const positionA = a.paragraphIndex === null ? -1 : a.paragraphIndex;
+    const positionB = b.paragraphIndex === null ? -1 : b.paragraphIndex;
+    return positionA - positionB;
+  });
+}
+
+// Headings that repeat the title of an earlier heading with the same parent
+function findDuplicateSiblings(headings) {
+  const named = headings.filter((heading) => heading.text).map((heading) => ({ ...heading, source: heading }));
+  buildOutlineTree(named);
+
+  const seen = new Set();
+  const duplicates = [];
+  named.forEach((heading) => {
+    const key = `${heading.parentIndex}\u0000${heading.text.toLowerCase()}`;
+    if (seen.has(key)) {
+      duplicates.push(heading.source);
+    } else {
+      seen.add(key);
+    }
+  });
+  return duplicates;
+}
+
+// Font size used by most non-empty body paragraphs
+function mostCommonFontSize(bodyParagraphs) {
+  const counts = new Map();
+  bodyParagraphs.forEach((paragraph) => {
+    if (paragraph.text && paragraph.size) {
+      counts.set(paragraph.size, (counts.get(paragraph.size) || 0) + 1);
+    }
+  });
+
+  let common = null;
+  counts.forEach((count, size) => {
+    if (common === null || count > counts.get(common)) {
+      common = size;
+    }
+  });
+  return common;
+}
+
+// Heading level a hand-formatted paragraph most likely stands for, or null when it reads as body text.
+// Short, entirely bold lines without a closing full stop that are larger than the body text qualify.
+function manualHeadingLevel(paragraph, bodyFontSize, maxLength) {
+  const text = paragraph.text || "";
+  if (
+    !text ||
+    text.length >= maxLength ||
+    paragraph.bold !== true ||
+    !paragraph.size ||
+    !bodyFontSize ||
+    paragraph.size <= bodyFontSize ||
+    /[.:;,]$/.test(text) ||
+    text.split(/\s+/).length > MANUAL_HEADING_MAX_WORDS
+  ) {
+    return null;
+  }
+
+  if (paragraph.size >= bodyFontSize + 5) {
+    return 1;
+  }
+  return paragraph.size >= bodyFontSize + 2 ? 2 : 3;
+}
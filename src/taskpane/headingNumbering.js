@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { buildOutlineTree } from "./outline";
+
+// Where appendices start: never, at the first top-level heading that begins with "Appendix",
+// or at a given TOC item index
+export const APPENDIX_NONE = "none";
+export const APPENDIX_AUTO = "auto";
+
+// Leading outline numbers such as "3.2 ", "1. ", "4.1.2.", "A. " and "B.3 ". A bare letter or
+// number only counts when followed by a full stop, so "A Study of ...", "5 Whys" and "2024 Roadmap"
+// keep their first word.
+const OUTLINE_NUMBER_PATTERN = /^\s*(?:\d+(?:\.\d+)+\.?|\d+\.|[A-Z](?:\.\d+)+\.?|[A-Z]\.)[ \t\u00a0]+/;
+
+// Outline numbers for document-ordered TOC items ({ text, level, index }), in the same order.
+// Numbers follow the heading hierarchy rather than raw levels, so a Heading 3 directly under a
+// Heading 1 is numbered 1.1. Title (level 0) headings are not numbered and get null.
+// Top-level appendix sections are lettered A, B, ... and their subsections A.1, A.1.1, ...
+export function computeOutlineNumbers(items, { appendixStart = APPENDIX_AUTO } = {}) {
+  const numbers = items.map(() => null);
+  const numbered = items
+    .map((item, position) => ({ text: item.text, level: item.level, index: item.index, position }))
+    .filter((item) => item.level >= 1);
+
+  let chapter = 0;
+  let appendix = 0;
+  let inAppendix = false;
+
+  const numberChildren = (node, prefix) => {
+    node.children.forEach((child, childPosition) => {
+      const number = `${prefix}.${childPosition + 1}`;
+      numbers[child.item.position] = number;
+      numberChildren(child, number);
+    });
+  };
+
+  buildOutlineTree(numbered).forEach((root) => {
+    if (!inAppendix && startsAppendix(root.item, appendixStart)) {
+      inAppendix = true;
+    }
+
+    const number = inAppendix ? toLetters(++appendix) : String(++chapter);
+    numbers[root.item.position] = number;
+    numberChildren(root, number);
+  });
+
+  return numbers;
+}
+
+// Text prefix written in front of a heading: "1. ", "A. " for top-level numbers, "1.2 " below them
+export function formatNumberPrefix(number) {
+  return number.includes(".") ? `${number} ` : `${number}. `;
+}
+
+// The outline number a heading starts with (including the following space), or "" when it has none
+export function findOutlineNumber(text) {
+  const match = OUTLINE_NUMBER_PATTERN.exec(text || "");
+  return match ? match[0] : "";
+}
+
+// Heading text without a leading outline number
+export function stripOutlineNumber(text) {
+  return (text || "").slice(findOutlineNumber(text).length);
+}
+
+function startsAppendix(item, appendixStart) {
+  if (appendixStart === APPENDIX_NONE) {
+    return false;
+  }
+  if (appendixStart === APPENDIX_AUTO) {
+    return /^appendix\b/i.test(stripOutlineNumber(item.text).trim());
+  }
+  return item.index >= Number(appendixStart);
+}
+
+// 1 -> A, 26 -> Z, 27 -> AA
+function toLetters(value) {
+  let letters = "";
+  for (let remaining = value; remaining > 0; remaining = Math.floor((remaining - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((remaining - 1) % 26)) + letters;
+  }
+  return letters;
+}
@@ -0,0 +1,141 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Paragraphs whose text and positions are loaded per sync
+export const DEFAULT_SCAN_BATCH_SIZE = 500;
+
+// Scan every paragraph in the document body for headings.
+//
+// Styles and outline levels for the whole body are loaded in one sync, then text and ranges are loaded
+// batch by batch, so a document with N paragraphs costs at most 1 + ceil(N / batchSize)
+// syncs. Between batches the scanner reports progress and yields to the UI, and it stops
+// early once `signal.aborted` is set (an AbortController signal or any object with that flag).
+//
+// Options:
+//   resolveLevel(paragraph)     - heading level from styleBuiltIn/style/outlineLevel, or null for body text
+//   matchLevel(level)           - optional filter on resolved levels (defaults to any heading)
+//   acceptHeading(text, level)  - optional final check once a candidate's text is loaded
+//   countWords                  - also load body text and credit its words to the preceding heading
+//   bodyProperties              - extra properties to load on body paragraphs (such as "font/bold")
+//   onBodyParagraph(paragraph, paragraphIndex, text) - called for each non-heading paragraph when bodyProperties is set
+//   batchSize                   - paragraphs per batch
+//   onProgress({ scanned, total, found }) - called after every batch
+//   signal                      - cancellation flag
+//
+// Resolves to { headings, paragraphs, paragraphCount, cancelled }, where paragraphs is every body
+// paragraph in document order. Each heading carries its paragraph and paragraph index, trimmed
+// text, level, style name, built-in style, the loaded range and its start/end positions.
+export async function scanHeadings(context, options) {
+  const {
+    resolveLevel,
+    matchLevel = (level) => level !== null,
+    acceptHeading = (text) => Boolean(text),
+    countWords: shouldCountWords = false,
+    bodyProperties = null,
+    onBodyParagraph = null,
+    batchSize = DEFAULT_SCAN_BATCH_SIZE,
+    onProgress = null,
+    signal = null,
+  } = options;
+
+  const headings = [];
+  const paragraphs = context.document.body.paragraphs;
+  context.load(paragraphs, "items/styleBuiltIn, items/style, items/outlineLevel");
+  await context.sync();
+
+  const total = paragraphs.items.length;
+  let lastHeading = null;
+
+  // Batches run as a chain, each one queuing the loads for its paragraphs and syncing once, so a
+  // batch's results are in before the next one is queued. Resolves to whether the scan was cancelled.
+  const scanFrom = async (batchStart) => {
+    if (batchStart >= total) {
+      return false;
+    }
+    if (signal && signal.aborted) {
+      return true;
+    }
+
+    const batchEnd = Math.min(batchStart + batchSize, total);
+    const batch = [];
+
+    // Queue loads for this batch only; non-heading paragraphs are skipped unless words are counted
+    // or their properties were asked for
+    for (let i = batchStart; i < batchEnd; i++) {
+      const paragraph = paragraphs.items[i];
+      const level = resolveLevel(paragraph);
+      const isCandidate = level !== null && matchLevel(level);
+
+      if (!isCandidate && bodyProperties) {
+        context.load(paragraph, `text, ${bodyProperties}`);
+      } else if (isCandidate || shouldCountWords) {
+        context.load(paragraph, "text");
+      }
+
+      let range = null;
+      if (isCandidate) {
+        range = paragraph.getRange();
+        context.load(range, "start, end");
+      }
+
+      batch.push({ index: i, paragraph, level, isCandidate, range });
+    }
+
+    if (shouldCountWords || bodyProperties || batch.some((entry) => entry.isCandidate)) {
+      await context.sync();
+    }
+
+    for (const entry of batch) {
+      const text = entry.paragraph.text ? entry.paragraph.text.trim() : "";
+
+      if (entry.isCandidate && acceptHeading(text, entry.level)) {
+        const styleBuiltIn = entry.paragraph.styleBuiltIn ? entry.paragraph.styleBuiltIn.toString() : "";
+        lastHeading = {
+          paragraph: entry.paragraph,
+          paragraphIndex: entry.index,
+          text: text,
+          level: entry.level,
+          style: entry.paragraph.style || styleBuiltIn,
+          styleBuiltIn: styleBuiltIn,
+          range: entry.range,
+          start: entry.range.start,
+          end: entry.range.end,
+          wordCount: 0,
+        };
+        headings.push(lastHeading);
+      } else {
+        if (shouldCountWords && lastHeading) {
+          lastHeading.wordCount += countWords(text);
+        }
+        if (bodyProperties && onBodyParagraph && !entry.isCandidate) {
+          onBodyParagraph(entry.paragraph, entry.index, text);
+        }
+      }
+    }
+
+    if (onProgress) {
+      onProgress({ scanned: batchEnd, total: total, found: headings.length });
+    }
+
+    // Give the task pane a chance to repaint and handle clicks (such as Cancel) between batches
+    if (batchEnd < total) {
+      await yieldToUi();
+    }
+    return scanFrom(batchEnd);
+  };
+
+  const cancelled = await scanFrom(0);
+  return { headings, paragraphs: paragraphs.items, paragraphCount: total, cancelled };
+}
+
+// Count whitespace-separated words in a piece of text
+export function countWords(text) {
+  const trimmed = text ? text.trim() : "";
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+function yieldToUi() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
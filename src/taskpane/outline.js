@@ -0,0 +1,83 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Build a parent/child outline from flat, document-ordered headings ({ text, level, ... }).
+// Each heading becomes a child of the closest preceding heading with a lower level,
+// so skipped levels (Heading 1 -> Heading 3) nest under the nearest real ancestor.
+//
+// Returns the root nodes as { item, children, totalWords }. Each item is also given its
+// parentIndex (position of its parent in the array, or -1) and depth in the tree.
+export function buildOutlineTree(items) {
+  const roots = [];
+  const stack = [];
+
+  items.forEach((item, position) => {
+    while (stack.length > 0 && stack[stack.length - 1].item.level >= item.level) {
+      stack.pop();
+    }
+
+    const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+    const node = { item: item, position: position, children: [], totalWords: 0 };
+
+    item.parentIndex = parent ? parent.position : -1;
+    item.depth = stack.length;
+
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+    stack.push(node);
+  });
+
+  // Word totals include every descendant section
+  const sumWords = (node) => {
+    node.totalWords = node.children.reduce((sum, child) => sum + sumWords(child), node.item.wordCount || 0);
+    return node.totalWords;
+  };
+  roots.forEach(sumWords);
+
+  return roots;
+}
+
+// Position of the heading that closes the section opened by items[position]: the next heading
+// at the same or a higher level, or -1 when the section runs to the end of the document
+export function findSectionBoundary(items, position) {
+  for (let next = position + 1; next < items.length; next++) {
+    if (items[next].level <= items[position].level) {
+      return next;
+    }
+  }
+  return -1;
+}
+
+// Positions of the headings nested inside the section opened by items[position]
+export function sectionDescendants(items, position) {
+  const boundary = findSectionBoundary(items, position);
+  const end = boundary >= 0 ? boundary : items.length;
+  const descendants = [];
+  for (let next = position + 1; next < end; next++) {
+    descendants.push(next);
+  }
+  return descendants;
+}
+
+// Position of the previous (direction -1) or next (direction 1) heading with the same parent, or -1.
+// Items must have been passed through buildOutlineTree so parentIndex is set.
+export function findSibling(items, position, direction) {
+  const parentIndex = items[position].parentIndex;
+
+  if (direction > 0) {
+    const boundary = findSectionBoundary(items, position);
+    return boundary >= 0 && items[boundary].parentIndex === parentIndex ? boundary : -1;
+  }
+
+  for (let previous = position - 1; previous > parentIndex; previous--) {
+    if (items[previous].parentIndex === parentIndex) {
+      return previous;
+    }
+  }
+  return -1;
+}
@@ -0,0 +1,137 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { buildOutlineTree } from "./outline";
+import { escapeXml } from "./xmlText";
+
+// Outline serializers. Each takes the flat, document-ordered heading list the TOC produces
+// ({ text, level, style, type, start, end }) and returns a string; none of them touch Word
+// or the DOM, so other tools can reuse the same outline format.
+
+// Version of the JSON outline format written by toJsonOutline
+export const OUTLINE_JSON_VERSION = 1;
+
+// Nested Markdown bullet list, two spaces of indent per outline depth
+export function toMarkdownOutline(items) {
+  const lines = [];
+  walk(cloneTree(items), (node, depth) => {
+    lines.push(`${"  ".repeat(depth)}- ${escapeMarkdown(node.item.text)}`);
+  });
+  return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+// JSON document whose `items` keep the TOC item shape (text, level, style, type, start, end)
+// plus parentIndex, so it can be read back as an outline
+export function toJsonOutline(items, { title = "", generated = new Date() } = {}) {
+  const clones = items.map((item) => ({ ...item }));
+  buildOutlineTree(clones);
+
+  return JSON.stringify(
+    {
+      version: OUTLINE_JSON_VERSION,
+      title: title,
+      generated: generated.toISOString(),
+      items: clones.map((item, index) => ({
+        index: index,
+        text: item.text,
+        level: item.level,
+        style: item.style || null,
+        type: item.type || null,
+        start: item.start === undefined ? null : item.start,
+        end: item.end === undefined ? null : item.end,
+        parentIndex: item.parentIndex,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+// Standalone HTML page with the outline as nested lists
+export function toHtmlOutline(items, { title = "Outline" } = {}) {
+  const renderNodes = (nodes, indent) => {
+    if (nodes.length === 0) {
+      return "";
+    }
+    const pad = "  ".repeat(indent);
+    const children = nodes
+      .map((node) => {
+        const nested = renderNodes(node.children, indent + 2);
+        const text = escapeXml(node.item.text);
+        return nested ? `${pad}  <li>${text}\n${nested}${pad}  </li>\n` : `${pad}  <li>${text}</li>\n`;
+      })
+      .join("");
+    return `${pad}<ul>\n${children}${pad}</ul>\n`;
+  };
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '  <meta charset="UTF-8">',
+    `  <title>${escapeXml(title)}</title>`,
+    "</head>",
+    "<body>",
+    `  <h1>${escapeXml(title)}</h1>`,
+    renderNodes(cloneTree(items), 1).replace(/\n$/, ""),
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+// OPML 2.0 document; level and style ride along as _level/_style attributes
+export function toOpmlOutline(items, { title = "Outline", generated = new Date() } = {}) {
+  const renderNodes = (nodes, indent) =>
+    nodes
+      .map((node) => {
+        const pad = "  ".repeat(indent);
+        const attributes =
+          `text="${escapeXml(node.item.text)}" _level="${node.item.level}"` +
+          (node.item.style ? ` _style="${escapeXml(node.item.style)}"` : "");
+        if (node.children.length === 0) {
+          return `${pad}<outline ${attributes}/>\n`;
+        }
+        return `${pad}<outline ${attributes}>\n${renderNodes(node.children, indent + 1)}${pad}</outline>\n`;
+      })
+      .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<opml version="2.0">\n' +
+    "  <head>\n" +
+    `    <title>${escapeXml(title)}</title>\n` +
+    `    <dateCreated>${generated.toUTCString()}</dateCreated>\n` +
+    "  </head>\n" +
+    "  <body>\n" +
+    renderNodes(cloneTree(items), 2) +
+    "  </body>\n" +
+    "</opml>\n"
+  );
+}
+
+// Export formats offered in the pane
+export const OUTLINE_EXPORT_FORMATS = {
+  markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown", serialize: toMarkdownOutline },
+  json: { label: "JSON", extension: "json", mimeType: "application/json", serialize: toJsonOutline },
+  html: { label: "HTML", extension: "html", mimeType: "text/html", serialize: toHtmlOutline },
+  opml: { label: "OPML", extension: "opml", mimeType: "text/x-opml", serialize: toOpmlOutline },
+};
+
+// Tree over copies of the items, so serializing never annotates the caller's objects
+function cloneTree(items) {
+  return buildOutlineTree(items.map((item) => ({ ...item })));
+}
+
+function walk(nodes, visit, depth = 0) {
+  nodes.forEach((node) => {
+    visit(node, depth);
+    walk(node.children, visit, depth + 1);
+  });
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>])/g, "\\$1");
+}
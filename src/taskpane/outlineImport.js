@@ -0,0 +1,157 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { MAX_HEADING_LEVEL } from "./headingLevels";
+import { LINT_RULES, lintHeadingStructure } from "./headingLint";
+import { findSectionBoundary } from "./outline";
+
+// Outline import for document skeletons. Outlines come in as JSON (a list of TOC items, or the
+// document toJsonOutline writes) or as Markdown (# headings, or the nested bullet list
+// toMarkdownOutline writes) and are read into { text, level } items, level 0 being the Title.
+
+// Spaces one tab stands for when measuring bullet indentation
+const TAB_WIDTH = 4;
+
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,9})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const LIST_ITEM_PATTERN = /^([ \t]*)(?:[-*+]|\d+[.)])[ \t]+(.*?)[ \t]*$/;
+
+// Read an outline file. JSON is recognized by its opening bracket; anything else is read as Markdown.
+//
+// Returns { format: "json" | "markdown", items: [{ text, level }], errors }, where errors describe
+// entries that were left out.
+export function parseOutline(text) {
+  const source = (text || "").replace(/^\uFEFF/, "");
+  return /^\s*[[{]/.test(source) ? parseJsonOutline(source) : parseMarkdownOutline(source);
+}
+
+export function parseJsonOutline(text) {
+  let outline;
+  try {
+    outline = JSON.parse(text);
+  } catch (error) {
+    return { format: "json", items: [], errors: [`The file is not valid JSON: ${error.message}`] };
+  }
+
+  const entries = Array.isArray(outline) ? outline : outline && Array.isArray(outline.items) ? outline.items : null;
+  if (!entries) {
+    return { format: "json", items: [], errors: ["The JSON has no list of outline items"] };
+  }
+
+  const items = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    const level = entry ? Number(entry.level) : NaN;
+    if (!entry || typeof entry.text !== "string") {
+      errors.push(`Item ${index + 1} has no heading text`);
+    } else if (!Number.isInteger(level) || level < 0 || level > MAX_HEADING_LEVEL) {
+      errors.push(`Item ${index + 1} ("${entry.text}") has no level between 0 and ${MAX_HEADING_LEVEL}`);
+    } else {
+      items.push({ text: cleanHeading(entry.text), level: level });
+    }
+  });
+
+  return { format: "json", items, errors };
+}
+
+// Markdown headings keep their level; list items nest one level per indent, below the last
+// heading when the list follows one. Other text is left out.
+export function parseMarkdownOutline(text) {
+  const items = [];
+  const errors = [];
+  let headingLevel = 0;
+  let indents = [];
+
+  (text || "").split(/\r\n?|\n/).forEach((line, index) => {
+    const heading = ATX_HEADING_PATTERN.exec(line);
+    if (heading) {
+      headingLevel = heading[1].length;
+      indents = [];
+      items.push({ text: unescapeMarkdown(heading[2] || ""), level: headingLevel });
+      return;
+    }
+
+    const listItem = LIST_ITEM_PATTERN.exec(line);
+    if (listItem) {
+      const indent = listItem[1].replace(/\t/g, " ".repeat(TAB_WIDTH)).length;
+      while (indents.length > 0 && indents[indents.length - 1] > indent) {
+        indents.pop();
+      }
+      if (indents.length === 0 || indents[indents.length - 1] < indent) {
+        indents.push(indent);
+      }
+
+      const level = headingLevel + indents.length;
+      if (level > MAX_HEADING_LEVEL) {
+        errors.push(`Line ${index + 1} is nested deeper than level ${MAX_HEADING_LEVEL}`);
+      } else {
+        items.push({ text: unescapeMarkdown(listItem[2]), level: level });
+      }
+      return;
+    }
+
+    if (line.trim()) {
+      errors.push(`Line ${index + 1} is not a heading or list item`);
+    }
+  });
+
+  return { format: "markdown", items, errors };
+}
+
+// Structure problems to show before the skeleton is written: the heading checks of the structure
+// lint, except the missing Title, since a skeleton is often inserted into a document that has one.
+//
+// Returns [{ index, severity, message }] in outline order.
+export function validateOutline(items) {
+  const headings = items.map((item, index) => ({ paragraphIndex: index, text: item.text, level: item.level }));
+
+  return lintHeadingStructure(headings)
+    .filter((finding) => finding.rule !== LINT_RULES.missingTitle)
+    .map((finding) => ({ index: finding.paragraphIndex, severity: finding.severity, message: finding.message }));
+}
+
+// Paragraphs to insert for an outline, in order, and the section controls to wrap around them.
+//
+// Returns
+//   paragraphs: [{ text, level, itemIndex }] where level is null for placeholder body text
+//   sections: [{ itemIndex, level, first, last }] paragraph index spans, parents before their
+//     subsections; empty unless sectionControls is set. The Title gets no section.
+export function planSkeleton(items, { placeholder = "", sectionControls = false } = {}) {
+  const paragraphs = [];
+  const headingParagraphs = [];
+
+  items.forEach((item, itemIndex) => {
+    headingParagraphs.push(paragraphs.length);
+    paragraphs.push({ text: item.text, level: item.level, itemIndex });
+    if (placeholder && item.level >= 1) {
+      paragraphs.push({ text: placeholder, level: null, itemIndex });
+    }
+  });
+
+  const sections = [];
+  if (sectionControls) {
+    items.forEach((item, itemIndex) => {
+      if (item.level < 1) {
+        return;
+      }
+      const boundary = findSectionBoundary(items, itemIndex);
+      sections.push({
+        itemIndex,
+        level: item.level,
+        first: headingParagraphs[itemIndex],
+        last: (boundary >= 0 ? headingParagraphs[boundary] : paragraphs.length) - 1,
+      });
+    });
+  }
+
+  return { paragraphs, sections };
+}
+
+function cleanHeading(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function unescapeMarkdown(text) {
+  return cleanHeading(text.replace(/\\([\\`*_[\]<>#])/g, "$1"));
+}
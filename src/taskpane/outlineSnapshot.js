@@ -0,0 +1,356 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { buildOutlineTree } from "./outline";
+import { hashText } from "./paneSettings";
+import { diffWords } from "./textDiff";
+import { escapeXml, unescapeXml } from "./xmlText";
+
+// Outline snapshots record each TOC section's heading, level, section control id and body text (the
+// text between its heading and the next heading of any level), so a later version of the document
+// can be compared with it. Body hashes make unchanged sections cheap to skip; the text itself is
+// kept so changed sections can be shown word by word.
+//
+// Document settings are too small for the text of a long document, so the document keeps the
+// snapshot without bodies there and the bodies in a custom XML part, matched by takenAt and hash:
+//
+//   <outlineSnapshot xmlns="..." takenAt="2024-05-01T12:00:00.000Z">
+//     <section hash="1a2b3c4d">"Why we are doing this."</section>
+//   </outlineSnapshot>
+//
+// Each body is a JSON string, since Word text holds control characters that XML cannot. Sections
+// whose body is missing have body null: they still compare by hash, but without a word diff.
+
+export const OUTLINE_SNAPSHOT_VERSION = 1;
+
+export const OUTLINE_SNAPSHOT_NAMESPACE = "urn:contoso:word-toc:outline-snapshot";
+
+const SNAPSHOT_ELEMENT_PATTERN = /<(?:[\w.-]+:)?outlineSnapshot\b[^>]*?\stakenAt\s*=\s*(?:"([^"]*)"|'([^']*)')/;
+const BODY_ELEMENT_PATTERN =
+  /<(?:[\w.-]+:)?section\b[^>]*?\shash\s*=\s*(?:"([^"]*)"|'([^']*)')[^>]*>([^<]*)<\/(?:[\w.-]+:)?section>/g;
+
+// Hash of an empty body; empty sections say nothing about which heading was renamed to which
+const EMPTY_BODY_HASH = hashText("");
+
+// How a heading differs from the snapshot
+export const HEADING_CHANGES = {
+  added: "added",
+  removed: "removed",
+  renamed: "renamed",
+  moved: "moved",
+};
+
+// Snapshot of the TOC items, where bodies[i] is the body text of items[i]
+export function createOutlineSnapshot(items, bodies, { title = "", takenAt = new Date() } = {}) {
+  return {
+    version: OUTLINE_SNAPSHOT_VERSION,
+    title: title,
+    takenAt: takenAt.toISOString(),
+    sections: items.map((item, position) => {
+      const body = normalizeBody(bodies[position]);
+      return {
+        text: item.text,
+        level: item.level,
+        sectionId: item.sectionId || null,
+        hash: hashText(body),
+        body: body,
+      };
+    }),
+  };
+}
+
+// The snapshot in a stored or imported value (an object or JSON text), or null when it is not one
+export function readOutlineSnapshot(raw) {
+  let snapshot = raw;
+  if (typeof raw === "string") {
+    try {
+      snapshot = JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!snapshot || snapshot.version !== OUTLINE_SNAPSHOT_VERSION || !Array.isArray(snapshot.sections)) {
+    return null;
+  }
+
+  const sections = snapshot.sections.filter(
+    (section) => section && typeof section.text === "string" && Number.isInteger(section.level)
+  );
+  return {
+    version: OUTLINE_SNAPSHOT_VERSION,
+    title: typeof snapshot.title === "string" ? snapshot.title : "",
+    takenAt: typeof snapshot.takenAt === "string" ? snapshot.takenAt : "",
+    sections: sections.map((section) => {
+      const hash = typeof section.hash === "string" ? section.hash : null;
+      // A stored summary has hashes only; a section with neither is read as empty
+      const body = typeof section.body === "string" ? section.body : hash ? null : "";
+      return {
+        text: section.text,
+        level: section.level,
+        sectionId: typeof section.sectionId === "string" ? section.sectionId : null,
+        hash: hash || hashText(body),
+        body: body,
+      };
+    }),
+  };
+}
+
+// The snapshot without its bodies, as kept in the document settings
+export function outlineSnapshotSummary(snapshot) {
+  return {
+    ...snapshot,
+    sections: snapshot.sections.map((section) => ({
+      text: section.text,
+      level: section.level,
+      sectionId: section.sectionId,
+      hash: section.hash,
+    })),
+  };
+}
+
+// Content of the XML part holding a snapshot's bodies, in section order
+export function serializeSnapshotBodiesXml(snapshot) {
+  const sections = snapshot.sections
+    .map(
+      (section) =>
+        `  <section hash="${escapeXml(section.hash)}">${escapeXml(JSON.stringify(section.body || ""))}</section>\n`
+    )
+    .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<outlineSnapshot xmlns="${OUTLINE_SNAPSHOT_NAMESPACE}" takenAt="${escapeXml(snapshot.takenAt)}">\n` +
+    sections +
+    "</outlineSnapshot>\n"
+  );
+}
+
+// The snapshot with the bodies from an XML part filled in. Bodies are only taken from a part written
+// for the same snapshot, and only where the hash still matches; the other sections keep body null.
+export function addSnapshotBodies(snapshot, xml) {
+  const root = (xml || "").match(SNAPSHOT_ELEMENT_PATTERN);
+  const takenAt = root ? unescapeXml(root[1] !== undefined ? root[1] : root[2]) : null;
+  const bodies = takenAt === snapshot.takenAt ? Array.from(xml.matchAll(BODY_ELEMENT_PATTERN)) : [];
+
+  return {
+    ...snapshot,
+    sections: snapshot.sections.map((section, position) => {
+      const element = bodies[position];
+      if (section.body !== null || !element) {
+        return section;
+      }
+
+      const hash = unescapeXml(element[1] !== undefined ? element[1] : element[2]);
+      const body = parseBody(unescapeXml(element[3]));
+      return hash === section.hash && body !== null && hashText(body) === hash ? { ...section, body: body } : section;
+    }),
+  };
+}
+
+// The body text of a section's own range: everything after its heading paragraph
+export function sectionBodyText(sectionText) {
+  const text = sectionText || "";
+  const headingEnd = text.search(/[\r\n]/);
+  return headingEnd < 0 ? "" : text.slice(headingEnd + 1);
+}
+
+// Compare two snapshots. Sections are matched by section control id, then by heading text, then by
+// identical body text (a renamed heading), and finally by level among the unmatched sections that
+// sit between the same matched neighbours (a renamed heading whose body was edited too).
+//
+// Returns
+//   headings: [{ change, before, after, beforeIndex, afterIndex }] in current document order, where
+//     before/after are the snapshot sections (null for added/removed). A heading moved when it is
+//     out of order, under a different parent or at a different level; one that was both renamed and
+//     moved is listed once for each.
+//   changedSections: [{ before, after, beforeIndex, afterIndex, words }] for matched sections whose
+//     body changed, with words from diffWords, or null when either body is missing
+//   unchangedCount: matched sections with the same heading, place and body
+export function diffOutlineSnapshots(baseline, current) {
+  const before = baseline.sections;
+  const after = current.sections;
+  const partnerOfBefore = before.map(() => -1);
+  const partnerOfAfter = after.map(() => -1);
+  const pair = (i, j) => {
+    partnerOfBefore[i] = j;
+    partnerOfAfter[j] = i;
+  };
+
+  pairByKey(before, after, partnerOfBefore, partnerOfAfter, pair, (section) => section.sectionId);
+  pairByKey(before, after, partnerOfBefore, partnerOfAfter, pair, (section) => normalizeHeading(section.text));
+  pairByKey(before, after, partnerOfBefore, partnerOfAfter, pair, (section) =>
+    section.hash !== EMPTY_BODY_HASH ? section.hash : null
+  );
+  pairBySlot(before, after, partnerOfBefore, partnerOfAfter, pair);
+
+  const beforeParents = parentIndexes(before);
+  const afterParents = parentIndexes(after);
+  const inOrder = longestIncreasingRun(partnerOfBefore);
+
+  const headings = [];
+  const changedSections = [];
+  let unchangedCount = 0;
+
+  before.forEach((section, i) => {
+    const j = partnerOfBefore[i];
+    if (j < 0) {
+      headings.push({ change: HEADING_CHANGES.removed, before: section, after: null, beforeIndex: i, afterIndex: -1 });
+      return;
+    }
+
+    const entry = { before: section, after: after[j], beforeIndex: i, afterIndex: j };
+    const renamed = normalizeHeading(section.text) !== normalizeHeading(after[j].text);
+    const beforeParent = beforeParents[i] < 0 ? -1 : partnerOfBefore[beforeParents[i]];
+    // A parent that was removed makes no move of its own; its subsections just move up
+    const parentKept = beforeParents[i] < 0 || beforeParent >= 0;
+    const moved =
+      !inOrder.has(i) || section.level !== after[j].level || (parentKept && beforeParent !== afterParents[j]);
+    const bodyChanged = section.hash !== after[j].hash;
+
+    if (renamed) {
+      headings.push({ change: HEADING_CHANGES.renamed, ...entry });
+    }
+    if (moved) {
+      headings.push({ change: HEADING_CHANGES.moved, ...entry });
+    }
+    if (bodyChanged) {
+      const words = section.body !== null && after[j].body !== null ? diffWords(section.body, after[j].body) : null;
+      changedSections.push({ ...entry, words: words });
+    }
+    if (!renamed && !moved && !bodyChanged) {
+      unchangedCount++;
+    }
+  });
+
+  after.forEach((section, j) => {
+    if (partnerOfAfter[j] < 0) {
+      headings.push({ change: HEADING_CHANGES.added, before: null, after: section, beforeIndex: -1, afterIndex: j });
+    }
+  });
+
+  // Removed headings are listed where they used to be: after the current partner of the heading before them
+  const order = (entry) => {
+    if (entry.afterIndex >= 0) {
+      return entry.afterIndex;
+    }
+    for (let i = entry.beforeIndex - 1; i >= 0; i--) {
+      if (partnerOfBefore[i] >= 0) {
+        return partnerOfBefore[i] + 0.5;
+      }
+    }
+    return -0.5;
+  };
+  headings.sort((a, b) => order(a) - order(b));
+  changedSections.sort((a, b) => a.afterIndex - b.afterIndex);
+
+  return { headings, changedSections, unchangedCount };
+}
+
+// Pair unmatched sections with the same non-empty key, in document order
+function pairByKey(before, after, partnerOfBefore, partnerOfAfter, pair, keyOf) {
+  const waiting = new Map();
+  after.forEach((section, j) => {
+    const key = partnerOfAfter[j] < 0 ? keyOf(section) : null;
+    if (key) {
+      if (!waiting.has(key)) {
+        waiting.set(key, []);
+      }
+      waiting.get(key).push(j);
+    }
+  });
+
+  before.forEach((section, i) => {
+    const key = partnerOfBefore[i] < 0 ? keyOf(section) : null;
+    const candidates = key ? waiting.get(key) : null;
+    if (candidates && candidates.length > 0) {
+      pair(i, candidates.shift());
+    }
+  });
+}
+
+// Pair unmatched sections at the same level that lie between the same matched neighbours
+function pairBySlot(before, after, partnerOfBefore, partnerOfAfter, pair) {
+  before.forEach((section, i) => {
+    if (partnerOfBefore[i] >= 0) {
+      return;
+    }
+
+    let low = -1;
+    for (let k = i - 1; k >= 0 && low < 0; k--) {
+      low = partnerOfBefore[k];
+    }
+    let high = after.length;
+    for (let k = i + 1; k < before.length && high === after.length; k++) {
+      high = partnerOfBefore[k] >= 0 ? partnerOfBefore[k] : high;
+    }
+
+    for (let j = low + 1; j < high; j++) {
+      if (partnerOfAfter[j] < 0 && after[j].level === section.level) {
+        pair(i, j);
+        return;
+      }
+    }
+  });
+}
+
+// Parent position of every section in its outline, or -1 at the top
+function parentIndexes(sections) {
+  const items = sections.map((section) => ({ level: section.level }));
+  buildOutlineTree(items);
+  return items.map((item) => item.parentIndex);
+}
+
+// Indexes i of the longest run of matched sections whose partners keep increasing: the sections that
+// kept their order. The rest moved.
+function longestIncreasingRun(partners) {
+  const matched = partners.map((partner, i) => ({ partner, i })).filter((entry) => entry.partner >= 0);
+  const tails = [];
+  const previous = new Map();
+
+  matched.forEach((entry, position) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (matched[tails[middle]].partner < entry.partner) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous.set(position, low > 0 ? tails[low - 1] : -1);
+    tails[low] = position;
+  });
+
+  const kept = new Set();
+  for (let position = tails.length > 0 ? tails[tails.length - 1] : -1; position >= 0; ) {
+    kept.add(matched[position].i);
+    position = previous.get(position);
+  }
+  return kept;
+}
+
+// A body stored as JSON text, or null when it is not one
+function parseBody(text) {
+  try {
+    const body = JSON.parse(text);
+    return typeof body === "string" ? body : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeHeading(text) {
+  return (text || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// Word separates paragraphs with \r; line breaks are normalized so snapshots from different hosts compare equal
+function normalizeBody(text) {
+  return (text || "")
+    .replace(/\r\n?|\n/g, "\n")
+    .replace(/[ \t]+$/gm, "")
+    .trim();
+}
@@ -0,0 +1,212 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { DEFAULT_DRAFT_SERVICE_CONFIG } from "./draftService";
+
+// Names the pane's settings and last outline are stored under
+export const PANE_SETTINGS_KEY = "paneSettings";
+export const OUTLINE_CACHE_KEY = "outlineCache";
+export const OUTLINE_CACHE_VERSION = 1;
+export const OUTLINE_SNAPSHOT_KEY = "outlineSnapshot";
+
+// localStorage keys are scoped per document, since unlike document settings they are shared by all documents
+const STORAGE_PREFIX = "wordAddin";
+
+// Outlines longer than this are not cached, to keep document settings small
+export const MAX_CACHED_OUTLINE_ITEMS = 2000;
+
+const SECTION_HEADING_STYLES = ["Heading 1", "Heading 2", "Heading 3", "Title"];
+
+export const DEFAULT_PANE_SETTINGS = {
+  sectionHeadingStyle: "Heading 1",
+  autoTrack: false,
+  draftService: {
+    baseUrl: DEFAULT_DRAFT_SERVICE_CONFIG.baseUrl,
+    key: DEFAULT_DRAFT_SERVICE_CONFIG.key,
+    base: DEFAULT_DRAFT_SERVICE_CONFIG.base,
+    savePath: DEFAULT_DRAFT_SERVICE_CONFIG.savePath,
+  },
+};
+
+// Settings with unknown or malformed values replaced by their defaults
+export function normalizePaneSettings(raw) {
+  const settings = raw && typeof raw === "object" ? raw : {};
+  const draftService = settings.draftService && typeof settings.draftService === "object" ? settings.draftService : {};
+  const text = (value, fallback) => (typeof value === "string" ? value : fallback);
+
+  return {
+    sectionHeadingStyle: SECTION_HEADING_STYLES.includes(settings.sectionHeadingStyle)
+      ? settings.sectionHeadingStyle
+      : DEFAULT_PANE_SETTINGS.sectionHeadingStyle,
+    autoTrack: settings.autoTrack === true,
+    draftService: {
+      baseUrl: text(draftService.baseUrl, DEFAULT_PANE_SETTINGS.draftService.baseUrl),
+      key: text(draftService.key, DEFAULT_PANE_SETTINGS.draftService.key),
+      base: text(draftService.base, DEFAULT_PANE_SETTINGS.draftService.base),
+      savePath: text(draftService.savePath, DEFAULT_PANE_SETTINGS.draftService.savePath),
+    },
+  };
+}
+
+// 32-bit FNV-1a hash of a string, as 8 hex digits
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Hash of what the TOC shows: every heading's text, level and word count
+export function hashOutline(items) {
+  return hashText(items.map((item) => `${item.level}\u0000${item.text}\u0000${item.wordCount || 0}`).join("\n"));
+}
+
+// Cache entry for an outline, keeping only what can be shown without the document.
+// Paragraph ranges do not survive a reload, but content control ids do.
+export function createOutlineCache(items, savedAt = new Date()) {
+  return {
+    version: OUTLINE_CACHE_VERSION,
+    hash: hashOutline(items),
+    savedAt: savedAt.toISOString(),
+    items: items.map((item) => ({
+      text: item.text,
+      level: item.level,
+      style: item.style,
+      type: item.type,
+      wordCount: item.wordCount || 0,
+      ...(item.controlId !== undefined ? { controlId: item.controlId, sectionId: item.sectionId } : {}),
+    })),
+  };
+}
+
+// TOC items from a stored cache entry, or null when there is none or it has an unknown shape
+export function readOutlineCache(raw) {
+  if (!raw || raw.version !== OUTLINE_CACHE_VERSION || !Array.isArray(raw.items)) {
+    return null;
+  }
+
+  const items = raw.items
+    .filter((item) => item && typeof item.text === "string" && Number.isInteger(item.level))
+    .map((item, index) => ({ ...item, index: index, start: null, end: null }));
+  return { hash: raw.hash, savedAt: raw.savedAt, items: items };
+}
+
+// Store for values kept per document. Document settings travel with the file and are used when the
+// host provides them; localStorage keeps a copy for documents whose settings cannot be saved
+// (read-only files, hosts without settings support).
+//   documentSettings - Office.context.document.settings, or null
+//   storage          - window.localStorage, or null
+//   documentKey      - identifies the document in localStorage, such as its URL. Unsaved documents have
+//                      none and get no local copy, or every new document would open with the last one's.
+export function createSettingsStore({ documentSettings = null, storage = null, documentKey = "" } = {}) {
+  const localCopy = documentKey ? storage : null;
+  const storageKey = (name) => `${STORAGE_PREFIX}:${documentKey}:${name}`;
+
+  function read(name) {
+    if (documentSettings) {
+      const value = documentSettings.get(name);
+      if (value !== null && value !== undefined) {
+        return value;
+      }
+    }
+
+    if (localCopy) {
+      try {
+        const text = localCopy.getItem(storageKey(name));
+        return text ? JSON.parse(text) : null;
+      } catch (error) {
+        console.warn(`Could not read ${name} from local storage:`, error);
+      }
+    }
+    return null;
+  }
+
+  // Resolves to where the value was persisted: "document", "local" or "none"
+  async function write(name, value) {
+    let savedTo = "none";
+
+    if (localCopy) {
+      try {
+        localCopy.setItem(storageKey(name), JSON.stringify(value));
+        savedTo = "local";
+      } catch (error) {
+        console.warn(`Could not write ${name} to local storage:`, error);
+      }
+    }
+
+    if (documentSettings) {
+      const previous = documentSettings.get(name);
+      documentSettings.set(name, value);
+      try {
+        await saveDocumentSettings(documentSettings);
+        savedTo = "document";
+      } catch (error) {
+        console.warn(`Could not save ${name} to the document settings:`, error);
+        // Put back what the file holds, so the next successful save of another value does not persist this one
+        if (previous === null || previous === undefined) {
+          documentSettings.remove(name);
+        } else {
+          documentSettings.set(name, previous);
+        }
+      }
+    }
+    return savedTo;
+  }
+
+  return {
+    loadSettings() {
+      return normalizePaneSettings(read(PANE_SETTINGS_KEY));
+    },
+
+    saveSettings(settings) {
+      return write(PANE_SETTINGS_KEY, normalizePaneSettings(settings));
+    },
+
+    loadOutline() {
+      return readOutlineCache(read(OUTLINE_CACHE_KEY));
+    },
+
+    // Only writes when the outline differs from the cached one, so unchanged refreshes leave the document alone.
+    // Resolves to true when the cache was updated.
+    async saveOutline(items) {
+      if (items.length > MAX_CACHED_OUTLINE_ITEMS) {
+        return false;
+      }
+
+      const cached = read(OUTLINE_CACHE_KEY);
+      const entry = createOutlineCache(items);
+      if (cached && cached.version === OUTLINE_CACHE_VERSION && cached.hash === entry.hash) {
+        return false;
+      }
+      await write(OUTLINE_CACHE_KEY, entry);
+      return true;
+    },
+
+    // The outline snapshot as stored; read it with readOutlineSnapshot
+    loadSnapshot() {
+      return read(OUTLINE_SNAPSHOT_KEY);
+    },
+
+    // Resolves to where the snapshot was persisted: "document", "local" or "none"
+    saveSnapshot(snapshot) {
+      return write(OUTLINE_SNAPSHOT_KEY, snapshot);
+    },
+  };
+}
+
+// Office.AsyncResultStatus.Succeeded is "succeeded"; compared as a string so the module runs without Office.js
+function saveDocumentSettings(documentSettings) {
+  return new Promise((resolve, reject) => {
+    documentSettings.saveAsync((result) => {
+      if (result.status === "succeeded") {
+        resolve();
+      } else {
+        reject(result.error);
+      }
+    });
+  });
+}
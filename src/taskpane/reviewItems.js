@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { findSectionFromPosition } from "./documentOutline";
+
+// Comments and tracked changes as listed in the review panel:
+//   { kind, author, date, text, resolved, start, end }
+// Tracked changes are never resolved; they stay open until accepted or rejected.
+
+export const REVIEW_KINDS = {
+  comment: "comment",
+  insertion: "insertion",
+  deletion: "deletion",
+  formatting: "formatting",
+};
+
+// Word.TrackedChangeType values, compared as strings so the module runs without Office.js
+const TRACKED_CHANGE_KINDS = {
+  Added: REVIEW_KINDS.insertion,
+  Deleted: REVIEW_KINDS.deletion,
+  Formatted: REVIEW_KINDS.formatting,
+};
+
+// status: "all" or "unresolved"; kind: "all" or one of REVIEW_KINDS; author: "" for everyone
+export const DEFAULT_REVIEW_FILTERS = { status: "all", kind: "all", author: "" };
+
+// Review kind for a tracked change type, or null for types the panel does not list
+export function trackedChangeKind(type) {
+  return TRACKED_CHANGE_KINDS[type] || null;
+}
+
+// Place each review item in the TOC section it starts in, with the same boundaries as
+// findSectionFromPosition: the last TOC item starting at or before it, or position -1 before the first.
+// TOC items whose start is not known (null, e.g. a heading deleted since the scan) take no items.
+//
+// Returns [{ itemIndex, position, ...item }] in the order given.
+export function assignReviewItemsToSections(items, tocItems) {
+  const positions = new Map(tocItems.map((tocItem, position) => [tocItem, position]));
+  const located = tocItems.filter((tocItem) => tocItem.start !== null && tocItem.start !== undefined);
+
+  return items.map((item, itemIndex) => {
+    const section = findSectionFromPosition(item.start, located);
+    return { itemIndex, position: section ? positions.get(section) : -1, ...item };
+  });
+}
+
+export function filterReviewItems(items, filters = DEFAULT_REVIEW_FILTERS) {
+  const { status = "all", kind = "all", author = "" } = filters;
+
+  return items.filter(
+    (item) =>
+      (status !== "unresolved" || !item.resolved) &&
+      (kind === "all" || item.kind === kind) &&
+      (!author || item.author === author)
+  );
+}
+
+// Authors of the review items, sorted by name
+export function listReviewAuthors(items) {
+  return Array.from(new Set(items.map((item) => item.author).filter(Boolean))).sort((a, b) =>
+    a.localeCompare(b, undefined, { sensitivity: "base" })
+  );
+}
+
+// Counts per section position for assigned review items:
+// Map position -> { comments, openComments, insertions, deletions, formatting }
+export function countReviewItemsBySection(items) {
+  const counts = new Map();
+
+  items.forEach((item) => {
+    if (!counts.has(item.position)) {
+      counts.set(item.position, { comments: 0, openComments: 0, insertions: 0, deletions: 0, formatting: 0 });
+    }
+    const sectionCounts = counts.get(item.position);
+
+    if (item.kind === REVIEW_KINDS.comment) {
+      sectionCounts.comments++;
+      if (!item.resolved) {
+        sectionCounts.openComments++;
+      }
+    } else if (item.kind === REVIEW_KINDS.insertion) {
+      sectionCounts.insertions++;
+    } else if (item.kind === REVIEW_KINDS.deletion) {
+      sectionCounts.deletions++;
+    } else if (item.kind === REVIEW_KINDS.formatting) {
+      sectionCounts.formatting++;
+    }
+  });
+
+  return counts;
+}
+
+// Assigned review items grouped by section in document order: [{ position, items }]
+export function groupReviewItemsBySection(items) {
+  const groups = new Map();
+
+  items.forEach((item) => {
+    if (!groups.has(item.position)) {
+      groups.set(item.position, { position: item.position, items: [] });
+    }
+    groups.get(item.position).items.push(item);
+  });
+
+  return Array.from(groups.values()).sort((a, b) => a.position - b.position);
+}
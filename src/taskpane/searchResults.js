@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Characters of surrounding paragraph text shown on each side of a search hit
+export const SEARCH_SNIPPET_CONTEXT = 40;
+
+// Word rejects search strings longer than this
+export const SEARCH_TEXT_LIMIT = 255;
+
+// Group search hits ({ start, ... } in document order) under the TOC item each one falls in: the last
+// item starting at or before the hit. Hits before the first heading form a group with position -1.
+// Items whose start is not known (null, as restored from the outline cache) take no hits.
+//
+// Returns [{ position, hits: [{ hitIndex, ...hit }] }] in document order, leaving out empty sections.
+export function groupHitsBySection(hits, tocItems) {
+  const located = tocItems
+    .map((item, position) => ({ start: item.start, position }))
+    .filter((entry) => entry.start !== null && entry.start !== undefined);
+  const groups = [];
+  let group = null;
+  let next = 0;
+  let position = -1;
+
+  hits.forEach((hit, hitIndex) => {
+    while (next < located.length && located[next].start <= hit.start) {
+      position = located[next].position;
+      next++;
+    }
+
+    if (!group || group.position !== position) {
+      group = { position: position, hits: [] };
+      groups.push(group);
+    }
+    group.hits.push({ hitIndex, ...hit });
+  });
+
+  return groups;
+}
+
+// { before, match, after } around the `occurrence`-th (0-based) appearance of the matched text in its
+// paragraph. Word wildcard matches are literal text by the time they are loaded, so a plain
+// case-insensitive lookup finds them. Falls back to the paragraph start when the text is not found.
+export function buildSearchSnippet(paragraphText, matchText, occurrence = 0, contextLength = SEARCH_SNIPPET_CONTEXT) {
+  const text = (paragraphText || "").replace(/\s+/g, " ");
+  const match = (matchText || "").replace(/\s+/g, " ");
+  const haystack = text.toLowerCase();
+  const needle = match.toLowerCase();
+
+  let index = needle ? haystack.indexOf(needle) : -1;
+  for (let seen = 0; index >= 0 && seen < occurrence; seen++) {
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  if (index < 0) {
+    return { before: "", match: match, after: truncate(text, contextLength * 2) };
+  }
+
+  const beforeStart = Math.max(0, index - contextLength);
+  const afterEnd = Math.min(text.length, index + match.length + contextLength);
+  return {
+    before: (beforeStart > 0 ? "…" : "") + text.slice(beforeStart, index),
+    match: text.slice(index, index + match.length),
+    after: text.slice(index + match.length, afterEnd) + (afterEnd < text.length ? "…" : ""),
+  };
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Section content controls wrap a heading and its body up to the next heading at the same or a
+// higher level. Their tag is section:<uuid>:<level>, so sections are recognized by schema and
+// keep a stable id when the heading text changes. Subsections are nested inside their parent.
+
+const SECTION_TAG_PATTERN = /^section:([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}):([1-9])$/i;
+
+// Problems the repair check reports, and how each is fixed
+export const SECTION_CONTROL_PROBLEMS = {
+  duplicateId: { kind: "duplicate-id", fix: "new-id" },
+  orphaned: { kind: "orphaned", fix: "unwrap" },
+  nestedIncorrectly: { kind: "nested-incorrectly", fix: "unwrap" },
+  levelMismatch: { kind: "level-mismatch", fix: "retag" },
+};
+
+export function createSectionTag(level, id = newSectionId()) {
+  return `section:${id.toLowerCase()}:${level}`;
+}
+
+// { id, level } for a section control tag, or null for any other tag
+export function parseSectionTag(tag) {
+  const match = SECTION_TAG_PATTERN.exec(tag || "");
+  return match ? { id: match[1].toLowerCase(), level: parseInt(match[2], 10) } : null;
+}
+
+// Random RFC 4122 version 4 id
+export function newSectionId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Check the section controls of a document, given in document order as
+//   { controlId, tag, parentTag, headingText, headingLevel }
+// where parentTag is the tag of the nearest enclosing content control (null at the top level)
+// and headingLevel the level of the control's first paragraph (null when it is not a heading).
+//
+// Returns [{ controlId, kind, fix, level, message }]; fix is "new-id" (give the control a fresh id),
+// "unwrap" (remove the control, keeping its content) or "retag" (record `level` in the tag).
+export function findSectionControlProblems(controls) {
+  const problems = [];
+  const seenIds = new Set();
+
+  controls.forEach((control) => {
+    const section = parseSectionTag(control.tag);
+    if (!section) {
+      return;
+    }
+
+    const add = (problem, message, level = section.level) => {
+      problems.push({ controlId: control.controlId, kind: problem.kind, fix: problem.fix, level, message });
+    };
+    const name = control.headingText ? `"${control.headingText}"` : `Section ${section.id.slice(0, 8)}`;
+
+    // Copy and paste duplicates the tag along with the content
+    if (seenIds.has(section.id)) {
+      add(SECTION_CONTROL_PROBLEMS.duplicateId, `${name} has the same section id as an earlier section`);
+    }
+    seenIds.add(section.id);
+
+    if (!control.headingText || control.headingLevel === null || control.headingLevel < 1) {
+      add(SECTION_CONTROL_PROBLEMS.orphaned, `${name} no longer starts with a heading`);
+      return;
+    }
+
+    // Other controls (such as inserted drafts) may hold sections, but a section only belongs inside a shallower one
+    const parent = parseSectionTag(control.parentTag);
+    if (parent && parent.level >= section.level) {
+      add(
+        SECTION_CONTROL_PROBLEMS.nestedIncorrectly,
+        `${name} (level ${section.level}) is nested inside a level ${parent.level} section`
+      );
+      return;
+    }
+
+    if (control.headingLevel !== section.level) {
+      add(
+        SECTION_CONTROL_PROBLEMS.levelMismatch,
+        `${name} is tagged level ${section.level} but its heading is level ${control.headingLevel}`,
+        control.headingLevel
+      );
+    }
+  });
+
+  return problems;
+}
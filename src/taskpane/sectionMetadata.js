@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { newSectionId } from "./sectionControls";
+import { escapeXml, unescapeXml } from "./xmlText";
+
+// Section status, owner and due date, kept in a custom XML part so they are saved with the document:
+//
+//   <sectionMetadata xmlns="...">
+//     <section key="section:<uuid>" status="inReview" owner="Ana" due="2024-06-30"/>
+//   </sectionMetadata>
+//
+// Keys follow the section rather than its heading text: section controls are keyed by the id in
+// their tag, and plain headings by a hidden bookmark on the heading paragraph, so both stay
+// attached when the heading is renamed or moved.
+
+export const SECTION_METADATA_NAMESPACE = "urn:contoso:word-toc:section-metadata";
+
+// Prefix of the hidden bookmarks that key headings outside section controls
+export const SECTION_METADATA_BOOKMARK_PREFIX = "_SectionMeta_";
+
+// Statuses in workflow order, with their labels
+export const SECTION_STATUSES = {
+  draft: "Draft",
+  inReview: "In review",
+  approved: "Approved",
+};
+
+// Filter and group value for sections without a status
+export const NO_STATUS = "none";
+
+// status: "all", NO_STATUS or one of SECTION_STATUSES; owner: "" for everyone
+export const DEFAULT_SECTION_METADATA_FILTERS = { status: "all", owner: "" };
+
+const DUE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SECTION_ELEMENT_PATTERN = /<(?:[\w.-]+:)?section\b([^>]*?)\/?>/g;
+const ATTRIBUTE_PATTERN = /([\w.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// A fresh hidden bookmark name for a heading
+export function newSectionMetadataBookmarkName() {
+  return SECTION_METADATA_BOOKMARK_PREFIX + newSectionId().replace(/-/g, "").slice(0, 20);
+}
+
+// Metadata key for a TOC item, given the names of the bookmarks on its heading, or null when the
+// heading has no key yet
+export function sectionMetadataKey(item, bookmarkNames = []) {
+  if (item.sectionId) {
+    return `section:${item.sectionId}`;
+  }
+  const bookmark = bookmarkNames.find((name) => name.startsWith(SECTION_METADATA_BOOKMARK_PREFIX));
+  return bookmark ? `bookmark:${bookmark}` : null;
+}
+
+// Bookmark name in a metadata key, or null for section control keys
+export function sectionMetadataBookmark(key) {
+  return key && key.startsWith("bookmark:") ? key.slice("bookmark:".length) : null;
+}
+
+// Metadata with unknown statuses, blank owners and malformed dates dropped, or null when nothing is left
+export function normalizeSectionMetadata(raw) {
+  const entry = raw && typeof raw === "object" ? raw : {};
+  const metadata = {
+    status: Object.prototype.hasOwnProperty.call(SECTION_STATUSES, entry.status) ? entry.status : "",
+    owner: typeof entry.owner === "string" ? entry.owner.replace(/\s+/g, " ").trim() : "",
+    due: typeof entry.due === "string" && DUE_DATE_PATTERN.test(entry.due) ? entry.due : "",
+  };
+  return metadata.status || metadata.owner || metadata.due ? metadata : null;
+}
+
+// Map key -> metadata from the XML part's content; empty for a missing or unreadable part
+export function parseSectionMetadataXml(xml) {
+  const metadata = new Map();
+
+  for (const element of (xml || "").matchAll(SECTION_ELEMENT_PATTERN)) {
+    const attributes = {};
+    for (const attribute of element[1].matchAll(ATTRIBUTE_PATTERN)) {
+      attributes[attribute[1]] = unescapeXml(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+    }
+
+    const entry = normalizeSectionMetadata(attributes);
+    if (attributes.key && entry) {
+      metadata.set(attributes.key, entry);
+    }
+  }
+  return metadata;
+}
+
+// Content of the XML part for a map of key -> metadata, in key order so saves compare equal
+export function serializeSectionMetadataXml(metadata) {
+  const sections = Array.from(metadata.entries())
+    .map(([key, raw]) => [key, normalizeSectionMetadata(raw)])
+    .filter(([key, entry]) => key && entry)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, entry]) => {
+      const attributes = [["key", key], ...Object.entries(entry).filter(([, value]) => value)];
+      return `  <section ${attributes.map(([name, value]) => `${name}="${escapeXml(value)}"`).join(" ")}/>\n`;
+    })
+    .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<sectionMetadata xmlns="${SECTION_METADATA_NAMESPACE}">\n` +
+    sections +
+    "</sectionMetadata>\n"
+  );
+}
+
+// Whether the section is due before `today` and not approved yet
+export function isSectionOverdue(entry, today = new Date()) {
+  if (!entry || !entry.due || entry.status === "approved") {
+    return false;
+  }
+  return entry.due < localDateString(today);
+}
+
+// Positions of the TOC items to show for the filters: the sections that match and the headings
+// above them, so every match keeps its place in the outline. metadataAt(position) gives the
+// metadata of a section, or null.
+export function filterSectionsByMetadata(items, metadataAt, filters = DEFAULT_SECTION_METADATA_FILTERS) {
+  const { status = "all", owner = "" } = filters;
+  const visible = new Set();
+
+  const stack = [];
+  items.forEach((item, position) => {
+    while (stack.length > 0 && items[stack[stack.length - 1]].level >= item.level) {
+      stack.pop();
+    }
+
+    const entry = metadataAt(position);
+    const entryStatus = entry && entry.status ? entry.status : NO_STATUS;
+    const matches =
+      (status === "all" || entryStatus === status) && (!owner || (entry !== null && entry.owner === owner));
+    if (matches) {
+      visible.add(position);
+      stack.forEach((ancestor) => visible.add(ancestor));
+    }
+    stack.push(position);
+  });
+
+  return visible;
+}
+
+// Owners named in the metadata, sorted by name
+export function listSectionOwners(metadata) {
+  return Array.from(new Set(Array.from(metadata.values(), (entry) => entry.owner).filter(Boolean))).sort((a, b) =>
+    a.localeCompare(b, undefined, { sensitivity: "base" })
+  );
+}
+
+// Sections grouped for the summary view.
+// Returns
+//   byStatus: [{ status, positions }] in workflow order, then NO_STATUS; only groups with sections
+//   byOwner: [{ owner, positions }] sorted by owner, with "" (unassigned) last
+//   overdue: positions of the overdue sections
+export function summarizeSectionMetadata(items, metadataAt, today = new Date()) {
+  const byStatus = new Map([...Object.keys(SECTION_STATUSES), NO_STATUS].map((status) => [status, []]));
+  const byOwner = new Map();
+  const overdue = [];
+
+  items.forEach((item, position) => {
+    const entry = metadataAt(position);
+    byStatus.get(entry && entry.status ? entry.status : NO_STATUS).push(position);
+
+    const owner = entry ? entry.owner : "";
+    if (!byOwner.has(owner)) {
+      byOwner.set(owner, []);
+    }
+    byOwner.get(owner).push(position);
+
+    if (isSectionOverdue(entry, today)) {
+      overdue.push(position);
+    }
+  });
+
+  const owners = Array.from(byOwner.keys()).sort((a, b) => {
+    if (!a || !b) {
+      return a ? -1 : b ? 1 : 0;
+    }
+    return a.localeCompare(b, undefined, { sensitivity: "base" });
+  });
+
+  return {
+    byStatus: Array.from(byStatus, ([status, positions]) => ({ status, positions })).filter(
+      (group) => group.positions.length > 0
+    ),
+    byOwner: owners.map((owner) => ({ owner, positions: byOwner.get(owner) })),
+    overdue,
+  };
+}
+
+// YYYY-MM-DD of a date in local time, as <input type="date"> reads and writes it
+export function localDateString(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { countWords } from "./headingScanner";
+
+// Average silent reading speed for technical prose
+export const READING_WORDS_PER_MINUTE = 230;
+
+// Counts shown for every section, in table and CSV column order. Counts the host cannot
+// provide (footnotes before WordApi 1.5, comments before 1.4) are null.
+export const SECTION_STAT_COLUMNS = [
+  { key: "words", label: "Words" },
+  { key: "characters", label: "Characters" },
+  { key: "readingMinutes", label: "Reading time (min)" },
+  { key: "tables", label: "Tables" },
+  { key: "pictures", label: "Inline pictures" },
+  { key: "footnotes", label: "Footnotes" },
+  { key: "comments", label: "Comments" },
+];
+
+// Char codes of the paragraph (CR, LF), line-break (VT) and table cell (BEL) marks in Word text;
+// they are not characters a reader sees
+const WORD_MARK_CODES = new Set([0x0d, 0x0a, 0x0b, 0x07]);
+
+// Statistics for one section from its text and the object counts loaded for its range
+export function buildSectionStats(title, text, counts = {}) {
+  const words = countWords(text);
+  return {
+    title: title,
+    words: words,
+    characters: countVisibleCharacters(text || ""),
+    readingMinutes: words / READING_WORDS_PER_MINUTE,
+    tables: valueOrNull(counts.tables),
+    pictures: valueOrNull(counts.pictures),
+    footnotes: valueOrNull(counts.footnotes),
+    comments: valueOrNull(counts.comments),
+  };
+}
+
+// Column-wise totals. A count stays null when no section could provide it.
+export function totalSectionStats(rows, title = "Total") {
+  const totals = { title: title };
+  SECTION_STAT_COLUMNS.forEach(({ key }) => {
+    const values = rows.map((row) => row[key]).filter((value) => value !== null && value !== undefined);
+    totals[key] = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+  });
+  return totals;
+}
+
+// "< 1 min", "12 min", "1 h 5 min"
+export function formatReadingTime(minutes) {
+  const rounded = Math.round(minutes);
+  if (rounded < 1) {
+    return "< 1 min";
+  }
+  if (rounded < 60) {
+    return `${rounded} min`;
+  }
+  const remainder = rounded % 60;
+  return remainder ? `${Math.floor(rounded / 60)} h ${remainder} min` : `${rounded / 60} h`;
+}
+
+// CSV with a header, one row per section and a final totals row
+export function sectionStatsToCsv(rows, totals) {
+  const header = ["Section", ...SECTION_STAT_COLUMNS.map((column) => column.label)];
+  const toCells = (row) => [
+    row.title,
+    ...SECTION_STAT_COLUMNS.map(({ key }) => {
+      const value = row[key];
+      if (value === null || value === undefined) {
+        return "";
+      }
+      return key === "readingMinutes" ? value.toFixed(1) : String(value);
+    }),
+  ];
+
+  return (
+    [header, ...rows.map(toCells), ...(totals ? [toCells(totals)] : [])]
+      .map((cells) => cells.map(escapeCsvCell).join(","))
+      .join("\r\n") + "\r\n"
+  );
+}
+
+function countVisibleCharacters(text) {
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (!WORD_MARK_CODES.has(text.charCodeAt(i))) {
+      count++;
+    }
+  }
+  return count;
+}
+
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+// Quote cells containing separators or quotes, and neutralize leading characters spreadsheets treat as formulas
+function escapeCsvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
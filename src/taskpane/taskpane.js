@@ -5,9 +5,214 @@
 
 /* global document, Office, Word */
 
+import { scanHeadings } from "./headingScanner";
+import { buildOutlineTree, findSectionBoundary, findSibling, sectionDescendants } from "./outline";
+import { OUTLINE_EXPORT_FORMATS } from "./outlineExport";
+import {
+  createDraftServiceClient,
+  DEFAULT_DRAFT_SERVICE_CONFIG,
+  DraftServiceConflictError,
+  DraftServiceError,
+  filterAndSortDrafts,
+} from "./draftService";
+import { describeDocumentLocation, DocumentLocation, parseDocumentUrl } from "./documentUrl";
+import {
+  BUILT_IN_PROPERTIES,
+  BUILT_IN_PROPERTY_LOAD,
+  coerceCustomPropertyValue,
+  customPropertiesToAdd,
+  findMissingProperties,
+  formatPropertyValue,
+  PROPERTY_TEMPLATES,
+} from "./documentProperties";
+import { diffLines } from "./textDiff";
+import {
+  addSnapshotBodies,
+  createOutlineSnapshot,
+  diffOutlineSnapshots,
+  HEADING_CHANGES,
+  OUTLINE_SNAPSHOT_NAMESPACE,
+  outlineSnapshotSummary,
+  readOutlineSnapshot,
+  sectionBodyText,
+  serializeSnapshotBodiesXml,
+} from "./outlineSnapshot";
+import { parseOutline, planSkeleton, validateOutline } from "./outlineImport";
+import {
+  filterSectionsByMetadata,
+  isSectionOverdue,
+  listSectionOwners,
+  newSectionMetadataBookmarkName,
+  normalizeSectionMetadata,
+  parseSectionMetadataXml,
+  SECTION_METADATA_NAMESPACE,
+  SECTION_STATUSES,
+  sectionMetadataBookmark,
+  sectionMetadataKey,
+  serializeSectionMetadataXml,
+  summarizeSectionMetadata,
+} from "./sectionMetadata";
+import { lintHeadingStructure } from "./headingLint";
+import {
+  APPENDIX_AUTO,
+  APPENDIX_NONE,
+  computeOutlineNumbers,
+  findOutlineNumber,
+  formatNumberPrefix,
+  stripOutlineNumber,
+} from "./headingNumbering";
+import {
+  buildSectionStats,
+  formatReadingTime,
+  SECTION_STAT_COLUMNS,
+  sectionStatsToCsv,
+  totalSectionStats,
+} from "./sectionStats";
+import {
+  createSectionTag,
+  findSectionControlProblems,
+  parseSectionTag,
+  SECTION_CONTROL_PROBLEMS,
+} from "./sectionControls";
+import {
+  bookmarkNameForHeading,
+  crossReferenceText,
+  findSectionReferences,
+  findStaleReferences,
+} from "./crossReferences";
+import {
+  countHeadingParagraphs,
+  findHeadingsByStyle,
+  findSectionFromPosition,
+  readCurrentSection,
+  readTableOfContents,
+  readTocItemPositions,
+  refreshSectionHeadings,
+} from "./documentOutline";
+import { createSettingsStore } from "./paneSettings";
+import {
+  assignReviewItemsToSections,
+  countReviewItemsBySection,
+  filterReviewItems,
+  groupReviewItemsBySection,
+  listReviewAuthors,
+  REVIEW_KINDS,
+  trackedChangeKind,
+} from "./reviewItems";
+import { buildSearchSnippet, groupHitsBySection, SEARCH_TEXT_LIMIT } from "./searchResults";
+import { levelFromStyleName, MAX_HEADING_LEVEL, normalizeStyleMap, resolveHeadingLevel } from "./headingLevels";
+import {
+  buildTocFieldSwitches,
+  DEFAULT_TOC_FIELD_OPTIONS,
+  generatedTocTag,
+  headingBookmarkName,
+  HEADING_BOOKMARK_PREFIX,
+  isTocFieldCode,
+  normalizeTocFieldOptions,
+  parseGeneratedTocTag,
+  selectTocEntries,
+} from "./tocField";
+
 // Global variables for tracking
 let currentTocItems = [];
-let autoTrackInterval = null;
+let currentTocTree = [];
+let autoTracking = false;
+let selectionChangeTimer = null;
+let sectionUpdateInFlight = false;
+let sectionUpdatePending = false;
+let contentChangeHandlers = [];
+
+// Drafts from the last successful load, and the one shown in the preview
+let loadedDrafts = [];
+let previewedDraft = null;
+
+// Custom properties as last loaded, so saves only touch what changed
+let loadedCustomProperties = [];
+
+// Pane settings and the last outline, remembered per document
+let paneSettingsStore = null;
+
+// Custom style name -> heading level mapping, persisted in the document settings
+const HEADING_STYLE_MAP_SETTING = "headingStyleMap";
+let headingStyleMap = [];
+
+// Per-section statistics as last computed: { style, rows, totals }
+let sectionStatistics = null;
+
+// TOC entry the section context menu was opened on
+let contextMenuIndex = null;
+
+// Findings of the last structure check; flagged paragraphs are tracked for jumps and fixes
+let lintFindings = [];
+
+// Problems found by the last section control check
+let sectionControlProblems = [];
+
+// Section control titles show the start of the heading text
+const SECTION_CONTROL_TITLE_LENGTH = 60;
+const SECTION_CONTROL_FIX_LABELS = {
+  "new-id": "Repair gives it a new section id",
+  unwrap: "Repair removes the control and keeps its content",
+  retag: "Repair updates the level in its tag",
+};
+
+// Hits of the last document search (tracked ranges), grouped by TOC section, and the selected hit
+let searchHits = [];
+let searchGroups = [];
+let activeSearchHit = -1;
+let lastSearch = null;
+
+// Hits beyond this are counted but not listed
+const MAX_SEARCH_RESULTS = 500;
+
+// Stale "Section X.Y" references found by the last check; their paragraphs are tracked for jumps
+let staleReferences = [];
+
+// Comments and tracked changes as last loaded, in document order, with their ranges tracked for jumps
+let reviewItems = [];
+
+// The TOC items with their heading positions read in the same batch as reviewItems, to place them by
+let reviewTocItems = [];
+
+// Review item text is cut to this many characters in the list
+const REVIEW_TEXT_LENGTH = 120;
+const REVIEW_KIND_LABELS = {
+  [REVIEW_KINDS.comment]: "Comment",
+  [REVIEW_KINDS.insertion]: "Insertion",
+  [REVIEW_KINDS.deletion]: "Deletion",
+  [REVIEW_KINDS.formatting]: "Formatting",
+};
+
+// Baseline outline snapshot: the one stored in the document, or one imported this session
+let outlineSnapshot = null;
+
+// Tokens (words and the spaces between them) of unchanged text kept around each change in a section diff
+const SNAPSHOT_DIFF_CONTEXT = 16;
+const SNAPSHOT_CHANGE_LABELS = {
+  [HEADING_CHANGES.added]: "Added",
+  [HEADING_CHANGES.removed]: "Removed",
+  [HEADING_CHANGES.renamed]: "Renamed",
+  [HEADING_CHANGES.moved]: "Moved",
+};
+
+// Outline items of the last skeleton preview; insert is only offered for a previewed outline
+let skeletonItems = [];
+
+// Status, owner and due date of the sections, as stored in the document, keyed by sectionMetadataKey.
+// TOC items carry their key as metadataKey once it is known.
+let sectionMetadata = new Map();
+
+// Cancellation flags for the paragraph scans currently running, if any
+let activeTocScan = null;
+let activeSectionScan = null;
+
+// Section headings cached per boundary style, with their ranges and paragraphs tracked in `context`.
+// The cache goes stale on paragraph change events; without them (before WordApi 1.6) it is checked
+// against the number of paragraphs at the boundary level, as counted when it was built.
+let headingIndexCache = { context: null, style: null, headings: null, headingParagraphCount: null, stale: true };
+
+// Delay after the last selection change before the current section is recomputed
+const SELECTION_DEBOUNCE_MS = 150;
 
 // Enhanced logging function for debugging
 function debugLog(functionName, message, data = null) {
@@ -54,21 +259,271 @@ Office.onReady((info) => {
       debugLog("getSharePointPath", "Button clicked - getting SharePoint path");
       getSharePointPath();
     };
+    document.getElementById("showProperties").onclick = () => {
+      debugLog("showProperties", "Button clicked - loading document properties");
+      showDocumentProperties();
+    };
+    document.getElementById("addCustomProperty").onclick = () => addCustomPropertyRow({ key: "", value: "" }, true);
+    document.getElementById("saveProperties").onclick = saveDocumentProperties;
+    document.getElementById("applyPropertyTemplate").onclick = applyPropertyTemplate;
+    const templateOptions = PROPERTY_TEMPLATES.map(
+      (template) => `<option value="${template.id}">${escapeHtml(template.name)}</option>`
+    );
+    document.getElementById("property-template").innerHTML =
+      `<option value="">No template</option>` + templateOptions.join("");
+    document.getElementById("property-template").onchange = flagMissingProperties;
+
     document.getElementById("getCurrentSection").onclick = () => {
       debugLog("getCurrentSection", "Button clicked - getting current section");
       const selectedStyle = document.getElementById("sectionHeadingStyle").value;
       getCurrentSection(selectedStyle);
     };
-    document.getElementById("testApi").onclick = () => {
-      debugLog("testApi", "Button clicked - testing AWS API");
-      testAwsApi();
+    document.getElementById("showSectionStats").onclick = () => {
+      debugLog("showSectionStats", "Button clicked - computing section statistics");
+      showSectionStatistics(document.getElementById("sectionHeadingStyle").value);
+    };
+    document.getElementById("downloadSectionStats").onclick = downloadSectionStatistics;
+    document.getElementById("loadDrafts").onclick = () => {
+      debugLog("loadDrafts", "Button clicked - loading drafts");
+      loadDrafts();
+    };
+    document.getElementById("draft-search").oninput = renderDraftList;
+    document.getElementById("draft-sort").onchange = renderDraftList;
+    document.getElementById("insertDraftAtCursor").onclick = () => insertDraft(previewedDraft, "cursor");
+    document.getElementById("replaceSectionWithDraft").onclick = () => insertDraft(previewedDraft, "section");
+    document.getElementById("appendDraft").onclick = () => insertDraft(previewedDraft, "end");
+    document.getElementById("saveSectionDraft").onclick = () => {
+      debugLog("saveSectionDraft", "Button clicked - saving current section as draft");
+      saveAsDraft("section");
+    };
+    document.getElementById("saveDocumentDraft").onclick = () => saveAsDraft("document");
+
+    // Settings and the last outline are remembered per document
+    paneSettingsStore = createSettingsStore({
+      documentSettings: Office.context.document.settings,
+      storage: getLocalStorage(),
+      documentKey: Office.context.document.url,
+    });
+    const paneSettings = paneSettingsStore.loadSettings();
+    applyPaneSettings(paneSettings);
+    ["sectionHeadingStyle", "draft-base-url", "draft-key", "draft-base", "draft-save-path"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", savePaneSettings);
+    });
+
+    document.getElementById("toggleStyleMap").onclick = toggleStyleMapSection;
+    document.getElementById("addStyleMapRow").onclick = () => addStyleMapRow({ style: "", level: 1 });
+    document.getElementById("saveStyleMap").onclick = saveHeadingStyleMap;
+
+    // Custom heading styles are stored with the document
+    loadHeadingStyleMap();
+
+    document.getElementById("tocCancelScan").onclick = cancelTocScan;
+    document.getElementById("copyOutline").onclick = () => exportOutline("copy");
+    document.getElementById("downloadOutline").onclick = () => exportOutline("download");
+    document.getElementById("checkStructure").onclick = () => {
+      debugLog("checkStructure", "Button clicked - checking heading structure");
+      checkHeadingStructure();
+    };
+
+    document.getElementById("toggleSectionControls").onclick = toggleSectionControlsSection;
+    document.getElementById("wrapSectionControls").onclick = () => {
+      debugLog("wrapSectionControls", "Button clicked - wrapping sections in content controls");
+      wrapSectionsInControls();
+    };
+    document.getElementById("checkSectionControls").onclick = () => {
+      debugLog("checkSectionControls", "Button clicked - checking section content controls");
+      checkSectionControls();
+    };
+    document.getElementById("repairSectionControls").onclick = () => {
+      debugLog("repairSectionControls", "Button clicked - repairing section content controls");
+      repairSectionControls();
+    };
+
+    document.getElementById("toggleSearch").onclick = toggleSearchSection;
+    document.getElementById("runSearch").onclick = () => {
+      debugLog("runSearch", "Button clicked - searching the document");
+      searchDocument();
+    };
+    document.getElementById("search-text").onkeydown = (event) => {
+      if (event.key === "Enter") {
+        searchDocument();
+      }
+    };
+    document.getElementById("searchPrevious").onclick = () => stepSearchHit(-1);
+    document.getElementById("searchNext").onclick = () => stepSearchHit(1);
+
+    document.getElementById("toggleCrossReferences").onclick = toggleCrossReferenceSection;
+    document.getElementById("bookmarkHeading").onclick = () => {
+      debugLog("bookmarkHeading", "Button clicked - bookmarking heading");
+      bookmarkSelectedHeading();
+    };
+    document.getElementById("insertCrossReference").onclick = () => {
+      debugLog("insertCrossReference", "Button clicked - inserting cross-reference");
+      insertCrossReference();
+    };
+    document.getElementById("checkReferences").onclick = () => {
+      debugLog("checkReferences", "Button clicked - checking section references");
+      checkSectionReferences();
+    };
+
+    document.getElementById("toggleReview").onclick = toggleReviewSection;
+    document.getElementById("loadReview").onclick = () => {
+      debugLog("loadReview", "Button clicked - loading comments and tracked changes");
+      loadReviewItems();
+    };
+    ["review-filter-status", "review-filter-kind", "review-filter-author"].forEach((id) => {
+      document.getElementById(id).onchange = renderReview;
+    });
+
+    document.getElementById("toggleSnapshots").onclick = toggleSnapshotSection;
+    document.getElementById("takeSnapshot").onclick = () => {
+      debugLog("takeSnapshot", "Button clicked - taking an outline snapshot");
+      takeOutlineSnapshot();
+    };
+    document.getElementById("compareSnapshot").onclick = () => {
+      debugLog("compareSnapshot", "Button clicked - comparing with the outline snapshot");
+      compareWithSnapshot();
+    };
+    document.getElementById("exportSnapshot").onclick = exportOutlineSnapshot;
+    document.getElementById("importSnapshot").onclick = () => document.getElementById("snapshot-file").click();
+    document.getElementById("snapshot-file").onchange = (event) => {
+      const file = event.target.files[0];
+      event.target.value = "";
+      if (file) {
+        importOutlineSnapshot(file);
+      }
+    };
+
+    document.getElementById("toggleSkeleton").onclick = toggleSkeletonSection;
+    document.getElementById("skeleton-source").oninput = clearSkeletonPreview;
+    document.getElementById("openSkeletonFile").onclick = () => document.getElementById("skeleton-file").click();
+    document.getElementById("skeleton-file").onchange = (event) => {
+      const file = event.target.files[0];
+      event.target.value = "";
+      if (file) {
+        openSkeletonFile(file);
+      }
+    };
+    document.getElementById("previewSkeleton").onclick = previewSkeleton;
+    document.getElementById("insertSkeleton").onclick = () => {
+      debugLog("insertSkeleton", "Button clicked - inserting outline skeleton");
+      insertSkeleton();
+    };
+
+    document.getElementById("toggleMetadata").onclick = toggleMetadataSection;
+    document.getElementById("metadata-heading").onchange = fillMetadataEditor;
+    document.getElementById("metadata-group").onchange = renderMetadataSummary;
+    document.getElementById("saveMetadata").onclick = () => {
+      debugLog("saveMetadata", "Button clicked - saving section status");
+      saveMetadataFromEditor();
+    };
+    document.getElementById("clearMetadata").onclick = () => saveMetadataFromEditor(true);
+    document.getElementById("toc-filter-status").onchange = applyTocMetadataFilter;
+    document.getElementById("toc-filter-owner").onchange = applyTocMetadataFilter;
+
+    document.getElementById("toggleTocField").onclick = toggleTocFieldSection;
+    document.getElementById("insertTocField").onclick = () => {
+      debugLog("insertTocField", "Button clicked - inserting table of contents into the document");
+      insertTocIntoDocument();
+    };
+    document.getElementById("refreshTocFields").onclick = () => {
+      debugLog("refreshTocFields", "Button clicked - refreshing tables of contents in the document");
+      refreshDocumentTocs();
+    };
+    renderTocLevelOptions();
+
+    document.getElementById("toc-show-numbers").onchange = () => displayTableOfContents(currentTocItems);
+    document.getElementById("toc-appendix-start").onchange = () => {
+      assignOutlineNumbers();
+      displayTableOfContents(currentTocItems);
     };
+    document.getElementById("applyNumbering").onclick = () => {
+      debugLog("applyNumbering", "Button clicked - numbering headings");
+      applyHeadingNumbering();
+    };
+
+    document.querySelectorAll("#toc-context-menu button").forEach((button) => {
+      button.onclick = () => runTocMenuAction(button);
+    });
+    document.addEventListener("click", (event) => {
+      if (!event.target.closest("#toc-context-menu")) {
+        closeTocContextMenu();
+      }
+    });
+    document.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        closeTocContextMenu();
+      }
+    });
+
+    document.getElementById("tocExpandAll").onclick = () => setAllTocNodesCollapsed(false);
+    document.getElementById("tocCollapseAll").onclick = () => setAllTocNodesCollapsed(true);
 
     // Set up auto-tracking checkbox
-    document.getElementById("autoTrack").onchange = toggleAutoTracking;
+    document.getElementById("autoTrack").onchange = async () => {
+      await toggleAutoTracking();
+      savePaneSettings();
+    };
+
+    // Show the outline from the last visit straight away and refresh it in the background
+    if (restoreCachedOutline()) {
+      getTableOfContents({ background: true });
+    }
+    if (paneSettings.autoTrack) {
+      document.getElementById("autoTrack").checked = true;
+      toggleAutoTracking();
+    }
   }
 });
 
+// localStorage, or null where the host blocks it (some sandboxed webviews throw on access)
+function getLocalStorage() {
+  try {
+    return window.localStorage || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function applyPaneSettings(settings) {
+  document.getElementById("sectionHeadingStyle").value = settings.sectionHeadingStyle;
+  document.getElementById("draft-base-url").value = settings.draftService.baseUrl;
+  document.getElementById("draft-key").value = settings.draftService.key;
+  document.getElementById("draft-base").value = settings.draftService.base;
+  document.getElementById("draft-save-path").value = settings.draftService.savePath;
+}
+
+// Save the current pane settings to the document, or locally when the document cannot store them
+async function savePaneSettings() {
+  const savedTo = await paneSettingsStore.saveSettings({
+    sectionHeadingStyle: document.getElementById("sectionHeadingStyle").value,
+    autoTrack: document.getElementById("autoTrack").checked,
+    draftService: {
+      baseUrl: document.getElementById("draft-base-url").value.trim(),
+      key: document.getElementById("draft-key").value.trim(),
+      base: document.getElementById("draft-base").value.trim(),
+      savePath: document.getElementById("draft-save-path").value.trim(),
+    },
+  });
+  console.log(`Pane settings saved (${savedTo})`);
+}
+
+// Show the outline cached on the last visit. Returns false when there is none.
+function restoreCachedOutline() {
+  const cache = paneSettingsStore.loadOutline();
+  if (!cache || cache.items.length === 0) {
+    return false;
+  }
+
+  currentTocItems = cache.items;
+  currentTocTree = buildOutlineTree(currentTocItems);
+  assignOutlineNumbers();
+  document.getElementById("toc-section").style.display = "block";
+  displayTableOfContents(currentTocItems);
+  showTocStatus(`Showing the outline saved ${new Date(cache.savedAt).toLocaleString()} - refreshing...`, "#666");
+  return true;
+}
+
 // Original demo function
 export async function run() {
   return Word.run(async (context) => {
@@ -82,215 +537,100 @@ export async function run() {
   });
 }
 
-// Get Table of Contents - using content controls approach
-export async function getTableOfContents() {
-  return Word.run(async (context) => {
-    try {
-      console.log("Starting getTableOfContents with content controls...");
-      
-      // Clear previous results
-      currentTocItems = [];
-      document.getElementById("toc-content").innerHTML = "Loading...";
-      document.getElementById("toc-section").style.display = "block";
-      
-      const tocItems = [];
-      
-      // Try content controls first
-      try {
-        console.log("Checking for content controls...");
-        const contentControls = context.document.contentControls;
-        context.load(contentControls, "items");
-        await context.sync();
-        
-        console.log(`Found ${contentControls.items.length} content controls`);
-        
-        if (contentControls.items.length > 0) {
-          // Load content control properties
-          for (let i = 0; i < contentControls.items.length; i++) {
-            const control = contentControls.items[i];
-            context.load(control, "text, title, tag, type");
-          }
-          await context.sync();
-          
-          // Process content controls for headings
-          for (let i = 0; i < contentControls.items.length; i++) {
-            const control = contentControls.items[i];
-            const text = control.text ? control.text.trim() : "";
-            const title = control.title || "";
-            const tag = control.tag || "";
-            
-            // Check if this content control represents a heading
-            if (
-              text &&
-              (title.toLowerCase().includes("heading") ||
-                tag.toLowerCase().includes("heading") ||
-                title.toLowerCase().includes("title"))
-            ) {
-              const level = extractLevelFromControl(title, tag);
-              
-              tocItems.push({
-                text: text,
-                level: level,
-                style: title || tag || "Content Control",
-                index: tocItems.length,
-                type: "contentControl",
-              });
-              
-              console.log(`Found heading content control: "${text}" (${title || tag})`);
-            }
-          }
-        }
-      } catch (contentControlError) {
-        console.warn("Content controls approach failed:", contentControlError);
-      }
-      
-      // Fallback to paragraph scanning if no headings found in content controls
-      if (tocItems.length === 0) {
-        console.log("No headings found in content controls, falling back to paragraph scanning...");
-        
-        // Get all paragraphs
-        const paragraphs = context.document.body.paragraphs;
-        context.load(paragraphs, "items");
-        await context.sync();
-        
-        console.log(`Found ${paragraphs.items.length} paragraphs total`);
-        
-        // Parse ALL paragraphs to find headings
-        for (let i = 0; i < paragraphs.items.length; i++) {
-          const para = paragraphs.items[i];
-          context.load(para, "text, styleBuiltIn");
-        }
-        await context.sync();
-        
-        // Process all paragraphs and find headings
-        for (let i = 0; i < paragraphs.items.length; i++) {
-          const para = paragraphs.items[i];
-          const text = para.text ? para.text.trim() : "";
-          const style = para.styleBuiltIn ? para.styleBuiltIn.toString() : "";
-          
-          // Check if this paragraph is a heading
-          if (text && text.length < 200 && (style.includes("Heading") || style === "Title")) {
-            const level = getHeadingLevel(style);
-            
-            tocItems.push({
-              text: text,
-              level: level,
-              style: style,
-              index: tocItems.length,
-              type: "paragraph",
-            });
-            
-            console.log(`Found heading: "${text}" (${style})`);
-          }
-        }
-      }
-      
-      console.log(`Found ${tocItems.length} headings total`);
-      
-      // Store and display results
-      currentTocItems = tocItems;
-      displayTableOfContents(currentTocItems);
-      
-    } catch (error) {
-      console.error("Error getting table of contents:", error);
-      document.getElementById("toc-content").innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
-      document.getElementById("toc-section").style.display = "block";
-    }
-  });
-}
-
-// Simple helper to get heading level from style
-function getHeadingLevel(style) {
-  if (style === "Title") return 0;
-  if (style.includes("Heading")) {
-    const match = style.match(/(\d+)/);
-    return match ? parseInt(match[1]) : 1;
-  }
-  return 1;
-}
-
-// Helper to extract heading level from content control title or tag
-function extractLevelFromControl(title, tag) {
-  const text = (title + " " + tag).toLowerCase();
-  
-  if (text.includes("title")) return 0;
-  
-  // Look for heading numbers
-  const match = text.match(/heading\s*(\d+)|h(\d+)|level\s*(\d+)/);
-  if (match) {
-    const level = parseInt(match[1] || match[2] || match[3]);
-    return level && level > 0 && level < 10 ? level : 1;
-  }
-  
-  return 1;
-}
+// Get Table of Contents - using content controls approach.
+// With `background` set the outline on show stays usable until the new one replaces it.
+// Resolves to true when the whole document was read, false when the scan was cancelled or failed.
+export async function getTableOfContents({ background = false } = {}) {
+  let complete = false;
 
-// Helper function to scan for heading styles efficiently - NO document parsing
-async function scanForHeadingStyles(context, tocItems) {
   try {
-    console.log("Scanning for heading styles using direct style queries...");
-
-    // Define the heading styles we want to find
-    const headingStyles = ["Title", "Heading 1", "Heading 2", "Heading 3", "Heading 4", "Heading 5", "Heading 6"];
-
-    // For each heading style, search directly for that style
-    for (const styleName of headingStyles) {
-      try {
-        console.log(`Searching for style: ${styleName}`);
-
-        // Use the style-based search instead of wildcard
-        const styleResults = context.document.body.search("", {
-          matchCase: false,
-          matchWholeWord: false,
-          matchWildcards: false,
-          // This searches for paragraphs with the specific style
-          matchStyle: styleName,
-        });
+    console.log("Starting getTableOfContents with content controls...");
 
-        context.load(styleResults, "items");
-        await context.sync();
+    // Clear previous results and release the ranges they were tracking
+    await releaseTocRanges(currentTocItems);
+    invalidateHeadingIndex();
+    if (!background) {
+      currentTocItems = [];
+      showTocStatus("", "");
+      document.getElementById("toc-content").innerHTML = "Loading...";
+    }
+    document.getElementById("toc-section").style.display = "block";
 
-        console.log(`Found ${styleResults.items.length} items with style ${styleName}`);
+    // Section content controls first, then a batched paragraph scan with progress and Cancel
+    activeTocScan = { aborted: false };
+    setTocScanProgress(0, 0);
+    const { items: tocItems, cancelled } = await Word.run((context) =>
+      readTableOfContents(context, {
+        headingStyleMap: headingStyleMap,
+        onProgress: ({ scanned, total }) => setTocScanProgress(scanned, total),
+        signal: activeTocScan,
+      })
+    );
+    activeTocScan = null;
+    hideTocScanProgress();
 
-        // Process each result
-        for (const result of styleResults.items) {
-          context.load(result, "text");
-        }
-        await context.sync();
+    if (cancelled) {
+      showTocStatus("Scan cancelled - showing headings found before cancelling.", "orange");
+    }
 
-        for (const result of styleResults.items) {
-          const text = result.text ? result.text.trim() : "";
-          if (text && text.length < 300) {
-            // Reasonable heading length
-            const level = getHeadingLevelFromStyleName(styleName);
+    console.log(`Found ${tocItems.length} headings total`);
 
-            tocItems.push({
-              text: text,
-              level: level,
-              style: styleName,
-              index: tocItems.length,
-            });
+    // Store and display results
+    currentTocItems = tocItems;
+    // Review items already loaded are placed by the rescanned headings, which the TOC rows now show
+    reviewTocItems = currentTocItems;
+    currentTocTree = buildOutlineTree(currentTocItems);
+    assignOutlineNumbers();
+    displayTableOfContents(currentTocItems);
 
-            console.log(`Found ${styleName}: "${text}"`);
-          }
-        }
-      } catch (styleError) {
-        console.warn(`Could not search for style ${styleName}:`, styleError);
+    // Remember the outline for the next visit; a partial scan would replace a complete one
+    if (!cancelled && paneSettingsStore) {
+      const changed = await paneSettingsStore.saveOutline(currentTocItems);
+      if (background) {
+        showTocStatus(changed ? "The outline has changed since it was saved and has been refreshed." : "", "green");
       }
     }
+    complete = !cancelled;
   } catch (error) {
-    console.error("Error in scanForHeadingStyles:", error);
+    activeTocScan = null;
+    hideTocScanProgress();
+    console.error("Error getting table of contents:", error);
+    document.getElementById("toc-content").innerHTML = `<p style="color: red;">Error: ${error.message}</p>`;
+    document.getElementById("toc-section").style.display = "block";
+  }
+
+  if (currentTocItems.length > 0) {
+    await refreshSectionMetadata();
   }
+  return complete;
+}
+
+// Show how far the TOC paragraph scan has got
+function setTocScanProgress(scanned, total) {
+  const percent = total > 0 ? Math.round((scanned / total) * 100) : 0;
+  document.getElementById("toc-progress").style.display = "flex";
+  document.getElementById("toc-progress-bar").value = percent;
+  document.getElementById("toc-progress-text").textContent =
+    total > 0 ? `Scanning ${scanned} of ${total} paragraphs...` : "Scanning paragraphs...";
+}
+
+function hideTocScanProgress() {
+  document.getElementById("toc-progress").style.display = "none";
 }
 
-// Helper to get heading level from style name
-function getHeadingLevelFromStyleName(styleName) {
-  if (styleName === "Title") return 0;
-  if (styleName.includes("Heading")) {
-    const match = styleName.match(/(\d+)/);
-    return match ? parseInt(match[1]) : 1;
+// Stop the running TOC scan after its current batch
+function cancelTocScan() {
+  if (activeTocScan) {
+    activeTocScan.aborted = true;
   }
-  return 1;
+}
+
+// Search a range and load the text and position of every hit
+async function searchRange(context, range, text, options) {
+  const results = range.search(text, options);
+  context.load(results, "items/text, items/start, items/end");
+  await context.sync();
+  return results.items;
 }
 
 // Minimal test function to debug Word API
@@ -319,110 +659,298 @@ export async function testMinimal() {
   });
 }
 
-// Test AWS API function - GetDraftModelCollapse
-export async function testAwsApi() {
+// Draft service settings as currently entered in the pane
+function getDraftServiceConfig() {
+  return {
+    baseUrl: document.getElementById("draft-base-url").value.trim() || DEFAULT_DRAFT_SERVICE_CONFIG.baseUrl,
+    key: document.getElementById("draft-key").value.trim(),
+    base: document.getElementById("draft-base").value.trim(),
+    savePath: document.getElementById("draft-save-path").value.trim() || DEFAULT_DRAFT_SERVICE_CONFIG.savePath,
+  };
+}
+
+// Load all drafts for the configured key and base
+export async function loadDrafts() {
+  const statusElement = document.getElementById("api-status");
+  const responseElement = document.getElementById("api-response");
+
+  document.getElementById("api-section").style.display = "block";
+  statusElement.textContent = "Loading drafts...";
+  statusElement.style.color = "";
+
+  const client = createDraftServiceClient(getDraftServiceConfig());
+  document.getElementById("api-endpoint").textContent = `${client.config.baseUrl}/draft/getAll/`;
+
   try {
-    console.log("Testing AWS API - /draft/getAll/ endpoint...");
-    
-    // Show the API section
-    document.getElementById("api-section").style.display = "block";
+    const drafts = await client.getAllDrafts();
+    console.log(`Loaded ${drafts.length} drafts`);
+
+    statusElement.textContent = `Loaded ${drafts.length} draft(s)`;
+    statusElement.style.color = "green";
+    responseElement.style.display = "none";
+
+    loadedDrafts = drafts;
+    showDraftPreview(null);
+    renderDraftList();
+  } catch (error) {
+    console.error("Error loading drafts:", error);
+
+    statusElement.textContent = `Error: ${error.message}`;
+    statusElement.style.color = "red";
+    responseElement.style.display = "block";
+    responseElement.textContent = describeDraftServiceError(error, client.config);
+  }
+}
+
+// Render the loaded drafts, filtered by the search box and ordered by the sort choice
+function renderDraftList() {
+  const listElement = document.getElementById("draft-list");
+  const query = document.getElementById("draft-search").value;
+  const sortBy = document.getElementById("draft-sort").value;
+  const drafts = filterAndSortDrafts(loadedDrafts, query, sortBy);
+
+  document.getElementById("draft-browser").style.display = loadedDrafts.length > 0 ? "block" : "none";
 
-    // Parameters for GetDraftModelCollapse
-    const params = {
-      key: "demo_cuvitru",
-      base: "usercache",
+  if (drafts.length === 0) {
+    const message = query ? "No drafts match your search." : "No drafts found.";
+    listElement.innerHTML = `<li class="draft-empty">${message}</li>`;
+    return;
+  }
+
+  listElement.innerHTML = drafts
+    .map((draft) => {
+      const selected = previewedDraft && previewedDraft.id === draft.id ? "selected" : "";
+      const meta = [formatDraftDate(draft.date), draft.author].filter(Boolean).join(" · ");
+      return `
+        <li class="draft-item ${selected}" data-id="${escapeHtml(draft.id)}">
+          <strong>${escapeHtml(draft.title)}</strong>
+          <small>${escapeHtml(meta)}</small>
+        </li>
+      `;
+    })
+    .join("");
+
+  listElement.querySelectorAll(".draft-item").forEach((element) => {
+    element.onclick = () => {
+      showDraftPreview(loadedDrafts.find((draft) => draft.id === element.dataset.id));
+      renderDraftList();
     };
+  });
+}
 
-    // Updated endpoint: POST to /draft/getAll/
-    const baseUrl = "https://k43riamgd3.execute-api.us-east-2.amazonaws.com";
-    const endpoint = "/draft/getAll/";
-    const apiUrl = `${baseUrl}${endpoint}`;
+// Show a draft's content with the insert actions, or hide the preview when draft is null
+function showDraftPreview(draft) {
+  previewedDraft = draft;
+  document.getElementById("draft-preview").style.display = draft ? "block" : "none";
 
-    console.log("Full API URL:", apiUrl);
-    console.log("Request method: POST with JSON body");
-    console.log("Request body:", JSON.stringify(params, null, 2));
+  if (draft) {
+    document.getElementById("draft-preview-title").textContent = draft.title;
+    const meta = [formatDraftDate(draft.date), draft.author, `id ${draft.id}`];
+    document.getElementById("draft-preview-meta").textContent = meta.filter(Boolean).join(" · ");
+    document.getElementById("draft-preview-content").textContent = draft.content || "(This draft has no text content)";
+    document.getElementById("draft-insert-status").textContent = "";
+  }
+}
 
-    // Make the API call with POST method and JSON body
-    const response = await fetch(apiUrl, {
-      method: "POST",
-      headers: {
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
-      mode: "cors",
-      body: JSON.stringify(params),
-    });
+function formatDraftDate(date) {
+  const time = Date.parse(date);
+  return isNaN(time) ? date : new Date(time).toLocaleDateString();
+}
 
-    console.log("API Response status:", response.status);
-    console.log("API Response headers:", response.headers);
+// Insert a draft at the cursor ("cursor"), in place of the current section's body ("section")
+// or at the end of the document ("end"), wrapped in a content control tagged with the draft id
+export async function insertDraft(draft, mode) {
+  const statusElement = document.getElementById("draft-insert-status");
+  if (!draft) {
+    return;
+  }
 
-    // Update status
-    document.getElementById("api-status").textContent = `Status: ${response.status} ${response.statusText}`;
+  const lines = draft.content.split(/\r?\n/);
+  statusElement.textContent = "Inserting...";
+  statusElement.style.color = "";
 
-    // Try to get response content - only read once!
-    let responseData;
-    const contentType = response.headers.get("content-type");
+  try {
+    await Word.run(async (context) => {
+      let range;
 
-    try {
-      if (contentType && contentType.includes("application/json")) {
-        // Content-Type indicates JSON
-        responseData = await response.json();
-        document.getElementById("api-response").textContent = JSON.stringify(responseData, null, 2);
+      if (mode === "cursor") {
+        range = context.document.getSelection().insertText(lines.join("\n"), Word.InsertLocation.after);
+      } else if (mode === "section") {
+        const sectionHeadingStyle = document.getElementById("sectionHeadingStyle").value;
+        const section = await getCurrentSectionParagraphs(context, sectionHeadingStyle);
+        if (!section) {
+          throw new Error(`The cursor is not inside a ${sectionHeadingStyle} section`);
+        }
+
+        // Keep the heading, swap out everything up to the next section
+        section.bodyParagraphs.forEach((paragraph) => paragraph.delete());
+        range = insertDraftParagraphs(lines, (text, previous) =>
+          (previous || section.heading.paragraph).insertParagraph(text, Word.InsertLocation.after)
+        );
       } else {
-        // Not JSON or unknown content type - get as text
-        responseData = await response.text();
-        document.getElementById("api-response").textContent = responseData;
+        const body = context.document.body;
+        range = insertDraftParagraphs(lines, (text) => body.insertParagraph(text, Word.InsertLocation.end));
       }
 
-      // If successful and we got JSON data, show a summary
-      if (response.ok && typeof responseData === "object") {
-        console.log("Draft model retrieved successfully:", responseData);
+      const control = range.insertContentControl();
+      control.tag = `draft:${draft.id}`;
+      control.title = `Draft ${draft.id}`;
+      control.appearance = Word.ContentControlAppearance.boundingBox;
+      await context.sync();
+    });
+
+    statusElement.textContent = `Inserted "${draft.title}"`;
+    statusElement.style.color = "green";
+  } catch (error) {
+    console.error("Error inserting draft:", error);
+    statusElement.textContent = `Could not insert draft: ${error.message}`;
+    statusElement.style.color = "red";
+  }
+}
+
+// Save the current section ("section") or the whole body ("document") to the draft service
+export async function saveAsDraft(scope) {
+  const statusElement = document.getElementById("draft-save-status");
+  const diffElement = document.getElementById("draft-conflict-diff");
 
-        // Add some summary information
-        let summary = `✅ Draft model retrieved successfully!\n\n`;
-        summary += `Parameters used:\n- Key: ${params.key}\n- Base: ${params.base}\n\n`;
-        summary += `Response data:\n${JSON.stringify(responseData, null, 2)}`;
+  document.getElementById("api-section").style.display = "block";
+  statusElement.textContent = "Saving...";
+  statusElement.style.color = "";
+  diffElement.style.display = "none";
 
-        document.getElementById("api-response").textContent = summary;
-      }
-    } catch (parseError) {
-      console.warn("Error parsing response:", parseError);
-      // If parsing fails, try to get raw text (but response might already be consumed)
-      try {
-        responseData = await response.text();
-        document.getElementById("api-response").textContent = `Response (parse error):\n${responseData}`;
-      } catch (textError) {
-        document.getElementById("api-response").textContent = `Error reading response: ${parseError.message}`;
+  let draft = null;
+  try {
+    draft = await Word.run(async (context) => {
+      let paragraphs;
+      let title;
+
+      if (scope === "section") {
+        const sectionHeadingStyle = document.getElementById("sectionHeadingStyle").value;
+        const section = await getCurrentSectionParagraphs(context, sectionHeadingStyle);
+        if (!section) {
+          throw new Error(`The cursor is not inside a ${sectionHeadingStyle} section`);
+        }
+        paragraphs = [section.heading.paragraph, ...section.bodyParagraphs];
+        title = section.heading.text;
+      } else {
+        const properties = context.document.properties;
+        context.load(properties, "title");
+        paragraphs = context.document.body.paragraphs;
+        context.load(paragraphs, "items");
+        await context.sync();
+        paragraphs = paragraphs.items;
+        title = properties.title || "Untitled document";
       }
-    }
 
-    console.log("API Response data:", responseData);
+      return serializeParagraphs(context, paragraphs, title, scope === "section");
+    });
 
-    if (response.ok) {
-      document.getElementById("api-status").style.color = "green";
-    } else {
-      document.getElementById("api-status").style.color = "orange";
-    }
+    // Re-saving text that came from a loaded draft updates that draft, at the version it was loaded at
+    const sourceDraft = loadedDrafts.find((loaded) => loaded.id === draft.id);
+    draft.baseVersion = sourceDraft ? sourceDraft.raw.version : undefined;
+    draft.source = { documentUrl: await getDocumentUrl(), scope: scope };
+
+    const client = createDraftServiceClient(getDraftServiceConfig());
+    const result = await client.saveDraft(draft);
+
+    statusElement.textContent = `Saved "${draft.title}"${result.id ? ` as draft ${result.id}` : ""}`;
+    statusElement.style.color = "green";
   } catch (error) {
-    console.error("Error calling GetDraftModelCollapse API:", error);
+    console.error("Error saving draft:", error);
+    statusElement.style.color = "red";
 
-    document.getElementById("api-section").style.display = "block";
-    document.getElementById("api-status").textContent = `Error: ${error.message}`;
-    document.getElementById("api-status").style.color = "red";
-    document.getElementById(
-      "api-response"
-    ).textContent = `Error details:\n${error.name}: ${error.message}\n\nThis might be due to:\n- CORS policy restrictions\n- Network connectivity issues\n- API endpoint not available\n- Authentication required\n- Invalid parameters\n\nTried to call: GetDraftModelCollapse\nWith parameters:\n- key: d074010377c21837e01f22424d97cc6e\n- base: usercache`;
+    if (error instanceof DraftServiceConflictError) {
+      statusElement.textContent =
+        "This draft was changed on the server since it was loaded. Review the differences, reload drafts and try again.";
+      showConflictDiff(error.current ? error.current.content : "", draft.content);
+    } else {
+      statusElement.textContent = `Could not save draft: ${error.message}`;
+    }
   }
 }
 
-// Simplified heading level function
-function getHeadingLevelSimple(style) {
-  if (style === "Title") return 0;
-  if (style.includes("Heading")) {
-    const match = style.match(/(\d+)/);
-    return match ? parseInt(match[1]) : 1;
+// Serialize paragraphs as plain text plus per-paragraph style and basic character formatting.
+// With detectDraftId, a draft content control inside the paragraphs supplies the id of the draft being re-saved.
+async function serializeParagraphs(context, paragraphs, title, detectDraftId) {
+  const draftControls = [];
+  paragraphs.forEach((paragraph) => {
+    context.load(paragraph, "text, style, styleBuiltIn, alignment, font/bold, font/italic, font/underline");
+    const control = paragraph.parentContentControlOrNullObject;
+    context.load(control, "tag");
+    draftControls.push(control);
+  });
+  await context.sync();
+
+  const draftTag = detectDraftId
+    ? draftControls.find((control) => !control.isNullObject && /^draft:/.test(control.tag || ""))
+    : null;
+
+  const serialized = paragraphs.map((paragraph) => ({
+    text: paragraph.text,
+    style: paragraph.style,
+    level: resolveHeadingLevel(paragraph, headingStyleMap),
+    alignment: paragraph.alignment,
+    // Font properties are null when the formatting is mixed within the paragraph
+    bold: paragraph.font.bold,
+    italic: paragraph.font.italic,
+    underline: paragraph.font.underline,
+  }));
+
+  return {
+    id: draftTag ? draftTag.tag.slice("draft:".length) : undefined,
+    title: title,
+    content: serialized.map((paragraph) => paragraph.text).join("\n"),
+    paragraphs: serialized,
+  };
+}
+
+// Show a line diff between the server's copy of a draft and the text we tried to save
+function showConflictDiff(serverText, localText) {
+  const diffElement = document.getElementById("draft-conflict-diff");
+  const prefixes = { equal: "  ", removed: "- ", added: "+ " };
+
+  diffElement.innerHTML = diffLines(serverText, localText)
+    .map((run) =>
+      run.tokens.map((line) => `<div class="diff-${run.type}">${escapeHtml(prefixes[run.type] + line)}</div>`).join("")
+    )
+    .join("");
+  diffElement.style.display = "block";
+}
+
+// Insert one Normal paragraph per line and return the range spanning all of them
+function insertDraftParagraphs(lines, insert) {
+  let first = null;
+  let previous = null;
+
+  lines.forEach((line) => {
+    previous = insert(line, previous);
+    previous.styleBuiltIn = Word.BuiltInStyleName.normal;
+    first = first || previous;
+  });
+
+  return first.getRange(Word.RangeLocation.whole).expandTo(previous.getRange(Word.RangeLocation.whole));
+}
+
+// Explain a draft service failure in terms of what the user can check
+function describeDraftServiceError(error, config) {
+  const request = `Request: key "${config.key}", base "${config.base}"`;
+
+  if (!(error instanceof DraftServiceError)) {
+    return `${error.name}: ${error.message}\n\n${request}`;
+  }
+
+  switch (error.name) {
+    case "DraftServiceTimeoutError":
+      return `The draft service did not respond within ${error.timeoutMs} ms.\n\n${request}`;
+    case "DraftServiceNetworkError":
+      return `The draft service could not be reached. Check the base URL, your network connection and the service's CORS policy.\n\n${request}`;
+    case "DraftServiceHttpError":
+      return `The draft service rejected the request (${error.status}).\n\n${request}\n\nResponse:\n${error.body}`;
+    case "DraftServiceSchemaError":
+      return `The draft service returned data in an unexpected format: ${error.message}\n\n${request}`;
+    default:
+      return `${error.message}\n\n${request}`;
   }
-  return 1;
 }
 
 // Get SharePoint Path
@@ -458,378 +986,3810 @@ export async function getSharePointPath() {
   }
 }
 
-// Helper function to get document URL
-async function getDocumentUrl() {
-  return new Promise((resolve) => {
-    try {
-      // Try to get the document URL from Office context
-      if (Office.context && Office.context.document && Office.context.document.url) {
-        resolve(Office.context.document.url);
-      } else {
-        // Alternative method using window location
-        const url = window.location.href;
-        if (url.includes("sharepoint") || url.includes(".sharepoint.com")) {
-          resolve(url);
-        } else {
-          resolve("Document URL not available - may not be in SharePoint");
-        }
-      }
-    } catch (error) {
-      resolve(`Error getting URL: ${error.message}`);
-    }
-  });
-}
+// Load every built-in and custom document property into the properties panel
+export async function showDocumentProperties() {
+  const statusElement = document.getElementById("properties-status");
+  document.getElementById("properties-section").style.display = "block";
+  statusElement.textContent = "Loading...";
+  statusElement.style.color = "";
 
-// Helper function to determine heading level (extended)
-function getHeadingLevelExtended(styleBuiltIn, outlineLevel) {
   try {
-    if (styleBuiltIn) {
-      const style = styleBuiltIn.toString();
-      if (style === "Title") return 0;
-      if (style.includes("Heading")) {
-        const match = style.match(/Heading(\d+)/);
-        if (match && match[1]) {
-          return parseInt(match[1]);
-        }
-      }
-    }
+    await Word.run(async (context) => {
+      const properties = context.document.properties;
+      context.load(properties, BUILT_IN_PROPERTY_LOAD);
+      const customProperties = properties.customProperties;
+      context.load(customProperties, "items/key, items/type, items/value");
+      await context.sync();
 
-    // Fallback to outline level
-    if (outlineLevel !== undefined && outlineLevel < 9) {
-      return outlineLevel;
-    }
+      loadedCustomProperties = customProperties.items.map((property) => ({
+        key: property.key,
+        type: property.type,
+        value: property.value,
+      }));
+      renderDocumentProperties(properties);
+    });
 
-    // Default fallback
-    return 1;
+    statusElement.textContent = "";
+    flagMissingProperties();
   } catch (error) {
-    console.warn("Error determining heading level:", error);
-    return 1;
+    console.error("Error loading document properties:", error);
+    statusElement.textContent = `Error: ${error.message}`;
+    statusElement.style.color = "red";
   }
 }
 
-// Display table of contents
-function displayTableOfContents(tocItems) {
-  const tocContainer = document.getElementById("toc-content");
-  const tocSection = document.getElementById("toc-section");
+function renderDocumentProperties(properties) {
+  document.getElementById("builtin-property-rows").innerHTML = BUILT_IN_PROPERTIES.map((property) => {
+    const value = escapeHtml(formatPropertyValue(properties[property.key], property.type));
+    const field = property.editable
+      ? `<input class="property-value ms-font-s" data-key="${property.key}" value="${value}">`
+      : `<span class="property-readonly">${value || "-"}</span>`;
+    return `<tr data-key="${property.key}"><th>${property.label}</th><td>${field}</td></tr>`;
+  }).join("");
 
-  if (tocItems.length === 0) {
-    tocContainer.innerHTML = "<p>No headings found in this document.</p>";
-  } else {
-    let html = "<ul style='list-style: none; padding-left: 0;'>";
-
-    tocItems.forEach((item, index) => {
-      const indent = item.level * 20;
-      const levelClass = `level-${item.level}`;
-
-      html += `
-        <li style="margin-left: ${indent}px; margin-bottom: 8px;">
-          <div class="toc-item ${levelClass}" data-index="${index}" style="
-            padding: 5px; 
-            border-left: 3px solid ${getLevelColor(item.level)}; 
-            background: ${index % 2 === 0 ? "#f9f9f9" : "#ffffff"};
-            border-radius: 3px;
-            cursor: pointer;
-            transition: all 0.2s ease;
-          ">
-            <strong>H${item.level}:</strong> ${escapeHtml(item.text)}
-            <br><small style="color: #666;">${item.style || "Unknown style"}</small>
-          </div>
-        </li>
-      `;
-    });
+  document.getElementById("custom-property-rows").innerHTML = "";
+  loadedCustomProperties.forEach((property) => addCustomPropertyRow(property, false));
+}
 
-    html += "</ul>";
-    tocContainer.innerHTML = html;
+// Append a custom property row; only new rows have an editable name
+function addCustomPropertyRow(property, isNew) {
+  const row = document.createElement("tr");
+  row.innerHTML = `
+    <th><input class="custom-property-key ms-font-s" placeholder="Name" ${isNew ? "" : "readonly"}></th>
+    <td><input class="custom-property-value ms-font-s" placeholder="Value"></td>
+    <td><button class="custom-property-remove ms-font-s" type="button" title="Remove property">✕</button></td>
+  `;
+  row.querySelector(".custom-property-key").value = property.key;
+  row.querySelector(".custom-property-value").value = formatPropertyValue(property.value, property.type);
+  row.querySelector(".custom-property-remove").onclick = () => {
+    row.remove();
+    flagMissingProperties();
+  };
+  row.querySelector(".custom-property-value").oninput = flagMissingProperties;
+  document.getElementById("custom-property-rows").appendChild(row);
+}
 
-    // Add click handlers to TOC items for navigation
-    const tocItemElements = tocContainer.querySelectorAll(".toc-item");
-    tocItemElements.forEach((element, index) => {
-      element.onclick = () => navigateToSection(index);
-    });
-  }
+// Property values as currently entered in the panel
+function readPropertyPanel() {
+  const builtIn = {};
+  document.querySelectorAll("#builtin-property-rows .property-value").forEach((input) => {
+    builtIn[input.dataset.key] = input.value;
+  });
+
+  const custom = {};
+  document.querySelectorAll("#custom-property-rows tr").forEach((row) => {
+    const key = row.querySelector(".custom-property-key").value.trim();
+    if (key) {
+      custom[key] = row.querySelector(".custom-property-value").value;
+    }
+  });
+
+  return { builtIn, custom };
+}
+
+// Write edited built-in properties and added, changed or removed custom properties
+async function saveDocumentProperties() {
+  const statusElement = document.getElementById("properties-status");
+  const values = readPropertyPanel();
+
+  try {
+    // Typed values of the added and changed custom properties, checked before anything is written
+    const changedCustom = Object.keys(values.custom)
+      .map((key) => ({ key, existing: loadedCustomProperties.find((property) => property.key === key) }))
+      .filter(
+        ({ key, existing }) => !existing || formatPropertyValue(existing.value, existing.type) !== values.custom[key]
+      )
+      .map(({ key, existing }) => {
+        try {
+          return { key, value: coerceCustomPropertyValue(existing ? existing.type : "String", values.custom[key]) };
+        } catch (error) {
+          throw new Error(`${key}: ${error.message}`);
+        }
+      });
+
+    await Word.run(async (context) => {
+      const properties = context.document.properties;
+      context.load(properties, BUILT_IN_PROPERTY_LOAD);
+      await context.sync();
+
+      BUILT_IN_PROPERTIES.filter((property) => property.editable).forEach((property) => {
+        if (values.builtIn[property.key] !== (properties[property.key] || "")) {
+          properties[property.key] = values.builtIn[property.key];
+        }
+      });
+
+      loadedCustomProperties.forEach((property) => {
+        if (!Object.prototype.hasOwnProperty.call(values.custom, property.key)) {
+          properties.customProperties.getItemOrNullObject(property.key).delete();
+        }
+      });
+
+      changedCustom.forEach(({ key, value }) => {
+        properties.customProperties.add(key, value);
+      });
+
+      await context.sync();
+    });
+
+    await showDocumentProperties();
+    statusElement.textContent = "Properties saved";
+    statusElement.style.color = "green";
+  } catch (error) {
+    console.error("Error saving document properties:", error);
+    statusElement.textContent = `Could not save properties: ${error.message}`;
+    statusElement.style.color = "red";
+  }
+}
+
+function getSelectedPropertyTemplate() {
+  const templateId = document.getElementById("property-template").value;
+  return PROPERTY_TEMPLATES.find((template) => template.id === templateId) || null;
+}
+
+// Add the selected template's custom properties that the document lacks, then flag what is still missing
+async function applyPropertyTemplate() {
+  const template = getSelectedPropertyTemplate();
+  const statusElement = document.getElementById("properties-status");
+  if (!template) {
+    statusElement.textContent = "Choose a template first";
+    statusElement.style.color = "orange";
+    return;
+  }
+
+  const toAdd = customPropertiesToAdd(template, readPropertyPanel().custom);
+  toAdd.forEach((property) => addCustomPropertyRow(property, true));
+  await saveDocumentProperties();
+
+  if (toAdd.length > 0) {
+    statusElement.textContent = `Added ${toAdd.map((property) => property.key).join(", ")}`;
+  }
+}
+
+// Highlight required properties of the selected template that are empty or invalid
+function flagMissingProperties() {
+  const template = getSelectedPropertyTemplate();
+  const summaryElement = document.getElementById("property-template-status");
+
+  document.querySelectorAll("#properties-section tr.property-missing").forEach((row) => {
+    row.classList.remove("property-missing");
+    row.title = "";
+  });
+
+  if (!template) {
+    summaryElement.textContent = "";
+    return;
+  }
+
+  const missing = findMissingProperties(template, readPropertyPanel());
+  missing.forEach((property) => {
+    const rows = document.querySelectorAll(property.builtIn ? "#builtin-property-rows tr" : "#custom-property-rows tr");
+    const row = Array.from(rows).find((candidate) => {
+      const keyInput = candidate.querySelector(".custom-property-key");
+      return (keyInput ? keyInput.value.trim() : candidate.dataset.key) === property.key;
+    });
+    if (row) {
+      row.classList.add("property-missing");
+      row.title =
+        property.reason === "invalid" ? `Must be one of: ${property.allowedValues.join(", ")}` : "Required property";
+    }
+  });
+
+  const labelFor = (property) => {
+    const builtIn = BUILT_IN_PROPERTIES.find((candidate) => candidate.key === property.key);
+    return property.builtIn && builtIn ? builtIn.label : property.key;
+  };
+  summaryElement.textContent =
+    missing.length === 0
+      ? `All ${template.name} properties are set`
+      : `Missing or invalid: ${missing.map(labelFor).join(", ")}`;
+  summaryElement.style.color = missing.length === 0 ? "green" : "red";
+}
+
+// Helper function to get document URL, or null when the host does not expose one (e.g. a new, unsaved document)
+async function getDocumentUrl() {
+  try {
+    if (Office.context && Office.context.document && Office.context.document.url) {
+      return Office.context.document.url;
+    }
+  } catch (error) {
+    console.warn("Error getting document URL:", error);
+  }
+  return null;
+}
+
+// Display table of contents
+function displayTableOfContents(tocItems) {
+  const tocContainer = document.getElementById("toc-content");
+  const tocSection = document.getElementById("toc-section");
+
+  if (tocItems.length === 0) {
+    tocContainer.innerHTML = "<p>No headings found in this document.</p>";
+    document.getElementById("toc-tree-controls").style.display = "none";
+  } else {
+    let html = "<ul class='toc-tree' style='list-style: none; padding-left: 0;'>";
+    currentTocTree.forEach((node) => {
+      html += renderOutlineNode(node);
+    });
+    html += "</ul>";
+    tocContainer.innerHTML = html;
+    document.getElementById("toc-tree-controls").style.display = "flex";
+    renderAppendixOptions();
+    renderCrossReferenceHeadings();
+    renderMetadataHeadings();
+    renderTocReviewBadges();
+    renderTocMetadata();
+
+    // Add click handlers to TOC items for navigation
+    tocContainer.querySelectorAll(".toc-item").forEach((element) => {
+      const index = parseInt(element.dataset.index);
+      element.onclick = () => navigateToSection(index);
+      element.oncontextmenu = (event) => openTocContextMenu(index, event);
+      enableTocDragAndDrop(element, index);
+    });
+
+    // Expand/collapse toggles only affect their own node
+    tocContainer.querySelectorAll(".toc-toggle").forEach((toggle) => {
+      toggle.onclick = (event) => {
+        event.stopPropagation();
+        const nodeElement = toggle.closest(".toc-node");
+        setTocNodeCollapsed(nodeElement, !nodeElement.classList.contains("collapsed"));
+      };
+    });
+  }
+
+  tocSection.style.display = "block";
+}
+
+// Render one outline node and its descendants as nested list items
+function renderOutlineNode(node) {
+  const item = node.item;
+  const index = item.index;
+  const levelClass = `level-${item.level}`;
+  const hasChildren = node.children.length > 0;
+  const childLabel = `${node.children.length} ${node.children.length === 1 ? "subsection" : "subsections"}`;
+  const wordLabel = `${node.totalWords} ${node.totalWords === 1 ? "word" : "words"}`;
+  const showNumbers = document.getElementById("toc-show-numbers").checked && item.outlineNumber;
+  const headingLabel = showNumbers
+    ? `<span class="toc-number">${item.outlineNumber}</span> ${escapeHtml(stripOutlineNumber(item.text))}`
+    : escapeHtml(item.text);
+
+  let html = `
+    <li class="toc-node" data-index="${index}" style="margin-bottom: 8px;">
+      <div style="display: flex; align-items: flex-start;">
+        ${
+          hasChildren
+            ? `<span class="toc-toggle" role="button" aria-expanded="true" title="Collapse">▾</span>`
+            : `<span class="toc-toggle-spacer"></span>`
+        }
+        <div class="toc-item ${levelClass}" data-index="${index}" style="
+          flex: 1;
+          padding: 5px;
+          border-left: 3px solid ${getLevelColor(item.level)};
+          background: ${index % 2 === 0 ? "#f9f9f9" : "#ffffff"};
+          border-radius: 3px;
+          cursor: pointer;
+          transition: all 0.2s ease;
+        ">
+          <strong>H${item.level}:</strong> ${headingLabel}
+          <br><small style="color: #666;">${escapeHtml(item.style || "Unknown style")}</small>
+          <small class="toc-counts">${hasChildren ? `${childLabel} · ` : ""}${wordLabel}</small>
+        </div>
+      </div>
+  `;
+
+  if (hasChildren) {
+    html += "<ul class='toc-children'>";
+    node.children.forEach((child) => {
+      html += renderOutlineNode(child);
+    });
+    html += "</ul>";
+  }
+
+  html += "</li>";
+  return html;
+}
+
+// Collapse or expand a single outline node
+function setTocNodeCollapsed(nodeElement, collapsed) {
+  const toggle = nodeElement.querySelector(":scope > div > .toc-toggle");
+  if (!toggle) {
+    return;
+  }
+
+  nodeElement.classList.toggle("collapsed", collapsed);
+  toggle.textContent = collapsed ? "▸" : "▾";
+  toggle.title = collapsed ? "Expand" : "Collapse";
+  toggle.setAttribute("aria-expanded", String(!collapsed));
+}
+
+// Collapse or expand every node in the outline
+function setAllTocNodesCollapsed(collapsed) {
+  document.querySelectorAll("#toc-content .toc-node").forEach((nodeElement) => {
+    setTocNodeCollapsed(nodeElement, collapsed);
+  });
+}
+
+// Number the current TOC items from their hierarchy and the chosen appendix start
+function assignOutlineNumbers() {
+  const numbers = computeOutlineNumbers(currentTocItems, {
+    appendixStart: document.getElementById("toc-appendix-start").value || APPENDIX_AUTO,
+  });
+  currentTocItems.forEach((item, position) => {
+    item.outlineNumber = numbers[position];
+  });
+}
+
+// Offer each top-level heading as the place appendices start, keeping the current choice when it still exists
+function renderAppendixOptions() {
+  const select = document.getElementById("toc-appendix-start");
+  const selected = select.value || APPENDIX_AUTO;
+
+  let options = `<option value="${APPENDIX_AUTO}">Appendices: auto</option>`;
+  options += `<option value="${APPENDIX_NONE}">No appendices</option>`;
+  currentTocTree.forEach((node) => {
+    if (node.item.level >= 1) {
+      const label = escapeHtml(stripOutlineNumber(node.item.text));
+      options += `<option value="${node.item.index}">Appendices from: ${label}</option>`;
+    }
+  });
+
+  select.innerHTML = options;
+  select.value = Array.from(select.options).some((option) => option.value === selected) ? selected : APPENDIX_AUTO;
+}
+
+// Number the headings in the document, either as text prefixes or as a multilevel list.
+// Stale leading numbers are replaced, so running it again after headings move only renumbers.
+export async function applyHeadingNumbering() {
+  const mode = document.getElementById("toc-numbering-mode").value;
+
+  // Rescan so headings added or moved since the last TOC are numbered in their new place; a cancelled
+  // or failed scan leaves a partial outline that would be numbered wrongly
+  if (!(await getTableOfContents())) {
+    showTocStatus("Numbering was not applied because the headings could not all be read.", "orange");
+    return;
+  }
+  const targets = currentTocItems.filter((item) => item.outlineNumber);
+  if (targets.length === 0) {
+    showTocStatus("There are no headings to number.", "orange");
+    return;
+  }
+
+  try {
+    await runInTocContext(async (context) => {
+      const entries = targets.map((item) => {
+        const range =
+          item.controlId !== undefined
+            ? context.document.contentControls.getById(item.controlId).getRange(Word.RangeLocation.content)
+            : item.range;
+        const paragraph = range.paragraphs.getFirst();
+        paragraph.load("isListItem");
+
+        const stale = findOutlineNumber(item.text);
+        const staleMatches = stale
+          ? range.search(toWordSearchText(stale), { matchCase: true, matchPrefix: true })
+          : null;
+        if (staleMatches) {
+          staleMatches.load("items");
+        }
+        return { item, range, paragraph, staleMatches };
+      });
+      await context.sync();
+
+      // Remove old numbers either way; a heading left in a list would otherwise be numbered twice
+      entries.forEach(({ item, range, paragraph, staleMatches }) => {
+        const staleRange = staleMatches && staleMatches.items.length > 0 ? staleMatches.items[0] : null;
+        if (paragraph.isListItem) {
+          paragraph.detachFromList();
+        }
+
+        if (mode === "list") {
+          if (staleRange) {
+            staleRange.delete();
+          }
+        } else if (staleRange) {
+          staleRange.insertText(formatNumberPrefix(item.outlineNumber), Word.InsertLocation.replace);
+        } else {
+          range.insertText(formatNumberPrefix(item.outlineNumber), Word.InsertLocation.start);
+        }
+      });
+
+      if (mode === "list") {
+        await applyNumberingLists(context, entries);
+      }
+      await context.sync();
+    });
+
+    invalidateHeadingIndex();
+    await getTableOfContents();
+    showTocStatus(
+      `Numbered ${targets.length} heading(s) ${mode === "list" ? "with a multilevel list" : "in the heading text"}`,
+      "green"
+    );
+  } catch (error) {
+    console.error("Error numbering headings:", error);
+    showTocStatus(`Could not number the headings: ${error.message}`, "red");
+  }
+}
+
+// Put the numbered headings into multilevel lists: one numbered 1, 1.1, ... and one lettered A, A.1, ...
+// for appendices. Each list level shows the numbers of the levels above it.
+async function applyNumberingLists(context, entries) {
+  const isAppendix = (entry) => /^[A-Z]/.test(entry.item.outlineNumber);
+  const groups = [
+    { entries: entries.filter((entry) => !isAppendix(entry)), topNumbering: Word.ListNumbering.arabic },
+    { entries: entries.filter(isAppendix), topNumbering: Word.ListNumbering.upperLetter },
+  ].filter((group) => group.entries.length > 0);
+
+  groups.forEach((group) => {
+    group.list = group.entries[0].paragraph.startNewList();
+    group.list.load("id");
+  });
+  await context.sync();
+
+  groups.forEach((group) => {
+    for (let level = 0; level < MAX_HEADING_LEVEL; level++) {
+      const format = [];
+      for (let parent = 0; parent <= level; parent++) {
+        format.push(parent, ".");
+      }
+      // "1." at the top, "1.1" below it, matching the text prefixes
+      if (level > 0) {
+        format.pop();
+      }
+      group.list.setLevelNumbering(level, level === 0 ? group.topNumbering : Word.ListNumbering.arabic, format);
+    }
+
+    group.entries.forEach((entry, position) => {
+      const depth = entry.item.outlineNumber.split(".").length - 1;
+      if (position === 0) {
+        entry.paragraph.listItem.level = depth;
+      } else {
+        entry.paragraph.attachToList(group.list.id, depth);
+      }
+    });
+  });
+}
+
+// Word search treats ^ as an escape and needs ^t / ^s for tabs and non-breaking spaces
+function toWordSearchText(text) {
+  return text
+    .replace(/\^/g, "^^")
+    .replace(/\t/g, "^t")
+    .replace(/\u00a0/g, "^s");
+}
+
+// Copy the current outline to the clipboard or download it, in the format chosen in the pane
+async function exportOutline(target) {
+  const format = OUTLINE_EXPORT_FORMATS[document.getElementById("outline-format").value];
+  if (currentTocItems.length === 0) {
+    showTocStatus("Get the table of contents before exporting it.", "orange");
+    return;
+  }
+
+  // Name the outline after the document file when there is one
+  const location = parseDocumentUrl(await getDocumentUrl());
+  const title = location.fileName ? location.fileName.replace(/\.[^.]+$/, "") : "Outline";
+  const text = format.serialize(currentTocItems, { title: title });
+
+  try {
+    if (target === "copy") {
+      await copyTextToClipboard(text);
+      showTocStatus(`Copied the outline as ${format.label}.`, "green");
+    } else {
+      downloadTextFile(`${title}.${format.extension}`, format.mimeType, text);
+      showTocStatus(`Downloaded ${title}.${format.extension}.`, "green");
+    }
+  } catch (error) {
+    console.error("Error exporting outline:", error);
+    showTocStatus(`Could not export the outline: ${error.message}`, "red");
+  }
+}
+
+// The async Clipboard API is blocked in some Office webviews, so fall back to a hidden textarea
+async function copyTextToClipboard(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return;
+    } catch (error) {
+      console.warn("Clipboard API unavailable, falling back to execCommand:", error);
+    }
+  }
+
+  const textarea = document.createElement("textarea");
+  textarea.value = text;
+  textarea.style.position = "fixed";
+  textarea.style.opacity = "0";
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand("copy");
+  document.body.removeChild(textarea);
+
+  if (!copied) {
+    throw new Error("the browser refused to copy to the clipboard");
+  }
+}
+
+function downloadTextFile(fileName, mimeType, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Release the tracked heading ranges held by a previous TOC run
+async function releaseTocRanges(tocItems) {
+  const trackedItems = tocItems.filter((item) => item.range);
+  if (trackedItems.length === 0) {
+    return;
+  }
+
+  try {
+    // All ranges from one TOC run share a request context, so any of them can be used to re-enter it
+    await Word.run(trackedItems[0].range, async (context) => {
+      trackedItems.forEach((item) => context.trackedObjects.remove(item.range));
+      await context.sync();
+    });
+  } catch (error) {
+    console.warn("Could not release tracked TOC ranges:", error);
+  }
+}
+
+// Navigate to a specific section
+async function navigateToSection(index) {
+  if (index < 0 || index >= currentTocItems.length) {
+    console.warn("Invalid section index:", index);
+    return;
+  }
+
+  const targetItem = currentTocItems[index];
+
+  try {
+    let found = false;
+
+    if (targetItem.controlId !== undefined) {
+      // Content control ids survive edits, so look the control up again
+      found = await Word.run(async (context) => {
+        const control = context.document.contentControls.getByIdOrNullObject(targetItem.controlId);
+        control.load("isNullObject");
+        await context.sync();
+
+        if (control.isNullObject) {
+          return false;
+        }
+
+        // A section control spans the whole section, so select just its heading
+        control.paragraphs.getFirst().select(Word.SelectionMode.select);
+        await context.sync();
+        return true;
+      });
+    } else if (targetItem.range) {
+      // Re-enter the context the range was tracked in so Word has kept it adjusted to later edits
+      found = await Word.run(targetItem.range, async (context) => {
+        const range = targetItem.range;
+        range.load("text");
+        await context.sync();
+
+        if (!range.text || !range.text.trim()) {
+          return false;
+        }
+
+        range.select(Word.SelectionMode.select);
+        await context.sync();
+        return true;
+      });
+    } else {
+      console.warn("No position data available for section:", targetItem.text);
+      showTocStatus(`"${targetItem.text}" has no stored position. Refresh the table of contents.`, "orange");
+      return;
+    }
+
+    if (!found) {
+      markTocItemMissing(index);
+      return;
+    }
+
+    showTocStatus("", "");
+
+    // Update current section display after a short delay
+    setTimeout(() => {
+      getCurrentSection(document.getElementById("sectionHeadingStyle").value);
+    }, 500);
+  } catch (error) {
+    // A tracked range whose paragraph was removed can also surface as an ItemNotFound error
+    if (error.code === "ItemNotFound" || error.code === "InvalidObjectPath") {
+      markTocItemMissing(index);
+    } else {
+      console.error("Error navigating to section:", error);
+      showTocStatus(`Could not navigate to "${targetItem.text}": ${error.message}`, "red");
+    }
+  }
+}
+
+// Show the section menu for a TOC entry, enabling only the operations that make sense for it
+function openTocContextMenu(index, event) {
+  event.preventDefault();
+
+  const item = currentTocItems[index];
+  const subtree = [index, ...sectionDescendants(currentTocItems, index)];
+  const deepestLevel = Math.max(...subtree.map((position) => currentTocItems[position].level));
+  const enabled = {
+    promote: item.level > 1,
+    demote: item.level >= 1 && deepestLevel < MAX_HEADING_LEVEL,
+    moveUp: findSibling(currentTocItems, index, -1) >= 0,
+    moveDown: findSibling(currentTocItems, index, 1) >= 0,
+    duplicate: true,
+    delete: true,
+    metadata: true,
+  };
+
+  const menu = document.getElementById("toc-context-menu");
+  menu.querySelectorAll("button").forEach((button) => {
+    button.disabled = !enabled[button.dataset.action];
+    delete button.dataset.confirm;
+  });
+  menu.querySelector('[data-action="delete"]').textContent = "Delete section";
+
+  contextMenuIndex = index;
+  menu.style.left = `${event.clientX}px`;
+  menu.style.top = `${event.clientY}px`;
+  menu.style.display = "block";
+}
+
+function closeTocContextMenu() {
+  document.getElementById("toc-context-menu").style.display = "none";
+  contextMenuIndex = null;
+}
+
+async function runTocMenuAction(button) {
+  const index = contextMenuIndex;
+  const action = button.dataset.action;
+
+  // Deleting takes a second click instead of a confirm() dialog, which Office blocks
+  if (action === "delete" && !button.dataset.confirm) {
+    button.dataset.confirm = "true";
+    button.textContent = "Click again to delete";
+    return;
+  }
+
+  closeTocContextMenu();
+  if (index === null) {
+    return;
+  }
+
+  switch (action) {
+    case "promote":
+      await changeSectionLevel(index, -1);
+      break;
+    case "demote":
+      await changeSectionLevel(index, 1);
+      break;
+    case "moveUp":
+      await moveSection(index, findSibling(currentTocItems, index, -1), "before");
+      break;
+    case "moveDown":
+      await moveSection(index, findSibling(currentTocItems, index, 1), "after");
+      break;
+    case "duplicate":
+      await duplicateSection(index);
+      break;
+    case "delete":
+      await deleteSection(index);
+      break;
+    case "metadata":
+      openMetadataEditor(index);
+      break;
+  }
+}
+
+// Drag a TOC entry onto another to move its section before (upper half) or after (lower half) that section
+function enableTocDragAndDrop(element, index) {
+  const placementFor = (event) => {
+    const bounds = element.getBoundingClientRect();
+    return event.clientY < bounds.top + bounds.height / 2 ? "before" : "after";
+  };
+  const clearDropMarker = () => element.classList.remove("drop-before", "drop-after");
+
+  element.draggable = true;
+  element.ondragstart = (event) => {
+    event.dataTransfer.setData("text/plain", String(index));
+    event.dataTransfer.effectAllowed = "move";
+  };
+  element.ondragover = (event) => {
+    event.preventDefault();
+    clearDropMarker();
+    element.classList.add(`drop-${placementFor(event)}`);
+  };
+  element.ondragleave = clearDropMarker;
+  element.ondrop = (event) => {
+    event.preventDefault();
+    clearDropMarker();
+
+    const source = parseInt(event.dataTransfer.getData("text/plain"));
+    if (isNaN(source) || source === index) {
+      return;
+    }
+
+    // A section cannot be dropped inside itself
+    if (sectionDescendants(currentTocItems, source).includes(index)) {
+      showTocStatus("A section cannot be moved into one of its own subsections.", "orange");
+      return;
+    }
+    moveSection(source, index, placementFor(event));
+  };
+}
+
+// Promote (delta -1) or demote (delta 1) a heading together with every heading nested under it
+async function changeSectionLevel(position, delta) {
+  const item = currentTocItems[position];
+  const positions = [position, ...sectionDescendants(currentTocItems, position)];
+
+  await runSectionOperation(`${delta < 0 ? "Promoted" : "Demoted"} "${item.text}"`, async (context) => {
+    const controls = [];
+
+    positions.forEach((current) => {
+      const heading = currentTocItems[current];
+      const level = heading.level + delta;
+
+      if (heading.controlId !== undefined) {
+        const control = context.document.contentControls.getById(heading.controlId);
+        control.load("tag");
+        controls.push({ control, level });
+        applyHeadingLevelStyle(control.paragraphs.getFirst(), heading, level);
+      } else {
+        applyHeadingLevelStyle(heading.range.paragraphs.getFirst(), heading, level);
+      }
+    });
+
+    // Section controls record their level in the tag; the id stays the same
+    if (controls.length > 0) {
+      await context.sync();
+      controls.forEach(({ control, level }) => {
+        const section = parseSectionTag(control.tag);
+        if (section) {
+          control.tag = createSectionTag(level, section.id);
+        }
+      });
+    }
+  });
+}
+
+// Move a section before the heading at `targetPosition`, or after the end of that heading's section
+async function moveSection(sourcePosition, targetPosition, placement) {
+  if (targetPosition < 0) {
+    return;
+  }
+
+  // The copy cannot take over a bookmark the original still has, so section metadata bookmarks are put back
+  const metadataBookmark = sectionMetadataBookmark(currentTocItems[sourcePosition].metadataKey);
+
+  await runSectionOperation(`Moved "${currentTocItems[sourcePosition].text}"`, async (context) => {
+    const { source, inserted } = await copySection(context, sourcePosition, targetPosition, placement);
+    source.delete();
+    if (metadataBookmark) {
+      inserted.paragraphs.getFirst().getRange(Word.RangeLocation.whole).insertBookmark(metadataBookmark);
+    }
+  });
+}
+
+// Insert a copy of a section right after it
+async function duplicateSection(position) {
+  await runSectionOperation(`Duplicated "${currentTocItems[position].text}"`, async (context) => {
+    const { inserted } = await copySection(context, position, position, "after");
+
+    // The copy must not share section ids with the original
+    const controls = inserted.contentControls;
+    controls.load("items/tag");
+    await context.sync();
+    controls.items.forEach((control) => {
+      const section = parseSectionTag(control.tag);
+      if (section) {
+        control.tag = createSectionTag(section.level);
+      }
+    });
+  });
+}
+
+async function deleteSection(position) {
+  await runSectionOperation(`Deleted "${currentTocItems[position].text}"`, async (context) => {
+    getSectionRange(context, position).delete();
+  });
+}
+
+// Run a section operation in the TOC's request context, then rescan so the pane shows the new structure
+async function runSectionOperation(message, operation) {
+  try {
+    await runInTocContext(async (context) => {
+      await operation(context);
+      await context.sync();
+    });
+
+    invalidateHeadingIndex();
+    await getTableOfContents();
+    showTocStatus(message, "green");
+  } catch (error) {
+    console.error("Error changing section:", error);
+    showTocStatus(`Could not change the section: ${error.message}. Refresh the table of contents.`, "red");
+  }
+}
+
+// Copy a section as OOXML to before the heading at `targetPosition`, or after that heading's section.
+// Resolves to { source, inserted } so moves can delete the original.
+async function copySection(context, sourcePosition, targetPosition, placement) {
+  const source = getSectionRange(context, sourcePosition);
+  const ooxml = source.getOoxml();
+  await context.sync();
+  // A ClientResult has no load(); its value is filled in by the sync above
+  // eslint-disable-next-line office-addins/load-object-before-read
+  const xml = ooxml.value;
+
+  // A section control already ends where its section does, and stays inside its parent section
+  if (placement === "after" && currentTocItems[targetPosition].sectionId) {
+    const target = getTocItemRange(context, currentTocItems[targetPosition]);
+    const inserted = target.insertOoxml(xml, Word.InsertLocation.after);
+    return { source, inserted };
+  }
+
+  const anchorPosition = placement === "before" ? targetPosition : findSectionBoundary(currentTocItems, targetPosition);
+  const inserted =
+    anchorPosition >= 0
+      ? getTocItemRange(context, currentTocItems[anchorPosition]).insertOoxml(xml, Word.InsertLocation.before)
+      : context.document.body.insertOoxml(xml, Word.InsertLocation.end);
+  return { source, inserted };
+}
+
+// A section runs from its heading up to the heading that closes it (as findSectionFromPosition
+// draws the boundary), or to the end of the document
+function getSectionRange(context, position) {
+  if (currentTocItems[position].sectionId) {
+    return getTocItemRange(context, currentTocItems[position]);
+  }
+
+  const boundary = findSectionBoundary(currentTocItems, position);
+  const end =
+    boundary >= 0
+      ? getTocItemRange(context, currentTocItems[boundary]).getRange(Word.RangeLocation.start)
+      : context.document.body.getRange(Word.RangeLocation.end);
+  return getTocItemRange(context, currentTocItems[position]).expandTo(end);
+}
+
+// Whole range of a TOC item's heading: its content control, or its tracked paragraph range
+function getTocItemRange(context, item) {
+  if (item.controlId !== undefined) {
+    return context.document.contentControls.getById(item.controlId).getRange(Word.RangeLocation.whole);
+  }
+  // Headings restored from the outline cache have no range until the outline is read again
+  if (!item.range) {
+    throw new Error("Refresh the table of contents first");
+  }
+  return item.range;
+}
+
+// Range of just the heading paragraph of a TOC item; section controls also hold the section body
+function getTocHeadingRange(context, item) {
+  return item.controlId !== undefined
+    ? context.document.contentControls
+        .getById(item.controlId)
+        .paragraphs.getFirst()
+        .getRange(Word.RangeLocation.content)
+    : item.range;
+}
+
+// Keep a custom heading style when the style mapping has one for the new level
+function applyHeadingLevelStyle(paragraph, item, level) {
+  const usesCustomStyle = headingStyleMap.some((entry) => entry.style === item.style);
+  const customStyle = usesCustomStyle ? headingStyleMap.find((entry) => entry.level === level) : null;
+
+  if (customStyle) {
+    paragraph.style = customStyle.style;
+  } else {
+    paragraph.styleBuiltIn = builtInStyleForLevel(level);
+  }
+}
+
+// Show a status message below the TOC heading
+function showTocStatus(message, color) {
+  const statusElement = document.getElementById("toc-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+  statusElement.style.display = message ? "block" : "none";
+}
+
+// Flag a TOC entry whose heading no longer exists
+function markTocItemMissing(index) {
+  const element = document.querySelector(`.toc-item[data-index="${index}"]`);
+  if (element) {
+    element.classList.add("missing-section");
+    element.title = "This heading was deleted from the document";
+  }
+
+  const text = currentTocItems[index].text;
+  showTocStatus(`Heading "${text}" was deleted from the document. Refresh the table of contents.`, "red");
+}
+
+// Fill the level pickers of the "Insert TOC" panel
+function renderTocLevelOptions() {
+  let options = "";
+  for (let level = 1; level <= MAX_HEADING_LEVEL; level++) {
+    options += `<option value="${level}">${level}</option>`;
+  }
+
+  document.getElementById("toc-field-min-level").innerHTML = options;
+  document.getElementById("toc-field-max-level").innerHTML = options;
+  document.getElementById("toc-field-min-level").value = String(DEFAULT_TOC_FIELD_OPTIONS.minLevel);
+  document.getElementById("toc-field-max-level").value = String(DEFAULT_TOC_FIELD_OPTIONS.maxLevel);
+  document.getElementById("toc-field-hyperlinks").checked = DEFAULT_TOC_FIELD_OPTIONS.hyperlinks;
+  document.getElementById("toc-field-page-numbers").checked = DEFAULT_TOC_FIELD_OPTIONS.pageNumbers;
+}
+
+// Show or hide the "Insert TOC" panel, listing the document's bookmarks as insert locations
+function toggleTocFieldSection() {
+  const section = document.getElementById("toc-field-section");
+  const show = section.style.display === "none";
+  section.style.display = show ? "block" : "none";
+
+  if (show) {
+    loadTocBookmarkLocations();
+  }
+}
+
+// Offer the document's visible bookmarks as places to insert a TOC (WordApi 1.4)
+async function loadTocBookmarkLocations() {
+  const select = document.getElementById("toc-field-location");
+  const selected = select.value;
+  let options = `<option value="cursor">At the cursor</option>`;
+
+  if (Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    try {
+      await Word.run(async (context) => {
+        const bookmarks = context.document.body.getRange(Word.RangeLocation.whole).getBookmarks(false, false);
+        await context.sync();
+
+        bookmarks.value.forEach((name) => {
+          options += `<option value="bookmark:${escapeHtml(name)}">Bookmark: ${escapeHtml(name)}</option>`;
+        });
+      });
+    } catch (error) {
+      console.warn("Could not load bookmarks:", error);
+    }
+  }
+
+  select.innerHTML = options;
+  if (Array.from(select.options).some((option) => option.value === selected)) {
+    select.value = selected;
+  }
+}
+
+function readTocFieldOptions() {
+  return normalizeTocFieldOptions({
+    minLevel: document.getElementById("toc-field-min-level").value,
+    maxLevel: document.getElementById("toc-field-max-level").value,
+    hyperlinks: document.getElementById("toc-field-hyperlinks").checked,
+    pageNumbers: document.getElementById("toc-field-page-numbers").checked,
+  });
+}
+
+function showTocFieldStatus(message, color) {
+  const statusElement = document.getElementById("toc-field-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+// Insert a Word TOC field, or a generated hyperlinked list where the field API is missing
+export async function insertTocIntoDocument() {
+  const options = readTocFieldOptions();
+  const location = document.getElementById("toc-field-location").value;
+  showTocFieldStatus("Inserting table of contents...", "#666");
+
+  if (Office.context.requirements.isSetSupported("WordApi", "1.5")) {
+    try {
+      await Word.run(async (context) => {
+        const tocParagraph = await insertTocParagraph(context, location);
+        const field = tocParagraph
+          .getRange()
+          .insertField(Word.InsertLocation.start, Word.FieldType.toc, buildTocFieldSwitches(options), true);
+        field.updateResult();
+        await context.sync();
+      });
+
+      showTocFieldStatus(
+        `Inserted a table of contents for heading levels ${options.minLevel}-${options.maxLevel}`,
+        "green"
+      );
+      return;
+    } catch (error) {
+      if (!isFieldApiUnavailable(error)) {
+        console.error("Error inserting TOC field:", error);
+        showTocFieldStatus(`Could not insert the table of contents: ${error.message}`, "red");
+        return;
+      }
+      console.warn("TOC fields are not available, inserting a generated list instead:", error);
+    }
+  }
+
+  await insertGeneratedToc(options, location);
+}
+
+// Update every TOC field in the document and rebuild the generated lists
+export async function refreshDocumentTocs() {
+  showTocFieldStatus("Refreshing tables of contents...", "#666");
+
+  try {
+    let fieldCount = 0;
+    if (Office.context.requirements.isSetSupported("WordApi", "1.5")) {
+      try {
+        fieldCount = await Word.run(async (context) => {
+          const fields = context.document.body.fields;
+          fields.load("items/code");
+          await context.sync();
+
+          const tocFields = fields.items.filter((field) => isTocFieldCode(field.code));
+          tocFields.forEach((field) => field.updateResult());
+          await context.sync();
+          return tocFields.length;
+        });
+      } catch (error) {
+        if (!isFieldApiUnavailable(error)) {
+          throw error;
+        }
+        console.warn("TOC fields are not available, refreshing generated lists only:", error);
+      }
+    }
+
+    const listCount = await refreshGeneratedTocs();
+
+    if (fieldCount === 0 && listCount === 0) {
+      showTocFieldStatus("No table of contents found in the document.", "orange");
+    } else {
+      showTocFieldStatus(`Refreshed ${fieldCount} TOC field(s) and ${listCount} generated list(s)`, "green");
+    }
+  } catch (error) {
+    console.error("Error refreshing tables of contents:", error);
+    showTocFieldStatus(`Could not refresh the table of contents: ${error.message}`, "red");
+  }
+}
+
+// Hosts without TOC field support reject the calls rather than hiding them
+function isFieldApiUnavailable(error) {
+  return error.code === "NotImplemented" || error.code === "ApiNotFound";
+}
+
+// Add an empty Normal paragraph in front of the paragraph at the cursor or at the chosen bookmark
+async function insertTocParagraph(context, location) {
+  let range;
+  if (location.startsWith("bookmark:")) {
+    const name = location.slice("bookmark:".length);
+    range = context.document.getBookmarkRangeOrNullObject(name);
+    range.load("isNullObject");
+    await context.sync();
+
+    if (range.isNullObject) {
+      throw new Error(`Bookmark "${name}" no longer exists`);
+    }
+  } else {
+    range = context.document.getSelection();
+  }
+
+  // Without an explicit style the new paragraph would inherit a heading style from its neighbour
+  const paragraph = range.paragraphs.getFirst().insertParagraph("", Word.InsertLocation.before);
+  paragraph.styleBuiltIn = Word.BuiltInStyleName.normal;
+  return paragraph;
+}
+
+// Fallback: the pane's own headings as a list in a tagged content control, linked to bookmarks on the headings
+async function insertGeneratedToc(options, location) {
+  // Rescan so the list and bookmarks match the document as it is now
+  await getTableOfContents();
+  const entries = selectTocEntries(currentTocItems, options);
+
+  if (entries.length === 0) {
+    showTocFieldStatus(`No headings between levels ${options.minLevel} and ${options.maxLevel} to list.`, "orange");
+    return;
+  }
+
+  try {
+    await runInTocContext(async (context) => {
+      const linked = await bookmarkTocHeadings(context, options.hyperlinks);
+      const control = (await insertTocParagraph(context, location)).insertContentControl();
+      control.tag = generatedTocTag(options);
+      control.title = "Table of Contents";
+      writeGeneratedToc(control, entries, linked);
+      await context.sync();
+    });
+
+    showTocFieldStatus(
+      `This version of Word cannot insert TOC fields, so a list of ${entries.length} headings was inserted instead` +
+        (options.pageNumbers ? " (without page numbers)" : ""),
+      "orange"
+    );
+  } catch (error) {
+    console.error("Error inserting generated TOC:", error);
+    showTocFieldStatus(`Could not insert the table of contents: ${error.message}`, "red");
+  }
+}
+
+// Rebuild every generated list with the options recorded in its tag. Returns how many were rebuilt.
+async function refreshGeneratedTocs() {
+  const hasGeneratedTocs = await Word.run(async (context) => {
+    const controls = context.document.contentControls;
+    controls.load("items/tag");
+    await context.sync();
+    return controls.items.some((control) => parseGeneratedTocTag(control.tag));
+  });
+
+  if (!hasGeneratedTocs) {
+    return 0;
+  }
+
+  await getTableOfContents();
+
+  return runInTocContext(async (context) => {
+    const controls = context.document.contentControls;
+    controls.load("items/tag");
+    await context.sync();
+
+    const generated = controls.items.filter((control) => parseGeneratedTocTag(control.tag));
+    const linked = await bookmarkTocHeadings(
+      context,
+      generated.some((control) => parseGeneratedTocTag(control.tag).hyperlinks)
+    );
+
+    generated.forEach((control) => {
+      const options = parseGeneratedTocTag(control.tag);
+      writeGeneratedToc(control, selectTocEntries(currentTocItems, options), linked && options.hyperlinks);
+    });
+    await context.sync();
+    return generated.length;
+  });
+}
+
+// Read the outline again when there is none or it was restored from the cache, whose headings have
+// no ranges to locate them by. Resolves to false when the outline could not be read completely.
+async function ensureLocatedOutline() {
+  if (currentTocItems.length === 0 || currentTocItems.some((item) => item.start === null)) {
+    return getTableOfContents();
+  }
+  return true;
+}
+
+// The TOC items with the positions their headings have now, since edits after the last scan move them.
+// Run it in the TOC context (runInTocContext) so the tracked heading ranges can be read.
+async function readTocItemsAtCurrentPositions(context) {
+  const starts = await readTocItemPositions(context, currentTocItems);
+  return currentTocItems.map((item, position) => ({ ...item, start: starts[position] }));
+}
+
+// Run a batch in the request context the current TOC ranges are tracked in, so they can still be used
+function runInTocContext(batch) {
+  const trackedItem = currentTocItems.find((item) => item.range);
+  return trackedItem ? Word.run(trackedItem.range, batch) : Word.run(batch);
+}
+
+// Put a hidden bookmark on every heading in the pane's TOC, replacing the previous set (WordApi 1.4).
+// Returns false when bookmarks are not wanted or not supported.
+async function bookmarkTocHeadings(context, wanted) {
+  if (!wanted || !Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    return false;
+  }
+
+  const existing = context.document.body.getRange(Word.RangeLocation.whole).getBookmarks(true, false);
+  await context.sync();
+
+  existing.value
+    .filter((name) => name.startsWith(HEADING_BOOKMARK_PREFIX))
+    .forEach((name) => context.document.deleteBookmark(name));
+
+  currentTocItems.forEach((item) => {
+    const range = getTocHeadingRange(context, item);
+    if (range) {
+      range.insertBookmark(headingBookmarkName(item.index));
+    }
+  });
+  return true;
+}
+
+// Replace a generated list's content with one TOC-styled paragraph per entry
+function writeGeneratedToc(control, entries, linked) {
+  control.clear();
+
+  entries.forEach((item, position) => {
+    let paragraph;
+    if (position === 0) {
+      paragraph = control.paragraphs.getFirst();
+      paragraph.insertText(item.text, Word.InsertLocation.start);
+    } else {
+      paragraph = control.insertParagraph(item.text, Word.InsertLocation.end);
+    }
+
+    paragraph.styleBuiltIn = Word.BuiltInStyleName[`toc${Math.min(Math.max(item.level, 1), MAX_HEADING_LEVEL)}`];
+    if (linked) {
+      paragraph.getRange(Word.RangeLocation.content).hyperlink = `#${headingBookmarkName(item.index)}`;
+    }
+  });
+}
+
+// Check the heading structure and list the problems found
+export async function checkHeadingStructure() {
+  document.getElementById("lint-section").style.display = "block";
+  document.getElementById("lint-findings").innerHTML = "";
+  showLintStatus("Checking heading structure...", "#666");
+
+  await releaseLintParagraphs(lintFindings);
+  lintFindings = [];
+
+  try {
+    await Word.run(async (context) => {
+      // Unlike the TOC, keep empty and over-long headings so they can be reported
+      const bodyParagraphs = [];
+      const scan = await scanHeadings(context, {
+        resolveLevel: (paragraph) => resolveHeadingLevel(paragraph, headingStyleMap),
+        acceptHeading: () => true,
+        bodyProperties: "font/bold, font/size",
+        onBodyParagraph: (paragraph, paragraphIndex, text) => {
+          bodyParagraphs.push({ paragraphIndex, text, bold: paragraph.font.bold, size: paragraph.font.size });
+        },
+      });
+
+      const findings = lintHeadingStructure(scan.headings, bodyParagraphs);
+
+      // Track the flagged paragraphs so jumps and fixes still reach them after edits
+      const tracked = new Set();
+      findings.forEach((finding) => {
+        if (finding.paragraphIndex !== null) {
+          finding.paragraph = scan.paragraphs[finding.paragraphIndex];
+          tracked.add(finding.paragraph);
+        }
+      });
+      tracked.forEach((paragraph) => context.trackedObjects.add(paragraph));
+      await context.sync();
+
+      lintFindings = findings;
+    });
+
+    renderLintFindings();
+  } catch (error) {
+    console.error("Error checking heading structure:", error);
+    showLintStatus(`Could not check the heading structure: ${error.message}`, "red");
+  }
+}
+
+function showLintStatus(message, color) {
+  const statusElement = document.getElementById("lint-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+// Release the paragraphs tracked by a previous structure check
+async function releaseLintParagraphs(findings) {
+  const paragraphs = new Set(findings.filter((finding) => finding.paragraph).map((finding) => finding.paragraph));
+  if (paragraphs.size === 0) {
+    return;
+  }
+
+  try {
+    await Word.run(paragraphs.values().next().value, async (context) => {
+      paragraphs.forEach((paragraph) => context.trackedObjects.remove(paragraph));
+      await context.sync();
+    });
+  } catch (error) {
+    console.warn("Could not release tracked structure check paragraphs:", error);
+  }
+}
+
+function renderLintFindings() {
+  const list = document.getElementById("lint-findings");
+
+  if (lintFindings.length === 0) {
+    showLintStatus("No structure problems found.", "green");
+    return;
+  }
+
+  const errorCount = lintFindings.filter((finding) => finding.severity === "error").length;
+  showLintStatus(
+    `${lintFindings.length} problem(s) found: ${errorCount} error(s), ${lintFindings.length - errorCount} warning(s)`,
+    errorCount > 0 ? "red" : "orange"
+  );
+
+  list.innerHTML = lintFindings
+    .map(
+      (finding, index) => `
+        <li class="lint-finding lint-${finding.severity}" data-index="${index}">
+          <span class="lint-message">${escapeHtml(finding.message)}</span>
+          ${finding.text ? `<small>${escapeHtml(finding.text)}</small>` : ""}
+          ${
+            finding.fix
+              ? `<button class="lint-fix ms-font-s" type="button">${escapeHtml(finding.fix.label)}</button>`
+              : ""
+          }
+        </li>
+      `
+    )
+    .join("");
+
+  list.querySelectorAll(".lint-finding").forEach((element) => {
+    const index = parseInt(element.dataset.index);
+    element.onclick = () => jumpToLintFinding(index);
+
+    const fixButton = element.querySelector(".lint-fix");
+    if (fixButton) {
+      fixButton.onclick = (event) => {
+        event.stopPropagation();
+        fixLintFinding(index);
+      };
+    }
+  });
+}
+
+// Select the paragraph a finding refers to, or the start of the document for document-wide findings
+async function jumpToLintFinding(index) {
+  const finding = lintFindings[index];
+
+  try {
+    if (finding.paragraph) {
+      await Word.run(finding.paragraph, async (context) => {
+        finding.paragraph.select(Word.SelectionMode.select);
+        await context.sync();
+      });
+    } else {
+      await Word.run(async (context) => {
+        context.document.body.getRange(Word.RangeLocation.start).select();
+        await context.sync();
+      });
+    }
+  } catch (error) {
+    console.error("Error jumping to structure finding:", error);
+    showLintStatus("Could not find that paragraph any more. Run the check again.", "red");
+  }
+}
+
+// Apply the style a finding suggests, then check again since levels further down may shift
+async function fixLintFinding(index) {
+  const finding = lintFindings[index];
+  if (!finding.fix || !finding.paragraph) {
+    return;
+  }
+
+  try {
+    await Word.run(finding.paragraph, async (context) => {
+      finding.paragraph.styleBuiltIn = builtInStyleForLevel(finding.fix.level);
+      await context.sync();
+    });
+  } catch (error) {
+    console.error("Error fixing structure finding:", error);
+    showLintStatus(`Could not apply the fix: ${error.message}`, "red");
+    return;
+  }
+
+  invalidateHeadingIndex();
+  await checkHeadingStructure();
+  if (currentTocItems.length > 0) {
+    getTableOfContents();
+  }
+}
+
+// Built-in paragraph style for a heading level: 0 is Title, null is Normal
+function builtInStyleForLevel(level) {
+  if (level === null) {
+    return Word.BuiltInStyleName.normal;
+  }
+  return level === 0 ? Word.BuiltInStyleName.title : Word.BuiltInStyleName[`heading${level}`];
+}
+
+function toggleSectionControlsSection() {
+  const section = document.getElementById("section-controls-section");
+  section.style.display = section.style.display === "none" ? "block" : "none";
+}
+
+function showSectionControlStatus(message, color) {
+  const statusElement = document.getElementById("section-controls-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+// Wrap every heading and its body, up to the next heading at the same or a higher level, in a
+// section content control. Headings that already open a section control are left alone.
+export async function wrapSectionsInControls() {
+  document.getElementById("section-controls-section").style.display = "block";
+  showSectionControlStatus("Wrapping sections...", "#666");
+
+  try {
+    const result = await Word.run(async (context) => {
+      const scan = await scanHeadings(context, {
+        resolveLevel: (paragraph) => resolveHeadingLevel(paragraph, headingStyleMap),
+        matchLevel: (level) => level >= 1,
+      });
+
+      const enclosing = scan.headings.map((heading) => {
+        const control = heading.paragraph.parentContentControlOrNullObject;
+        control.load("id, tag");
+        return control;
+      });
+      await context.sync();
+
+      const items = scan.headings.map((heading) => ({ text: heading.text, level: heading.level }));
+      let wrapped = 0;
+      let skipped = 0;
+
+      // Document order puts parents first, so each subsection is wrapped inside its new parent
+      items.forEach((item, position) => {
+        const control = enclosing[position];
+        const section = control.isNullObject ? null : parseSectionTag(control.tag);
+        if (section && section.level >= item.level) {
+          skipped++;
+          return;
+        }
+
+        const boundary = findSectionBoundary(items, position);
+        const end =
+          boundary >= 0
+            ? scan.headings[boundary].range.getRange(Word.RangeLocation.start)
+            : context.document.body.getRange(Word.RangeLocation.end);
+        let range = scan.headings[position].range.expandTo(end);
+
+        // Stay inside the control the heading already sits in, such as an inserted draft
+        if (!control.isNullObject) {
+          range = range.intersectWithOrNullObject(control.getRange(Word.RangeLocation.content));
+        }
+
+        const sectionControl = range.insertContentControl();
+        sectionControl.tag = createSectionTag(item.level);
+        sectionControl.title = item.text.slice(0, SECTION_CONTROL_TITLE_LENGTH);
+        wrapped++;
+      });
+      await context.sync();
+
+      return { wrapped, skipped };
+    });
+
+    showSectionControlStatus(
+      `Wrapped ${result.wrapped} section(s)` + (result.skipped ? `, ${result.skipped} already wrapped` : ""),
+      "green"
+    );
+    invalidateHeadingIndex();
+    if (currentTocItems.length > 0) {
+      getTableOfContents();
+    }
+  } catch (error) {
+    console.error("Error wrapping sections:", error);
+    showSectionControlStatus(`Could not wrap the sections: ${error.message}`, "red");
+  }
+}
+
+// Every section control in the document with the details findSectionControlProblems needs
+async function loadSectionControls(context) {
+  const controls = context.document.contentControls;
+  controls.load("items/id, items/tag");
+  await context.sync();
+
+  const sections = controls.items.filter((control) => parseSectionTag(control.tag));
+  const details = sections.map((control) => {
+    const parent = control.parentContentControlOrNullObject;
+    parent.load("tag");
+    const heading = control.paragraphs.getFirst();
+    context.load(heading, "text, styleBuiltIn, style, outlineLevel");
+    return { control, parent, heading };
+  });
+  await context.sync();
+
+  return details.map(({ control, parent, heading }) => {
+    const text = heading.text ? heading.text.trim() : "";
+    return {
+      control: control,
+      controlId: control.id,
+      tag: control.tag,
+      parentTag: parent.isNullObject ? null : parent.tag,
+      headingText: text,
+      headingLevel: text ? resolveHeadingLevel(heading, headingStyleMap) : null,
+    };
+  });
+}
+
+// List orphaned, wrongly nested and duplicated section controls
+export async function checkSectionControls() {
+  document.getElementById("section-controls-section").style.display = "block";
+  showSectionControlStatus("Checking section controls...", "#666");
+
+  try {
+    const result = await Word.run(async (context) => {
+      const controls = await loadSectionControls(context);
+      return { count: controls.length, problems: findSectionControlProblems(controls) };
+    });
+    sectionControlProblems = result.problems;
+    renderSectionControlProblems(result.count);
+  } catch (error) {
+    console.error("Error checking section controls:", error);
+    showSectionControlStatus(`Could not check the section controls: ${error.message}`, "red");
+  }
+}
+
+function renderSectionControlProblems(controlCount) {
+  const list = document.getElementById("section-control-problems");
+  document.getElementById("repairSectionControls").disabled = sectionControlProblems.length === 0;
+
+  if (sectionControlProblems.length === 0) {
+    list.innerHTML = "";
+    showSectionControlStatus(`${controlCount} section control(s), no problems found.`, "green");
+    return;
+  }
+
+  showSectionControlStatus(
+    `${sectionControlProblems.length} problem(s) in ${controlCount} section control(s)`,
+    "orange"
+  );
+  list.innerHTML = sectionControlProblems
+    .map(
+      (problem, index) => `
+        <li class="lint-finding" data-index="${index}">
+          <span class="lint-message">${escapeHtml(problem.message)}</span>
+          <small>${escapeHtml(SECTION_CONTROL_FIX_LABELS[problem.fix])}</small>
+        </li>
+      `
+    )
+    .join("");
+
+  list.querySelectorAll(".lint-finding").forEach((element) => {
+    element.onclick = () => selectSectionControl(sectionControlProblems[parseInt(element.dataset.index)].controlId);
+  });
+}
+
+async function selectSectionControl(controlId) {
+  try {
+    await Word.run(async (context) => {
+      const control = context.document.contentControls.getByIdOrNullObject(controlId);
+      control.load("id");
+      await context.sync();
+      if (control.isNullObject) {
+        throw new Error("The control no longer exists");
+      }
+      control.select(Word.SelectionMode.select);
+      await context.sync();
+    });
+  } catch (error) {
+    console.error("Error selecting section control:", error);
+    showSectionControlStatus("Could not find that control any more. Check again.", "red");
+  }
+}
+
+// Fix every problem found in the document as it is now. Removing a control keeps its content;
+// otherwise the control is retagged with a new id and/or the level of its heading.
+export async function repairSectionControls() {
+  showSectionControlStatus("Repairing section controls...", "#666");
+
+  try {
+    const repaired = await Word.run(async (context) => {
+      const controls = await loadSectionControls(context);
+      const problemsById = new Map();
+      findSectionControlProblems(controls).forEach((problem) => {
+        problemsById.set(problem.controlId, [...(problemsById.get(problem.controlId) || []), problem]);
+      });
+
+      controls.forEach(({ control, controlId, tag }) => {
+        const problems = problemsById.get(controlId);
+        if (!problems) {
+          return;
+        }
+
+        if (problems.some((problem) => problem.fix === SECTION_CONTROL_PROBLEMS.orphaned.fix)) {
+          control.delete(true);
+          return;
+        }
+
+        const section = parseSectionTag(tag);
+        const retag = problems.find((problem) => problem.fix === SECTION_CONTROL_PROBLEMS.levelMismatch.fix);
+        const level = retag ? retag.level : section.level;
+        const newId = problems.some((problem) => problem.fix === SECTION_CONTROL_PROBLEMS.duplicateId.fix);
+        control.tag = newId ? createSectionTag(level) : createSectionTag(level, section.id);
+      });
+      await context.sync();
+
+      return problemsById.size;
+    });
+
+    invalidateHeadingIndex();
+    await checkSectionControls();
+    if (sectionControlProblems.length === 0) {
+      showSectionControlStatus(`Repaired ${repaired} section control(s)`, "green");
+    }
+    if (currentTocItems.length > 0) {
+      getTableOfContents();
+    }
+  } catch (error) {
+    console.error("Error repairing section controls:", error);
+    showSectionControlStatus(`Could not repair the section controls: ${error.message}`, "red");
+  }
+}
+
+function toggleSearchSection() {
+  const section = document.getElementById("search-section");
+  const show = section.style.display === "none";
+  section.style.display = show ? "block" : "none";
+
+  if (show) {
+    document.getElementById("search-text").focus();
+  }
+}
+
+function showSearchStatus(message, color) {
+  const statusElement = document.getElementById("search-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+function readSearchOptions() {
+  return {
+    matchCase: document.getElementById("search-match-case").checked,
+    matchWholeWord: document.getElementById("search-whole-word").checked,
+    matchWildcards: document.getElementById("search-wildcards").checked,
+  };
+}
+
+// Search the document body and list the hits under the TOC section each one falls in
+export async function searchDocument() {
+  const text = document.getElementById("search-text").value;
+  if (!text.trim()) {
+    showSearchStatus("Enter something to search for.", "orange");
+    return;
+  }
+  if (text.length > SEARCH_TEXT_LIMIT) {
+    showSearchStatus(`Search text is limited to ${SEARCH_TEXT_LIMIT} characters.`, "orange");
+    return;
+  }
+
+  await runDocumentSearch({ text, options: readSearchOptions() });
+}
+
+async function runDocumentSearch(search) {
+  document.getElementById("search-section").style.display = "block";
+  document.getElementById("search-results").innerHTML = "";
+  showSearchStatus("Searching...", "#666");
+
+  await releaseSearchHits(searchHits);
+  searchHits = [];
+  searchGroups = [];
+  activeSearchHit = -1;
+  lastSearch = search;
+
+  try {
+    // Hits are grouped by the pane's outline, so make sure there is one whose headings can be located
+    await ensureLocatedOutline();
+
+    const total = await runInTocContext(async (context) => {
+      const results = await searchRange(context, context.document.body, search.text, search.options);
+      const listed = results.slice(0, MAX_SEARCH_RESULTS);
+
+      const paragraphs = listed.map((result) => {
+        const paragraph = result.paragraphs.getFirst();
+        context.load(paragraph, "text");
+        const paragraphStart = paragraph.getRange(Word.RangeLocation.start);
+        context.load(paragraphStart, "start");
+        return { paragraph, paragraphStart };
+      });
+      listed.forEach((result) => context.trackedObjects.add(result));
+      await context.sync();
+
+      // Count earlier hits in the same paragraph so each snippet shows its own occurrence
+      const occurrences = new Map();
+      searchHits = listed.map((result, i) => {
+        const { paragraph, paragraphStart } = paragraphs[i];
+        const occurrence = occurrences.get(paragraphStart.start) || 0;
+        occurrences.set(paragraphStart.start, occurrence + 1);
+
+        return {
+          range: result,
+          text: result.text,
+          start: result.start,
+          end: result.end,
+          snippet: buildSearchSnippet(paragraph.text, result.text, occurrence),
+        };
+      });
+      searchGroups = groupHitsBySection(searchHits, await readTocItemsAtCurrentPositions(context));
+      return results.length;
+    });
+
+    renderSearchResults(total);
+  } catch (error) {
+    console.error("Error searching the document:", error);
+    showSearchStatus(`Could not search the document: ${error.message}`, "red");
+  }
+}
+
+// Release the ranges tracked by a previous search
+async function releaseSearchHits(hits) {
+  if (hits.length === 0) {
+    return;
+  }
+
+  try {
+    await Word.run(hits[0].range, async (context) => {
+      hits.forEach((hit) => context.trackedObjects.remove(hit.range));
+      await context.sync();
+    });
+  } catch (error) {
+    console.warn("Could not release tracked search results:", error);
+  }
+}
+
+// Title of the TOC section at a position, where -1 is the text before the first heading
+function tocSectionTitle(position) {
+  return position >= 0 ? currentTocItems[position].text : "Before the first heading";
+}
+
+function renderSearchResults(total) {
+  const list = document.getElementById("search-results");
+  updateSearchNavigation();
+
+  if (total === 0) {
+    list.innerHTML = "";
+    showSearchStatus(`No results for "${lastSearch.text}".`, "orange");
+    return;
+  }
+
+  showSearchStatus(
+    `${total} result(s) in ${searchGroups.length} section(s)` +
+      (total > searchHits.length ? `; showing the first ${searchHits.length}` : ""),
+    "green"
+  );
+
+  list.innerHTML = searchGroups
+    .map(
+      (group, groupIndex) => `
+        <li class="search-group">
+          <div class="search-group-header">
+            <span class="search-group-title">${escapeHtml(tocSectionTitle(group.position))}</span>
+            <small>${group.hits.length}</small>
+            <button class="search-replace ms-font-s" type="button" data-group="${groupIndex}">Replace in section</button>
+          </div>
+          <ul class="search-hits">
+            ${group.hits
+              .map(
+                (hit) => `
+                  <li class="search-hit" data-hit="${hit.hitIndex}">${snippetHtml(hit.snippet)}</li>
+                `
+              )
+              .join("")}
+          </ul>
+        </li>
+      `
+    )
+    .join("");
+
+  list.querySelectorAll(".search-hit").forEach((element) => {
+    element.onclick = () => selectSearchHit(parseInt(element.dataset.hit));
+  });
+  list.querySelectorAll(".search-replace").forEach((button) => {
+    button.onclick = () => replaceInSearchSection(parseInt(button.dataset.group));
+  });
+}
+
+// A search snippet with the match highlighted
+function snippetHtml(snippet) {
+  return `${escapeHtml(snippet.before)}<mark>${escapeHtml(snippet.match)}</mark>${escapeHtml(snippet.after)}`;
+}
+
+function updateSearchNavigation() {
+  const disabled = searchHits.length === 0;
+  document.getElementById("searchPrevious").disabled = disabled;
+  document.getElementById("searchNext").disabled = disabled;
+}
+
+// Select a hit in the document and mark it in the list
+async function selectSearchHit(hitIndex) {
+  const hit = searchHits[hitIndex];
+  activeSearchHit = hitIndex;
+
+  document.querySelectorAll("#search-results .search-hit").forEach((element) => {
+    const active = parseInt(element.dataset.hit) === hitIndex;
+    element.classList.toggle("active", active);
+    if (active) {
+      element.scrollIntoView({ block: "nearest" });
+    }
+  });
+
+  try {
+    await Word.run(hit.range, async (context) => {
+      hit.range.select(Word.SelectionMode.select);
+      await context.sync();
+    });
+    showSearchStatus(`Result ${hitIndex + 1} of ${searchHits.length}`, "#666");
+  } catch (error) {
+    console.error("Error selecting search result:", error);
+    showSearchStatus("Could not find that result any more. Search again.", "red");
+  }
+}
+
+// Step to the next (1) or previous (-1) hit, wrapping around at either end
+function stepSearchHit(direction) {
+  if (searchHits.length === 0) {
+    return;
+  }
+  const next =
+    activeSearchHit < 0
+      ? direction > 0
+        ? 0
+        : searchHits.length - 1
+      : (activeSearchHit + direction + searchHits.length) % searchHits.length;
+  selectSearchHit(next);
+}
+
+// Replace every match of the last search between a section's heading and the next heading, then search again
+async function replaceInSearchSection(groupIndex) {
+  const group = searchGroups[groupIndex];
+  const replacement = document.getElementById("search-replace-text").value;
+  const title = tocSectionTitle(group.position);
+
+  try {
+    const replaced = await runInTocContext(async (context) => {
+      const results = await searchRange(
+        context,
+        getSectionOwnRange(context, group.position),
+        lastSearch.text,
+        lastSearch.options
+      );
+      results.forEach((result) => result.insertText(replacement, Word.InsertLocation.replace));
+      await context.sync();
+      return results.length;
+    });
+
+    invalidateHeadingIndex();
+    await runDocumentSearch(lastSearch);
+    showSearchStatus(`Replaced ${replaced} match(es) in "${title}". ${searchHits.length} result(s) left.`, "green");
+  } catch (error) {
+    console.error("Error replacing in section:", error);
+    showSearchStatus(`Could not replace in "${title}": ${error.message}`, "red");
+  }
+}
+
+// The text from a TOC item's heading to the next heading of any level, not counting subsections.
+// Position -1 is the text before the first heading.
+function getSectionOwnRange(context, position) {
+  const body = context.document.body;
+  const start =
+    position >= 0
+      ? getTocItemRange(context, currentTocItems[position]).getRange(Word.RangeLocation.start)
+      : body.getRange(Word.RangeLocation.start);
+  const next = currentTocItems[position + 1];
+  const end = next
+    ? getTocItemRange(context, next).getRange(Word.RangeLocation.start)
+    : body.getRange(Word.RangeLocation.end);
+  return start.expandTo(end);
+}
+
+function toggleReviewSection() {
+  const section = document.getElementById("review-section");
+  const show = section.style.display === "none";
+  section.style.display = show ? "block" : "none";
+
+  if (show) {
+    loadReviewItems();
+  }
+}
+
+function showReviewStatus(message, color) {
+  const statusElement = document.getElementById("review-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+function readReviewFilters() {
+  return {
+    status: document.getElementById("review-filter-status").value,
+    kind: document.getElementById("review-filter-kind").value,
+    author: document.getElementById("review-filter-author").value,
+  };
+}
+
+// Load the document's comments (WordApi 1.4) and tracked changes (WordApi 1.6) and list them by TOC section
+export async function loadReviewItems() {
+  document.getElementById("review-section").style.display = "block";
+
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    showReviewStatus("Comments need a newer version of Word (WordApi 1.4).", "orange");
+    return;
+  }
+  const loadTrackedChanges = Office.context.requirements.isSetSupported("WordApi", "1.6");
+  showReviewStatus("Loading comments and tracked changes...", "#666");
+
+  await releaseReviewItems(reviewItems);
+  reviewItems = [];
+  reviewTocItems = [];
+
+  try {
+    // Items are placed by the pane's outline, so make sure there is one with tracked headings
+    await ensureLocatedOutline();
+
+    reviewItems = await runInTocContext(async (context) => {
+      const body = context.document.body;
+      const comments = body.getComments();
+      comments.load("items/id, items/authorName, items/content, items/creationDate, items/resolved");
+      const trackedChanges = loadTrackedChanges ? body.getTrackedChanges() : null;
+      if (trackedChanges) {
+        trackedChanges.load("items/author, items/date, items/text, items/type");
+      }
+      await context.sync();
+
+      const entries = comments.items.map((comment) => ({
+        kind: REVIEW_KINDS.comment,
+        commentId: comment.id,
+        author: comment.authorName,
+        date: comment.creationDate,
+        text: comment.content,
+        resolved: comment.resolved,
+        range: comment.getRange(),
+      }));
+      (trackedChanges ? trackedChanges.items : []).forEach((change) => {
+        const kind = trackedChangeKind(change.type);
+        if (kind) {
+          entries.push({
+            kind: kind,
+            author: change.author,
+            date: change.date,
+            text: change.text,
+            resolved: false,
+            range: change.getRange(),
+          });
+        }
+      });
+
+      entries.forEach((entry) => {
+        context.load(entry.range, "start, end");
+        context.trackedObjects.add(entry.range);
+      });
+      await context.sync();
+
+      // The headings may have moved since the last scan; compare both at their current positions
+      reviewTocItems = await readTocItemsAtCurrentPositions(context);
+
+      return entries
+        .map((entry) => ({ ...entry, start: entry.range.start, end: entry.range.end }))
+        .sort((a, b) => a.start - b.start);
+    });
+
+    renderReviewAuthorOptions();
+    renderReview();
+  } catch (error) {
+    console.error("Error loading comments and tracked changes:", error);
+    showReviewStatus(`Could not load comments and tracked changes: ${error.message}`, "red");
+  }
+}
+
+// Release the ranges tracked by a previous load
+async function releaseReviewItems(items) {
+  if (items.length === 0) {
+    return;
+  }
+
+  try {
+    await Word.run(items[0].range, async (context) => {
+      items.forEach((item) => context.trackedObjects.remove(item.range));
+      await context.sync();
+    });
+  } catch (error) {
+    console.warn("Could not release tracked review items:", error);
+  }
+}
+
+function renderReviewAuthorOptions() {
+  const select = document.getElementById("review-filter-author");
+  const selected = select.value;
+  const authors = listReviewAuthors(reviewItems);
+
+  select.innerHTML =
+    `<option value="">All authors</option>` +
+    authors.map((author) => `<option value="${escapeHtml(author)}">${escapeHtml(author)}</option>`).join("");
+  select.value = authors.includes(selected) ? selected : "";
+}
+
+// The review items that pass the panel's filters, placed in the current TOC sections
+function filteredReviewItems() {
+  return filterReviewItems(assignReviewItemsToSections(reviewItems, reviewTocItems), readReviewFilters());
+}
+
+// List the filtered review items by section and refresh the TOC badges
+function renderReview() {
+  const list = document.getElementById("review-results");
+  const items = filteredReviewItems();
+  renderTocReviewBadges();
+
+  const comments = reviewItems.filter((item) => item.kind === REVIEW_KINDS.comment);
+  const openComments = comments.filter((item) => !item.resolved).length;
+  const changes = reviewItems.length - comments.length;
+  const shown = items.length < reviewItems.length ? `; showing ${items.length}` : "";
+  if (Office.context.requirements.isSetSupported("WordApi", "1.6")) {
+    showReviewStatus(
+      `${comments.length} comment(s), ${openComments} unresolved, and ${changes} tracked change(s)${shown}`,
+      "green"
+    );
+  } else {
+    showReviewStatus(
+      `${comments.length} comment(s), ${openComments} unresolved${shown}. ` +
+        "Tracked changes need a newer version of Word (WordApi 1.6).",
+      "orange"
+    );
+  }
+
+  if (items.length === 0) {
+    list.innerHTML = `<li class="draft-empty">${
+      reviewItems.length === 0 ? "No comments or tracked changes" : "Nothing matches the filters"
+    }</li>`;
+    return;
+  }
+
+  // Bulk actions apply to everything in the section, whatever the filters
+  const sectionCounts = countReviewItemsBySection(assignReviewItemsToSections(reviewItems, reviewTocItems));
+  list.innerHTML = groupReviewItemsBySection(items)
+    .map((group) => {
+      const counts = sectionCounts.get(group.position);
+      const hasChanges = counts.insertions + counts.deletions + counts.formatting > 0;
+      const actions = [
+        counts.openComments > 0 ? ["resolve", "Resolve comments"] : null,
+        hasChanges ? ["accept", "Accept changes"] : null,
+        hasChanges ? ["reject", "Reject changes"] : null,
+      ].filter(Boolean);
+
+      return `
+        <li class="search-group">
+          <div class="search-group-header">
+            <span class="search-group-title">${escapeHtml(tocSectionTitle(group.position))}</span>
+            <small>${group.items.length}</small>
+          </div>
+          <div class="review-actions">
+            ${actions
+              .map(
+                ([action, label]) => `
+                  <button class="review-action ms-font-s" type="button" data-action="${action}"
+                    data-position="${group.position}">${label}</button>
+                `
+              )
+              .join("")}
+          </div>
+          <ul class="search-hits">
+            ${group.items.map(reviewItemHtml).join("")}
+          </ul>
+        </li>
+      `;
+    })
+    .join("");
+
+  list.querySelectorAll(".review-item").forEach((element) => {
+    element.onclick = () => selectReviewItem(parseInt(element.dataset.item));
+  });
+  list.querySelectorAll(".review-action").forEach((button) => {
+    const position = parseInt(button.dataset.position);
+    if (button.dataset.action === "resolve") {
+      button.onclick = () => resolveSectionComments(position);
+    } else {
+      button.onclick = () => reviewSectionChanges(position, button.dataset.action === "accept");
+    }
+  });
+}
+
+function reviewItemHtml(item) {
+  const text = (item.text || "").replace(/\s+/g, " ").trim();
+  const shortText = text.length > REVIEW_TEXT_LENGTH ? `${text.slice(0, REVIEW_TEXT_LENGTH)}…` : text;
+  const details = [
+    item.author || "Unknown author",
+    item.date ? new Date(item.date).toLocaleDateString() : "",
+    item.resolved ? "resolved" : "",
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const classes = `search-hit review-item review-${item.kind}${item.resolved ? " resolved" : ""}`;
+
+  return `
+    <li class="${classes}" data-item="${item.itemIndex}">
+      <strong>${REVIEW_KIND_LABELS[item.kind]}</strong> ${escapeHtml(details)}
+      <small>${escapeHtml(shortText) || "(no text)"}</small>
+    </li>
+  `;
+}
+
+// Show the filtered review counts on each TOC entry
+function renderTocReviewBadges() {
+  const counts = countReviewItemsBySection(filteredReviewItems());
+
+  document.querySelectorAll("#toc-content .toc-item").forEach((element) => {
+    const existing = element.querySelector(".toc-review-badges");
+    if (existing) {
+      existing.remove();
+    }
+
+    const sectionCounts = counts.get(parseInt(element.dataset.index));
+    if (!sectionCounts) {
+      return;
+    }
+
+    const commentTitle = `${sectionCounts.openComments} of ${sectionCounts.comments} unresolved`;
+    const badges = [
+      [sectionCounts.comments, "comment", commentTitle, "💬 "],
+      [sectionCounts.insertions, "insertion", "Insertions", "+"],
+      [sectionCounts.deletions, "deletion", "Deletions", "−"],
+      [sectionCounts.formatting, "formatting", "Formatting changes", "¶"],
+    ]
+      .filter(([count]) => count > 0)
+      .map(
+        ([count, kind, title, symbol]) =>
+          `<span class="review-badge review-badge-${kind}" title="${title}">${symbol}${count}</span>`
+      )
+      .join("");
+
+    const container = document.createElement("span");
+    container.className = "toc-review-badges";
+    container.innerHTML = badges;
+    element.appendChild(container);
+  });
+}
+
+// Select a comment or tracked change in the document and mark it in the list
+async function selectReviewItem(itemIndex) {
+  const item = reviewItems[itemIndex];
+
+  document.querySelectorAll("#review-results .review-item").forEach((element) => {
+    element.classList.toggle("active", parseInt(element.dataset.item) === itemIndex);
+  });
+
+  try {
+    await Word.run(item.range, async (context) => {
+      item.range.select(Word.SelectionMode.select);
+      await context.sync();
+    });
+  } catch (error) {
+    console.error("Error selecting review item:", error);
+    showReviewStatus("Could not find that item any more. Load the review again.", "red");
+  }
+}
+
+// Resolve every open comment between a section's heading and the next heading
+async function resolveSectionComments(position) {
+  const title = tocSectionTitle(position);
+
+  try {
+    const resolved = await runInTocContext(async (context) => {
+      const comments = getSectionOwnRange(context, position).getComments();
+      comments.load("items/resolved");
+      await context.sync();
+
+      const open = comments.items.filter((comment) => !comment.resolved);
+      open.forEach((comment) => {
+        comment.resolved = true;
+      });
+      await context.sync();
+      return open.length;
+    });
+
+    await loadReviewItems();
+    showReviewStatus(`Resolved ${resolved} comment(s) in "${title}"`, "green");
+  } catch (error) {
+    console.error("Error resolving comments:", error);
+    showReviewStatus(`Could not resolve the comments in "${title}": ${error.message}`, "red");
+  }
+}
+
+// Accept or reject every tracked change between a section's heading and the next heading
+async function reviewSectionChanges(position, accept) {
+  const title = tocSectionTitle(position);
+
+  try {
+    const reviewed = await runInTocContext(async (context) => {
+      const trackedChanges = getSectionOwnRange(context, position).getTrackedChanges();
+      trackedChanges.load("items/type");
+      await context.sync();
+
+      const count = trackedChanges.items.length;
+      if (accept) {
+        trackedChanges.acceptAll();
+      } else {
+        trackedChanges.rejectAll();
+      }
+      await context.sync();
+      return count;
+    });
+
+    // Accepting or rejecting can change headings, so the outline is refreshed before the review
+    invalidateHeadingIndex();
+    await getTableOfContents();
+    await loadReviewItems();
+    showReviewStatus(`${accept ? "Accepted" : "Rejected"} ${reviewed} change(s) in "${title}"`, "green");
+  } catch (error) {
+    console.error("Error reviewing tracked changes:", error);
+    showReviewStatus(`Could not ${accept ? "accept" : "reject"} the changes in "${title}": ${error.message}`, "red");
+  }
+}
+
+async function toggleSnapshotSection() {
+  const section = document.getElementById("snapshot-section");
+  const show = section.style.display === "none";
+  section.style.display = show ? "block" : "none";
+
+  if (show && !outlineSnapshot) {
+    outlineSnapshot = await loadStoredSnapshot();
+    renderSnapshotInfo();
+  }
+}
+
+// The snapshot kept in the document settings, with the section bodies from its XML part (WordApi 1.4).
+// Without the part, changed sections are still found by hash but not compared word by word.
+async function loadStoredSnapshot() {
+  const summary = paneSettingsStore ? readOutlineSnapshot(paneSettingsStore.loadSnapshot()) : null;
+  if (!summary || !Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    return summary;
+  }
+
+  try {
+    return await Word.run(async (context) => {
+      const { xml } = await readSnapshotBodiesParts(context);
+      return addSnapshotBodies(summary, xml);
+    });
+  } catch (error) {
+    console.warn("Could not load the snapshot text:", error);
+    return summary;
+  }
+}
+
+// The document's snapshot body parts and the content of the first; there is one unless documents were combined
+async function readSnapshotBodiesParts(context) {
+  const parts = context.document.customXmlParts.getByNamespace(OUTLINE_SNAPSHOT_NAMESPACE);
+  parts.load("items/id");
+  await context.sync();
+
+  const loaded = parts.items.map((part) => ({ part, xml: part.getXml() }));
+  await context.sync();
+  return { parts: loaded.map(({ part }) => part), xml: loaded.length > 0 ? loaded[0].xml.value : "" };
+}
+
+// Replace the snapshot body part with the bodies of a new snapshot. Resolves to whether it was saved.
+async function saveSnapshotBodies(snapshot) {
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    return false;
+  }
+
+  try {
+    await Word.run(async (context) => {
+      const { parts } = await readSnapshotBodiesParts(context);
+      parts.forEach((part) => part.delete());
+      context.document.customXmlParts.add(serializeSnapshotBodiesXml(snapshot));
+      await context.sync();
+    });
+    return true;
+  } catch (error) {
+    console.warn("Could not save the snapshot text:", error);
+    return false;
+  }
+}
+
+function showSnapshotStatus(message, color) {
+  const statusElement = document.getElementById("snapshot-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+// Describe the baseline snapshot and enable the actions that need one
+function renderSnapshotInfo() {
+  const info = document.getElementById("snapshot-info");
+  document.getElementById("exportSnapshot").disabled = !outlineSnapshot;
+  document.getElementById("compareSnapshot").disabled = !outlineSnapshot;
+
+  if (!outlineSnapshot) {
+    info.textContent = "No snapshot yet. Take one to use as the baseline.";
+    return;
+  }
+  const takenAt = Date.parse(outlineSnapshot.takenAt);
+  info.textContent =
+    `Baseline: ${outlineSnapshot.sections.length} heading(s)` +
+    (outlineSnapshot.title ? ` of ${outlineSnapshot.title}` : "") +
+    (isNaN(takenAt) ? "" : `, taken ${new Date(takenAt).toLocaleString()}`);
+}
+
+// Snapshot of the document as it is now, from a freshly read outline
+async function captureOutlineSnapshot() {
+  if (!(await getTableOfContents())) {
+    throw new Error("The table of contents could not be read completely");
+  }
+
+  const bodies = await runInTocContext(async (context) => {
+    const ranges = currentTocItems.map((item, position) => {
+      const range = getSectionOwnRange(context, position);
+      range.load("text");
+      return range;
+    });
+    await context.sync();
+    return ranges.map((range) => sectionBodyText(range.text));
+  });
+
+  const location = parseDocumentUrl(await getDocumentUrl());
+  const title = location.fileName ? location.fileName.replace(/\.[^.]+$/, "") : "";
+  return createOutlineSnapshot(currentTocItems, bodies, { title: title });
+}
+
+// Take a snapshot and keep it in the document as the new baseline: headings and hashes in the
+// document settings, section bodies in an XML part
+async function takeOutlineSnapshot() {
+  showSnapshotStatus("Taking a snapshot...", "#666");
+  try {
+    const snapshot = await captureOutlineSnapshot();
+    const bodiesSaved = await saveSnapshotBodies(snapshot);
+    const savedTo = await paneSettingsStore.saveSnapshot(outlineSnapshotSummary(snapshot));
+    outlineSnapshot = snapshot;
+    renderSnapshotInfo();
+    document.getElementById("snapshot-diff").innerHTML = "";
+
+    if (savedTo === "document" && bodiesSaved) {
+      showSnapshotStatus("Snapshot saved in the document.", "green");
+    } else if (savedTo === "document") {
+      showSnapshotStatus(
+        "Snapshot saved in the document without the section text, so changed sections cannot be compared " +
+          "word by word later; export it to keep the text.",
+        "orange"
+      );
+    } else if (savedTo === "local") {
+      showSnapshotStatus("Snapshot saved in this browser only; export it to keep a copy with the document.", "orange");
+    } else {
+      showSnapshotStatus("The snapshot could not be saved; export it to keep it.", "orange");
+    }
+  } catch (error) {
+    console.error("Error taking outline snapshot:", error);
+    showSnapshotStatus(`Could not take a snapshot: ${error.message}`, "red");
+  }
+}
+
+function exportOutlineSnapshot() {
+  const fileName = `${outlineSnapshot.title || "Outline"} snapshot.json`;
+  downloadTextFile(fileName, "application/json", JSON.stringify(outlineSnapshot, null, 2));
+  showSnapshotStatus(`Downloaded ${fileName}.`, "green");
+}
+
+// Use an exported snapshot as the baseline for this session and compare with it straight away
+async function importOutlineSnapshot(file) {
+  try {
+    const snapshot = readOutlineSnapshot(await file.text());
+    if (!snapshot) {
+      showSnapshotStatus(`${file.name} is not an outline snapshot.`, "red");
+      return;
+    }
+    outlineSnapshot = snapshot;
+    renderSnapshotInfo();
+    await compareWithSnapshot();
+  } catch (error) {
+    console.error("Error importing outline snapshot:", error);
+    showSnapshotStatus(`Could not read ${file.name}: ${error.message}`, "red");
+  }
+}
+
+async function compareWithSnapshot() {
+  showSnapshotStatus("Comparing with the snapshot...", "#666");
+  try {
+    const diff = diffOutlineSnapshots(outlineSnapshot, await captureOutlineSnapshot());
+    renderSnapshotDiff(diff);
+  } catch (error) {
+    console.error("Error comparing with outline snapshot:", error);
+    showSnapshotStatus(`Could not compare with the snapshot: ${error.message}`, "red");
+  }
+}
+
+function renderSnapshotDiff(diff) {
+  const container = document.getElementById("snapshot-diff");
+
+  if (diff.headings.length === 0 && diff.changedSections.length === 0) {
+    container.innerHTML = "";
+    showSnapshotStatus("No changes since the snapshot.", "green");
+    return;
+  }
+  showSnapshotStatus(
+    `${diff.headings.length} heading change(s) and ${diff.changedSections.length} changed section(s); ` +
+      `${diff.unchangedCount} section(s) unchanged`,
+    "green"
+  );
+
+  const headingHtml = diff.headings
+    .map((entry) => {
+      const section = entry.after || entry.before;
+      return `
+        <li class="lint-finding snapshot-${entry.change}" data-position="${entry.afterIndex}">
+          <strong>${SNAPSHOT_CHANGE_LABELS[entry.change]}</strong> ${escapeHtml(section.text)}
+          <small>${escapeHtml(describeHeadingChange(entry))}</small>
+        </li>
+      `;
+    })
+    .join("");
+
+  const sectionHtml = diff.changedSections
+    .map(
+      (entry) => `
+        <li class="snapshot-changed-section">
+          <div class="lint-finding" data-position="${entry.afterIndex}">${escapeHtml(entry.after.text)}</div>
+          <div class="draft-diff">${
+            entry.words ? wordDiffHtml(entry.words) : "<em>The snapshot does not have the text of this section.</em>"
+          }</div>
+        </li>
+      `
+    )
+    .join("");
+
+  container.innerHTML = `
+    ${headingHtml ? `<h4 class="ms-font-m">Headings</h4><ul class="lint-findings">${headingHtml}</ul>` : ""}
+    ${sectionHtml ? `<h4 class="ms-font-m">Changed sections</h4><ul class="lint-findings">${sectionHtml}</ul>` : ""}
+  `;
+
+  // Headings still in the document jump to their section
+  container.querySelectorAll("[data-position]").forEach((element) => {
+    const position = parseInt(element.dataset.position);
+    if (position >= 0) {
+      element.onclick = () => navigateToSection(currentTocItems[position].index);
+    }
+  });
+}
+
+function describeHeadingChange(entry) {
+  switch (entry.change) {
+    case HEADING_CHANGES.renamed:
+      return `was "${entry.before.text}"`;
+    case HEADING_CHANGES.moved:
+      return entry.before.level === entry.after.level
+        ? `heading ${entry.beforeIndex + 1} → ${entry.afterIndex + 1}`
+        : `level ${entry.before.level} → ${entry.after.level}`;
+    case HEADING_CHANGES.removed:
+      return `was heading ${entry.beforeIndex + 1}, level ${entry.before.level}`;
+    default:
+      return `level ${entry.after.level}`;
+  }
+}
+
+// Word diff runs as inline markup; long unchanged stretches are cut down to the words around the changes
+function wordDiffHtml(runs) {
+  return runs
+    .map((run, index) => {
+      let tokens = run.tokens;
+      if (run.type === "equal" && tokens.length > SNAPSHOT_DIFF_CONTEXT * 2) {
+        const head = index > 0 ? tokens.slice(0, SNAPSHOT_DIFF_CONTEXT) : [];
+        const tail = index < runs.length - 1 ? tokens.slice(-SNAPSHOT_DIFF_CONTEXT) : [];
+        tokens = [...head, " … ", ...tail];
+      }
+      const text = escapeHtml(tokens.join(""));
+      return run.type === "equal" ? text : `<span class="diff-${run.type}">${text}</span>`;
+    })
+    .join("");
+}
+
+function toggleSkeletonSection() {
+  const section = document.getElementById("skeleton-section");
+  section.style.display = section.style.display === "none" ? "block" : "none";
+}
+
+function showSkeletonStatus(message, color) {
+  const statusElement = document.getElementById("skeleton-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+// Any edit to the outline text needs a fresh preview before it can be inserted
+function clearSkeletonPreview() {
+  skeletonItems = [];
+  document.getElementById("insertSkeleton").disabled = true;
+  document.getElementById("skeleton-preview").innerHTML = "";
+  document.getElementById("skeleton-warnings").innerHTML = "";
+  showSkeletonStatus("", "");
+}
+
+async function openSkeletonFile(file) {
+  try {
+    document.getElementById("skeleton-source").value = await file.text();
+    previewSkeleton();
+  } catch (error) {
+    console.error("Error reading outline file:", error);
+    showSkeletonStatus(`Could not read ${file.name}: ${error.message}`, "red");
+  }
+}
+
+// Read the outline, show the headings it would insert and warn about structure problems
+function previewSkeleton() {
+  clearSkeletonPreview();
+  const outline = parseOutline(document.getElementById("skeleton-source").value);
+
+  if (outline.items.length === 0) {
+    showSkeletonStatus(outline.errors[0] || "Paste or open an outline first.", "red");
+    return;
+  }
+
+  const warnings = validateOutline(outline.items);
+  const skipped = outline.errors.map((message) => ({ severity: "error", message: `Left out: ${message}` }));
+  const problems = [...skipped, ...warnings];
+
+  const format = outline.format === "json" ? "JSON" : "Markdown";
+  showSkeletonStatus(
+    `${format} outline with ${outline.items.length} heading(s)` +
+      (problems.length ? `; check the ${problems.length} problem(s) below before inserting` : ""),
+    problems.length ? "orange" : "green"
+  );
+
+  document.getElementById("skeleton-warnings").innerHTML = problems
+    .map((problem) => {
+      const item = problem.index === undefined ? null : outline.items[problem.index];
+      return `
+        <li class="lint-finding lint-${problem.severity}">
+          <span class="lint-message">${escapeHtml(problem.message)}</span>
+          ${item && item.text ? `<small>${escapeHtml(item.text)}</small>` : ""}
+        </li>
+      `;
+    })
+    .join("");
+
+  const flagged = new Set(warnings.map((warning) => warning.index));
+  document.getElementById("skeleton-preview").innerHTML = outline.items
+    .map((item, index) => {
+      const style = item.level === 0 ? "Title" : `Heading ${item.level}`;
+      const indent = Math.max(item.level - 1, 0) * 14;
+      return `
+        <li class="${flagged.has(index) ? "skeleton-flagged" : ""}" style="padding-left: ${indent}px;">
+          <span class="skeleton-style">${style}</span> ${escapeHtml(item.text) || "<em>(empty)</em>"}
+        </li>
+      `;
+    })
+    .join("");
+
+  skeletonItems = outline.items;
+  document.getElementById("insertSkeleton").disabled = false;
+}
+
+// Write the previewed outline as Title/Heading N paragraphs in front of the paragraph at the cursor,
+// or into an empty document, with optional placeholder text and section controls
+export async function insertSkeleton() {
+  if (skeletonItems.length === 0) {
+    return;
+  }
+
+  const location = document.getElementById("skeleton-location").value;
+  const plan = planSkeleton(skeletonItems, {
+    placeholder: document.getElementById("skeleton-placeholder").value.trim(),
+    sectionControls: document.getElementById("skeleton-section-controls").checked,
+  });
+  showSkeletonStatus("Inserting skeleton...", "#666");
+
+  try {
+    await Word.run(async (context) => {
+      const body = context.document.body;
+      let anchor;
+
+      if (location === "empty") {
+        body.load("text");
+        await context.sync();
+        if (body.text.trim()) {
+          throw new Error("The document is not empty; insert at the cursor instead");
+        }
+        anchor = body.paragraphs.getFirst();
+      } else {
+        anchor = context.document.getSelection().paragraphs.getFirst();
+      }
+
+      const paragraphs = [];
+      plan.paragraphs.forEach((planned) => {
+        const paragraph =
+          paragraphs.length === 0
+            ? anchor.insertParagraph(planned.text, Word.InsertLocation.before)
+            : paragraphs[paragraphs.length - 1].insertParagraph(planned.text, Word.InsertLocation.after);
+        paragraph.styleBuiltIn = builtInStyleForLevel(planned.level);
+        paragraphs.push(paragraph);
+      });
+
+      // Parents come first, so each subsection is wrapped inside its parent's control
+      plan.sections.forEach((section) => {
+        const range = paragraphs[section.first]
+          .getRange(Word.RangeLocation.whole)
+          .expandTo(paragraphs[section.last].getRange(Word.RangeLocation.whole));
+        const control = range.insertContentControl();
+        control.tag = createSectionTag(section.level);
+        control.title = skeletonItems[section.itemIndex].text.slice(0, SECTION_CONTROL_TITLE_LENGTH);
+      });
+
+      paragraphs[0].select(Word.SelectionMode.start);
+      await context.sync();
+    });
+
+    showSkeletonStatus(
+      `Inserted ${skeletonItems.length} heading(s)` +
+        (plan.sections.length ? ` in ${plan.sections.length} section control(s)` : ""),
+      "green"
+    );
+    invalidateHeadingIndex();
+    if (currentTocItems.length > 0) {
+      getTableOfContents();
+    }
+  } catch (error) {
+    console.error("Error inserting skeleton:", error);
+    showSkeletonStatus(`Could not insert the skeleton: ${error.message}`, "red");
+  }
+}
+
+// Metadata of the section at a TOC position, or null
+function sectionMetadataAt(position) {
+  const item = currentTocItems[position];
+  return item && item.metadataKey ? sectionMetadata.get(item.metadataKey) || null : null;
+}
+
+// The document's section metadata parts and the metadata they hold. There is normally one part;
+// documents combined from several files can bring more, and their entries are merged.
+async function readSectionMetadataParts(context) {
+  const parts = context.document.customXmlParts.getByNamespace(SECTION_METADATA_NAMESPACE);
+  parts.load("items/id");
+  await context.sync();
+
+  const loaded = parts.items.map((part) => ({ part, xml: part.getXml() }));
+  await context.sync();
+
+  const metadata = new Map();
+  loaded.forEach(({ xml }) => {
+    parseSectionMetadataXml(xml.value).forEach((entry, key) => metadata.set(key, entry));
+  });
+  return { parts: loaded.map(({ part }) => part), metadata };
+}
+
+// Load the section metadata and work out each TOC item's key, then update the badges, filters and
+// summary (WordApi 1.4)
+async function refreshSectionMetadata() {
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    return;
+  }
+
+  try {
+    await runInTocContext(async (context) => {
+      // Cached items have no ranges until the outline is read again; their bookmarks wait until then
+      const bookmarks = currentTocItems.map((item) =>
+        item.sectionId || !item.range ? null : item.range.getBookmarks(true, false)
+      );
+      const { metadata } = await readSectionMetadataParts(context);
+
+      sectionMetadata = metadata;
+      currentTocItems.forEach((item, position) => {
+        item.metadataKey = sectionMetadataKey(item, bookmarks[position] ? bookmarks[position].value : []);
+      });
+    });
+  } catch (error) {
+    console.warn("Could not load section metadata:", error);
+  }
+
+  renderTocMetadata();
+  if (document.getElementById("metadata-section").style.display !== "none") {
+    fillMetadataEditor();
+    renderMetadataSummary();
+  }
+}
+
+// Store the metadata of one section (null to clear it). Headings outside section controls get a
+// hidden bookmark to key them by, so the metadata follows the heading when it is renamed or moved.
+async function saveSectionMetadata(position, entry) {
+  const item = currentTocItems[position];
+  const knownKey = item.metadataKey || sectionMetadataKey(item);
+  if (!knownKey && !entry) {
+    return;
+  }
+  if (!knownKey && !item.range) {
+    throw new Error("Refresh the table of contents first");
+  }
+
+  await runInTocContext(async (context) => {
+    let key = knownKey;
+    if (!key) {
+      const name = newSectionMetadataBookmarkName();
+      item.range.insertBookmark(name);
+      key = sectionMetadataKey(item, [name]);
+    }
+
+    // Read the parts again so changes saved by co-authors since they were loaded are kept
+    const { parts, metadata } = await readSectionMetadataParts(context);
+    if (entry) {
+      metadata.set(key, entry);
+    } else {
+      metadata.delete(key);
+    }
+
+    const xml = serializeSectionMetadataXml(metadata);
+    const [part, ...merged] = parts;
+    merged.forEach((extra) => extra.delete());
+    if (part) {
+      part.setXml(xml);
+    } else {
+      context.document.customXmlParts.add(xml);
+    }
+    await context.sync();
+
+    item.metadataKey = key;
+    sectionMetadata = metadata;
+  });
+}
+
+// Status, owner and due date badges on the TOC entries, and the owner filter options
+function renderTocMetadata() {
+  const today = new Date();
+
+  document.querySelectorAll("#toc-content .toc-item").forEach((element) => {
+    const existing = element.querySelector(".toc-metadata-badges");
+    if (existing) {
+      existing.remove();
+    }
+
+    const entry = sectionMetadataAt(parseInt(element.dataset.index));
+    if (!entry) {
+      return;
+    }
+
+    const overdue = isSectionOverdue(entry, today);
+    const badges = [
+      entry.status
+        ? `<span class="metadata-badge metadata-${entry.status}">${SECTION_STATUSES[entry.status]}</span>`
+        : "",
+      entry.owner ? `<span class="metadata-badge" title="Owner">👤 ${escapeHtml(entry.owner)}</span>` : "",
+      entry.due
+        ? `<span class="metadata-badge${overdue ? " metadata-overdue" : ""}" title="${overdue ? "Overdue" : "Due"}">` +
+          `📅 ${entry.due}</span>`
+        : "",
+    ].join("");
+
+    const container = document.createElement("span");
+    container.className = "toc-metadata-badges";
+    container.innerHTML = badges;
+    element.appendChild(container);
+  });
+
+  const ownerSelect = document.getElementById("toc-filter-owner");
+  const selected = ownerSelect.value;
+  ownerSelect.innerHTML =
+    `<option value="">All owners</option>` +
+    listSectionOwners(sectionMetadata)
+      .map((owner) => `<option value="${escapeHtml(owner)}">${escapeHtml(owner)}</option>`)
+      .join("");
+  ownerSelect.value = Array.from(ownerSelect.options).some((option) => option.value === selected) ? selected : "";
+
+  applyTocMetadataFilter();
+}
+
+// Hide the TOC entries that do not match the status and owner filters, keeping the headings above matches
+function applyTocMetadataFilter() {
+  const filters = {
+    status: document.getElementById("toc-filter-status").value,
+    owner: document.getElementById("toc-filter-owner").value,
+  };
+  const filtering = filters.status !== "all" || filters.owner !== "";
+  const visible = filtering ? filterSectionsByMetadata(currentTocItems, sectionMetadataAt, filters) : null;
+
+  document.querySelectorAll("#toc-content .toc-node").forEach((nodeElement) => {
+    nodeElement.classList.toggle("filtered-out", filtering && !visible.has(parseInt(nodeElement.dataset.index)));
+  });
+}
+
+function toggleMetadataSection() {
+  const section = document.getElementById("metadata-section");
+  const show = section.style.display === "none";
+  section.style.display = show ? "block" : "none";
+
+  if (show) {
+    if (!Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+      showMetadataStatus("Section status needs a newer version of Word (WordApi 1.4).", "orange");
+    }
+    renderMetadataHeadings();
+    fillMetadataEditor();
+    renderMetadataSummary();
+  }
+}
+
+function showMetadataStatus(message, color) {
+  const statusElement = document.getElementById("metadata-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+// Offer every TOC heading in the editor, keeping the current choice
+function renderMetadataHeadings() {
+  const select = document.getElementById("metadata-heading");
+  const selected = select.value;
+
+  if (currentTocItems.length === 0) {
+    select.innerHTML = `<option value="">Get the table of contents first</option>`;
+    return;
+  }
+
+  select.innerHTML = currentTocItems
+    .map((item, position) => {
+      const indent = "\u00a0\u00a0".repeat(Math.max(0, item.level - 1));
+      return `<option value="${position}">${indent}${escapeHtml(item.text)}</option>`;
+    })
+    .join("");
+  if (selected && currentTocItems[selected]) {
+    select.value = selected;
+  }
+}
+
+// Show the chosen section's metadata in the editor
+function fillMetadataEditor() {
+  const position = document.getElementById("metadata-heading").value;
+  const entry = position === "" ? null : sectionMetadataAt(parseInt(position));
+
+  document.getElementById("metadata-state").value = entry ? entry.status : "";
+  document.getElementById("metadata-owner").value = entry ? entry.owner : "";
+  document.getElementById("metadata-due").value = entry ? entry.due : "";
+  document.getElementById("metadata-owners").innerHTML = listSectionOwners(sectionMetadata)
+    .map((owner) => `<option value="${escapeHtml(owner)}"></option>`)
+    .join("");
+}
+
+// Open the editor on a section, from the TOC context menu or the summary
+function openMetadataEditor(position) {
+  const section = document.getElementById("metadata-section");
+  if (section.style.display === "none") {
+    toggleMetadataSection();
+  }
+  document.getElementById("metadata-heading").value = String(position);
+  fillMetadataEditor();
+  section.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+// Save the editor's values for the chosen section, or clear them
+export async function saveMetadataFromEditor(clear = false) {
+  const position = document.getElementById("metadata-heading").value;
+  if (position === "") {
+    showMetadataStatus("Get the table of contents first.", "orange");
+    return;
+  }
+
+  const item = currentTocItems[parseInt(position)];
+  const entry = clear
+    ? null
+    : normalizeSectionMetadata({
+        status: document.getElementById("metadata-state").value,
+        owner: document.getElementById("metadata-owner").value,
+        due: document.getElementById("metadata-due").value,
+      });
+
+  try {
+    await saveSectionMetadata(parseInt(position), entry);
+    showMetadataStatus(entry ? `Saved the status of "${item.text}"` : `Cleared the status of "${item.text}"`, "green");
+    fillMetadataEditor();
+    renderTocMetadata();
+    renderMetadataSummary();
+  } catch (error) {
+    console.error("Error saving section metadata:", error);
+    showMetadataStatus(`Could not save the section status: ${error.message}`, "red");
+  }
+}
+
+// Sections listed by status or by owner, with overdue sections called out
+function renderMetadataSummary() {
+  const container = document.getElementById("metadata-summary");
+  if (currentTocItems.length === 0) {
+    container.innerHTML = "";
+    document.getElementById("metadata-overdue").textContent = "";
+    return;
+  }
+
+  const today = new Date();
+  const summary = summarizeSectionMetadata(currentTocItems, sectionMetadataAt, today);
+  const byOwner = document.getElementById("metadata-group").value === "owner";
+  const groups = byOwner
+    ? summary.byOwner.map((group) => ({ label: group.owner || "Unassigned", positions: group.positions }))
+    : summary.byStatus.map((group) => ({
+        label: SECTION_STATUSES[group.status] || "No status",
+        positions: group.positions,
+      }));
+
+  const sectionHtml = (position) => {
+    const entry = sectionMetadataAt(position);
+    const details = [
+      byOwner ? entry && entry.status && SECTION_STATUSES[entry.status] : entry && entry.owner,
+      entry && entry.due ? `due ${entry.due}` : "",
+    ].filter(Boolean);
+    const overdue = isSectionOverdue(entry, today);
+    return `
+      <li class="search-hit${overdue ? " metadata-overdue" : ""}" data-position="${position}">
+        ${escapeHtml(currentTocItems[position].text)}
+        ${details.length ? `<small>${escapeHtml(details.join(" · "))}</small>` : ""}
+      </li>
+    `;
+  };
+
+  document.getElementById("metadata-overdue").textContent = summary.overdue.length
+    ? `${summary.overdue.length} section(s) overdue`
+    : "";
+  container.innerHTML = groups
+    .map(
+      (group) => `
+        <li class="search-group">
+          <div class="search-group-header">
+            <span class="search-group-title">${escapeHtml(group.label)}</span>
+            <small>${group.positions.length}</small>
+          </div>
+          <ul class="search-hits">${group.positions.map(sectionHtml).join("")}</ul>
+        </li>
+      `
+    )
+    .join("");
+
+  container.querySelectorAll("[data-position]").forEach((element) => {
+    const position = parseInt(element.dataset.position);
+    element.onclick = () => {
+      openMetadataEditor(position);
+      navigateToSection(currentTocItems[position].index);
+    };
+  });
+}
+
+function toggleCrossReferenceSection() {
+  const section = document.getElementById("xref-section");
+  const show = section.style.display === "none";
+  section.style.display = show ? "block" : "none";
+
+  if (show) {
+    renderCrossReferenceHeadings();
+    loadBookmarks();
+  }
+}
+
+function showCrossReferenceStatus(message, color) {
+  const statusElement = document.getElementById("xref-status");
+  statusElement.textContent = message;
+  statusElement.style.color = color;
+}
+
+// Offer the pane's TOC headings as bookmark and cross-reference targets
+function renderCrossReferenceHeadings() {
+  const select = document.getElementById("xref-heading");
+  const selected = select.value;
+
+  if (currentTocItems.length === 0) {
+    select.innerHTML = `<option value="">Get the table of contents first</option>`;
+    return;
+  }
+
+  select.innerHTML = currentTocItems
+    .map((item, position) => {
+      const label = item.outlineNumber ? `${item.outlineNumber} ${stripOutlineNumber(item.text)}` : item.text;
+      const indent = "\u00a0\u00a0".repeat(Math.max(0, item.level - 1));
+      return `<option value="${position}">${indent}${escapeHtml(label)}</option>`;
+    })
+    .join("");
+  if (selected && currentTocItems[selected]) {
+    select.value = selected;
+  }
+}
+
+function selectedCrossReferenceHeading() {
+  const position = document.getElementById("xref-heading").value;
+  return position === "" ? null : currentTocItems[parseInt(position)];
+}
+
+// List the document's visible bookmarks (WordApi 1.4)
+async function loadBookmarks() {
+  const list = document.getElementById("xref-bookmarks");
+
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.4")) {
+    list.innerHTML = "";
+    showCrossReferenceStatus("Bookmarks need a newer version of Word (WordApi 1.4).", "orange");
+    return;
+  }
+
+  try {
+    const names = await Word.run(async (context) => {
+      const bookmarks = context.document.body.getRange(Word.RangeLocation.whole).getBookmarks(false, false);
+      await context.sync();
+      return bookmarks.value;
+    });
+
+    list.innerHTML =
+      names.length === 0
+        ? `<li class="draft-empty">No bookmarks in this document</li>`
+        : names
+            .map(
+              (name) => `
+                <li class="xref-bookmark" data-name="${escapeHtml(name)}">
+                  <span>${escapeHtml(name)}</span>
+                  <button class="xref-remove ms-font-s" type="button">Remove</button>
+                </li>
+              `
+            )
+            .join("");
+
+    list.querySelectorAll(".xref-bookmark").forEach((element) => {
+      element.onclick = () => goToBookmark(element.dataset.name);
+      element.querySelector(".xref-remove").onclick = (event) => {
+        event.stopPropagation();
+        removeBookmark(element.dataset.name);
+      };
+    });
+  } catch (error) {
+    console.error("Error loading bookmarks:", error);
+    showCrossReferenceStatus(`Could not load the bookmarks: ${error.message}`, "red");
+  }
+}
+
+async function goToBookmark(name) {
+  try {
+    await Word.run(async (context) => {
+      const range = context.document.getBookmarkRangeOrNullObject(name);
+      range.load("isNullObject");
+      await context.sync();
+      if (range.isNullObject) {
+        throw new Error(`Bookmark ${name} no longer exists`);
+      }
+      range.select(Word.SelectionMode.select);
+      await context.sync();
+    });
+  } catch (error) {
+    console.error("Error going to bookmark:", error);
+    showCrossReferenceStatus(error.message, "red");
+  }
+}
+
+// Removing a bookmark keeps its text; cross-references to it stop working
+async function removeBookmark(name) {
+  try {
+    await Word.run(async (context) => {
+      context.document.deleteBookmark(name);
+      await context.sync();
+    });
+    showCrossReferenceStatus(`Removed bookmark ${name}`, "green");
+    await loadBookmarks();
+  } catch (error) {
+    console.error("Error removing bookmark:", error);
+    showCrossReferenceStatus(`Could not remove bookmark ${name}: ${error.message}`, "red");
+  }
+}
 
-  tocSection.style.display = "block";
+// Name of a visible bookmark on the heading, creating one when it has none.
+// Resolves to { name, created }.
+async function ensureHeadingBookmark(context, item) {
+  const headingRange = getTocHeadingRange(context, item);
+  const onHeading = headingRange.getBookmarks(false, false);
+  const all = context.document.body.getRange(Word.RangeLocation.whole).getBookmarks(true, false);
+  await context.sync();
+
+  if (onHeading.value.length > 0) {
+    return { name: onHeading.value[0], created: false };
+  }
+
+  const name = bookmarkNameForHeading(item, all.value);
+  headingRange.insertBookmark(name);
+  await context.sync();
+  return { name, created: true };
 }
 
-// Navigate to a specific section
-async function navigateToSection(index) {
-  if (index < 0 || index >= currentTocItems.length) {
-    console.warn("Invalid section index:", index);
+export async function bookmarkSelectedHeading() {
+  const item = selectedCrossReferenceHeading();
+  if (!item) {
+    showCrossReferenceStatus("Choose a heading first.", "orange");
     return;
   }
 
-  return Word.run(async (context) => {
-    try {
-      const targetItem = currentTocItems[index];
+  try {
+    const bookmark = await runInTocContext((context) => ensureHeadingBookmark(context, item));
+    const message = bookmark.created
+      ? `Bookmarked "${item.text}" as ${bookmark.name}`
+      : `"${item.text}" is already bookmarked as ${bookmark.name}`;
+    showCrossReferenceStatus(message, "green");
+    await loadBookmarks();
+  } catch (error) {
+    console.error("Error bookmarking heading:", error);
+    showCrossReferenceStatus(`Could not bookmark the heading: ${error.message}`, "red");
+  }
+}
+
+// Insert a hyperlink to the chosen heading's bookmark at the cursor, replacing any selected text
+export async function insertCrossReference() {
+  const item = selectedCrossReferenceHeading();
+  if (!item) {
+    showCrossReferenceStatus("Choose a heading first.", "orange");
+    return;
+  }
 
-      // Only navigate if we have valid position data
-      if (targetItem.start !== undefined && targetItem.start >= 0) {
-        // Create a range at the heading position
-        const range = context.document.body.getRange();
-        range.start = targetItem.start;
-        range.end = targetItem.start + Math.max(1, targetItem.text.length);
+  const text = crossReferenceText(item, document.getElementById("xref-format").value);
+  try {
+    const bookmark = await runInTocContext(async (context) => {
+      const target = await ensureHeadingBookmark(context, item);
+      const inserted = context.document.getSelection().insertText(text, Word.InsertLocation.replace);
+      inserted.hyperlink = `#${target.name}`;
+      await context.sync();
+      return target;
+    });
+    showCrossReferenceStatus(`Inserted "${text}" linking to ${bookmark.name}`, "green");
+    if (bookmark.created) {
+      await loadBookmarks();
+    }
+  } catch (error) {
+    console.error("Error inserting cross-reference:", error);
+    showCrossReferenceStatus(`Could not insert the cross-reference: ${error.message}`, "red");
+  }
+}
 
-        // Select the range to navigate to it
-        range.select();
+// Find "Section X.Y" and "Appendix B" references in the text that match no heading number
+export async function checkSectionReferences() {
+  const list = document.getElementById("xref-stale");
+  list.innerHTML = "";
+  showCrossReferenceStatus("Checking section references...", "#666");
 
-        await context.sync();
+  await releaseStaleReferenceParagraphs(staleReferences);
+  staleReferences = [];
 
-        // Update current section display after a short delay
-        setTimeout(() => {
-          getCurrentSection();
-        }, 500);
-      } else {
-        console.warn("No position data available for section:", targetItem.text);
-      }
-    } catch (error) {
-      console.error("Error navigating to section:", error);
+  try {
+    if (currentTocItems.length === 0) {
+      await getTableOfContents();
+      renderCrossReferenceHeadings();
     }
+
+    const referenceCount = await Word.run(async (context) => {
+      const paragraphs = context.document.body.paragraphs;
+      paragraphs.load("items/text");
+      await context.sync();
+
+      let count = 0;
+      const stale = [];
+      paragraphs.items.forEach((paragraph) => {
+        const references = findSectionReferences(paragraph.text);
+        count += references.length;
+        findStaleReferences(references, currentTocItems).forEach((reference) => {
+          // Word's search finds the n-th copy of the same text within the paragraph
+          const occurrence = references.filter(
+            (other) => other.text === reference.text && other.index < reference.index
+          ).length;
+          stale.push({ paragraph, reference, occurrence });
+        });
+      });
+
+      stale.forEach(({ paragraph }) => context.trackedObjects.add(paragraph));
+      await context.sync();
+      staleReferences = stale;
+      return count;
+    });
+
+    renderStaleReferences(referenceCount);
+  } catch (error) {
+    console.error("Error checking section references:", error);
+    showCrossReferenceStatus(`Could not check the references: ${error.message}`, "red");
+  }
+}
+
+async function releaseStaleReferenceParagraphs(references) {
+  const paragraphs = new Set(references.map((entry) => entry.paragraph));
+  if (paragraphs.size === 0) {
+    return;
+  }
+
+  try {
+    await Word.run(paragraphs.values().next().value, async (context) => {
+      paragraphs.forEach((paragraph) => context.trackedObjects.remove(paragraph));
+      await context.sync();
+    });
+  } catch (error) {
+    console.warn("Could not release tracked reference paragraphs:", error);
+  }
+}
+
+function renderStaleReferences(referenceCount) {
+  const list = document.getElementById("xref-stale");
+
+  if (staleReferences.length === 0) {
+    showCrossReferenceStatus(`All ${referenceCount} section reference(s) match a heading.`, "green");
+    return;
+  }
+
+  showCrossReferenceStatus(
+    `${staleReferences.length} of ${referenceCount} section reference(s) match no heading number`,
+    "orange"
+  );
+  list.innerHTML = staleReferences
+    .map(({ paragraph, reference, occurrence }, index) => {
+      const snippet = buildSearchSnippet(paragraph.text, reference.text, occurrence);
+      return `
+        <li class="lint-finding" data-index="${index}">
+          <span class="lint-message">No heading numbered ${escapeHtml(reference.number)}</span>
+          <small>${snippetHtml(snippet)}</small>
+        </li>
+      `;
+    })
+    .join("");
+
+  list.querySelectorAll(".lint-finding").forEach((element) => {
+    element.onclick = () => jumpToStaleReference(parseInt(element.dataset.index));
   });
 }
 
+// Select the reference text, or its whole paragraph when the text has changed since the check
+async function jumpToStaleReference(index) {
+  const { paragraph, reference, occurrence } = staleReferences[index];
+
+  try {
+    await Word.run(paragraph, async (context) => {
+      const matches = paragraph.search(reference.text, { matchCase: true });
+      matches.load("items");
+      await context.sync();
+
+      const target = matches.items[occurrence] || paragraph;
+      target.select(Word.SelectionMode.select);
+      await context.sync();
+    });
+  } catch (error) {
+    console.error("Error jumping to reference:", error);
+    showCrossReferenceStatus("Could not find that paragraph any more. Check again.", "red");
+  }
+}
+
 // Update SharePoint display
 function updateSharePointDisplay(documentUrl, properties) {
   const pathElement = document.getElementById("sharepoint-path");
   const nameElement = document.getElementById("file-name");
   const statusElement = document.getElementById("sharepoint-status");
+  const location = parseDocumentUrl(documentUrl);
+
+  pathElement.textContent = documentUrl || "Document URL not available";
+  nameElement.textContent = location.fileName || properties.title || "Unknown";
+  document.getElementById("sharepoint-location").textContent = describeDocumentLocation(location);
+  document.getElementById("sharepoint-tenant").textContent = location.tenant || "-";
+  document.getElementById("sharepoint-site").textContent = location.siteCollection || "-";
+  document.getElementById("sharepoint-library").textContent = location.library || "-";
+  document.getElementById("sharepoint-folder").textContent = location.folderPath || "-";
+  document.getElementById("file-extension").textContent = location.extension || "-";
+
+  switch (location.kind) {
+    case DocumentLocation.sharePoint:
+      statusElement.textContent = "SharePoint document detected";
+      statusElement.style.color = "green";
+      break;
+    case DocumentLocation.oneDriveForBusiness:
+      statusElement.textContent = "OneDrive for Business document detected";
+      statusElement.style.color = "green";
+      break;
+    case DocumentLocation.oneDrivePersonal:
+      statusElement.textContent = "Personal OneDrive document detected";
+      statusElement.style.color = "green";
+      break;
+    case DocumentLocation.local:
+      statusElement.textContent = "Local file - not stored in SharePoint";
+      statusElement.style.color = "orange";
+      break;
+    default:
+      statusElement.textContent = "Not in SharePoint or unable to detect";
+      statusElement.style.color = "orange";
+  }
+}
+
+// Word, character and object counts for every section bounded by the chosen heading style, plus totals
+export async function showSectionStatistics(sectionHeadingStyle) {
+  const statusElement = document.getElementById("stats-status");
+  document.getElementById("stats-section").style.display = "block";
+  statusElement.textContent = "Collecting section statistics...";
+  statusElement.style.color = "#666";
+
+  try {
+    const rows = await Word.run(async (context) => {
+      const headings = await findHeadingsByStyle(context, sectionHeadingStyle, {
+        headingStyleMap: headingStyleMap,
+        includeRanges: true,
+      });
+      const body = context.document.body;
+      const documentEnd = body.getRange(Word.RangeLocation.end);
+
+      // Text before the first boundary heading counts toward the document totals too
+      const sections = [
+        {
+          title: headings.length > 0 ? "(Before first section)" : "(Whole document)",
+          range: body
+            .getRange(Word.RangeLocation.start)
+            .expandTo(headings.length > 0 ? headings[0].range.getRange(Word.RangeLocation.start) : documentEnd),
+          preamble: true,
+        },
+        ...headings.map((heading, i) => ({
+          title: heading.title,
+          range: heading.range.expandTo(
+            i + 1 < headings.length ? headings[i + 1].range.getRange(Word.RangeLocation.start) : documentEnd
+          ),
+        })),
+      ];
 
-  // Parse the URL to extract SharePoint information
-  if (documentUrl && documentUrl.includes("sharepoint")) {
-    pathElement.textContent = documentUrl;
+      // Everything for every section is loaded in one sync
+      const countFootnotes = Office.context.requirements.isSetSupported("WordApi", "1.5");
+      const countComments = Office.context.requirements.isSetSupported("WordApi", "1.4");
+      sections.forEach((section) => {
+        section.range.load("text");
+        section.tables = section.range.tables.load("items/rowCount");
+        section.pictures = section.range.inlinePictures.load("items/width");
+        section.footnotes = countFootnotes ? section.range.footnotes.load("items/type") : null;
+        section.comments = countComments ? section.range.getComments().load("items/id") : null;
+      });
+      await context.sync();
 
-    // Extract filename from URL
-    const urlParts = documentUrl.split("/");
-    const filename = urlParts[urlParts.length - 1] || properties.title || "Unknown";
-    nameElement.textContent = filename;
+      return sections
+        .map((section) => ({
+          preamble: section.preamble,
+          stats: buildSectionStats(section.title, section.range.text, {
+            tables: section.tables.items.length,
+            pictures: section.pictures.items.length,
+            footnotes: section.footnotes ? section.footnotes.items.length : null,
+            comments: section.comments ? section.comments.items.length : null,
+          }),
+        }))
+        .filter((section) => !section.preamble || section.stats.characters > 0)
+        .map((section) => section.stats);
+    });
 
-    statusElement.textContent = "SharePoint document detected";
+    sectionStatistics = { style: sectionHeadingStyle, rows: rows, totals: totalSectionStats(rows, "Whole document") };
+    renderSectionStatistics();
+    statusElement.textContent = `${rows.length} section(s) by ${sectionHeadingStyle}`;
     statusElement.style.color = "green";
-  } else {
-    pathElement.textContent = documentUrl || "Not a SharePoint document";
-    nameElement.textContent = properties.title || "Unknown";
-    statusElement.textContent = "Not in SharePoint or unable to detect";
+  } catch (error) {
+    console.error("Error computing section statistics:", error);
+    statusElement.textContent = `Could not compute section statistics: ${error.message}`;
+    statusElement.style.color = "red";
+  }
+}
+
+function renderSectionStatistics() {
+  const formatStat = (row, key) => {
+    if (row[key] === null) {
+      return "–";
+    }
+    return key === "readingMinutes" ? formatReadingTime(row[key]) : row[key].toLocaleString();
+  };
+  const renderRow = (row, className) => `
+    <tr class="${className}">
+      <td class="stats-title">${escapeHtml(row.title)}</td>
+      ${SECTION_STAT_COLUMNS.map(({ key }) => `<td>${formatStat(row, key)}</td>`).join("")}
+    </tr>
+  `;
+
+  document.getElementById("stats-head").innerHTML = `
+    <tr><th>Section</th>${SECTION_STAT_COLUMNS.map((column) => `<th>${column.label}</th>`).join("")}</tr>
+  `;
+  document.getElementById("stats-rows").innerHTML =
+    sectionStatistics.rows.map((row) => renderRow(row, "")).join("") +
+    renderRow(sectionStatistics.totals, "stats-total");
+}
+
+async function downloadSectionStatistics() {
+  const statusElement = document.getElementById("stats-status");
+  if (!sectionStatistics) {
+    statusElement.textContent = "Compute the section statistics before exporting them.";
     statusElement.style.color = "orange";
+    return;
   }
+
+  const location = parseDocumentUrl(await getDocumentUrl());
+  const title = location.fileName ? location.fileName.replace(/\.[^.]+$/, "") : "Document";
+  downloadTextFile(
+    `${title} - section statistics.csv`,
+    "text/csv",
+    sectionStatsToCsv(sectionStatistics.rows, sectionStatistics.totals)
+  );
 }
 
 // Get Current Section - finds which section the cursor is in based on content controls or heading boundaries
 export async function getCurrentSection(sectionHeadingStyle = "Heading 1") {
-  return Word.run(async (context) => {
-    try {
-      console.log(`Finding current section using content controls and ${sectionHeadingStyle} boundaries...`);
+  console.log(`Finding current section using content controls and ${sectionHeadingStyle} boundaries...`);
 
-      // Show position section
-      document.getElementById("position-section").style.display = "block";
-      document.getElementById("current-section").textContent = "Detecting...";
+  // Show position section
+  document.getElementById("position-section").style.display = "block";
+  document.getElementById("current-section").textContent = "Detecting...";
 
-      // First, check if cursor is inside a content control
-      const selection = context.document.getSelection();
-      context.load(selection, "start,parentContentControl");
-      await context.sync();
+  try {
+    const { lookup, tocSection } = await runInSectionContext(async (context) => {
+      // Section controls first, then the cached boundary headings
+      const lookup = await readCurrentSection(context, sectionHeadingStyle, {
+        loadSectionHeadings: getSectionHeadings,
+      });
 
-      const ccs = selection.parentContentControl;
-      if (ccs && ccs.isNullObject === false) {
-        context.load(ccs, "title,tag,id,text");
-        await context.sync();
-      }
+      // The TOC row for the surrounding heading, comparing against where the TOC headings are now
+      // rather than where they were when the TOC was built
+      const tocStarts = currentTocItems.length > 0 ? await readTocItemPositions(context, currentTocItems) : null;
+      return { lookup, tocSection: tocStarts ? findCurrentSection(lookup.cursorPosition, tocStarts) : null };
+    });
+    console.log(`Cursor position: ${lookup.cursorPosition}`);
 
-      let currentSection = null;
-      const cursorPosition = selection.start;
-      console.log(`Cursor position: ${cursorPosition}`);
-
-      // Check if we're inside a content control
-      if (ccs && ccs.isNullObject === false) {
-        console.log("Cursor is inside content control:", ccs.title, ccs.tag, ccs.id);
-        
-        // Check if this content control represents a section/heading
-        const title = ccs.title || "";
-        const tag = ccs.tag || "";
-        const text = ccs.text || "";
-        
-        if (
-          title.toLowerCase().includes("section") ||
-          title.toLowerCase().includes("heading") ||
-          tag.toLowerCase().includes("section") ||
-          tag.toLowerCase().includes("heading") ||
-          title.toLowerCase().includes(sectionHeadingStyle.toLowerCase())
-        ) {
-          currentSection = {
-            title: text.trim() || title || tag || `Content Control ${ccs.id}`,
-            start: cursorPosition,
-            end: cursorPosition,
-            style: `Content Control: ${title || tag}`,
-            type: "contentControl",
-            id: ccs.id,
-          };
-          
-          console.log(`Found section content control: "${currentSection.title}"`);
-        } else {
-          console.log("Content control doesn't appear to be a section heading");
-        }
-      } else {
-        console.log("Cursor is not inside any content control.");
-      }
+    if (currentTocItems.length > 0) {
+      highlightCurrentSectionInTOC(tocSection);
+    }
+    showCurrentSection(sectionHeadingStyle, lookup);
+    return lookup.section;
+  } catch (error) {
+    console.error("Error getting current section:", error);
+    document.getElementById("current-section").textContent = `Error: ${error.message}`;
+    document.getElementById("current-position").textContent = "Error occurred";
+    document.getElementById("cursor-info").textContent = "Please try again";
+    return null;
+  }
+}
 
-      // If no content control section found, fall back to paragraph-based detection
-      if (!currentSection) {
-        console.log(`Falling back to ${sectionHeadingStyle} paragraph detection...`);
-        
-        // Find all headings of the specified level (section boundaries)
-        const sectionHeadings = await findHeadingsByStyle(context, sectionHeadingStyle);
-        console.log(`Found ${sectionHeadings.length} section headings`);
-
-        if (sectionHeadings.length === 0) {
-          document.getElementById(
-            "current-section"
-          ).textContent = `No ${sectionHeadingStyle} or section content controls found`;
-          document.getElementById("current-position").textContent = "Cannot determine section";
-          document.getElementById(
-            "cursor-info"
-          ).textContent = `Add some ${sectionHeadingStyle} headings or section content controls to use this feature`;
-          return;
-        }
+// Describe the section around the cursor, as found by readCurrentSection
+function showCurrentSection(sectionHeadingStyle, { cursorPosition, section: currentSection, headingCount }) {
+  const sectionElement = document.getElementById("current-section");
+  const positionElement = document.getElementById("current-position");
+  const infoElement = document.getElementById("cursor-info");
 
-        // Find which section the cursor is in
-        currentSection = findSectionFromPosition(cursorPosition, sectionHeadings);
-      }
+  if (headingCount === 0) {
+    sectionElement.textContent = `No ${sectionHeadingStyle} or section content controls found`;
+    positionElement.textContent = "Cannot determine section";
+    infoElement.textContent = `Add some ${sectionHeadingStyle} headings or section content controls to use this feature`;
+    return;
+  }
 
-      // Update display
-      if (currentSection) {
-        const sectionType = currentSection.type === "contentControl" ? "Content Control" : "Heading";
-        document.getElementById("current-section").textContent = `Section: ${currentSection.title} (${sectionType})`;
-        document.getElementById(
-          "current-position"
-        ).textContent = `Position: ${cursorPosition} (in ${currentSection.title})`;
-        
-        if (currentSection.type === "contentControl") {
-          document.getElementById("cursor-info").textContent = `Inside content control: ${currentSection.style}`;
-        } else {
-          document.getElementById("cursor-info").textContent = `Section starts at position ${currentSection.start}`;
-        }
-      } else {
-        document.getElementById("current-section").textContent = "Before first section";
-        document.getElementById("current-position").textContent = `Position: ${cursorPosition}`;
-        document.getElementById("cursor-info").textContent = `Before first ${sectionHeadingStyle}`;
-      }
+  if (currentSection) {
+    const sectionType = currentSection.type === "contentControl" ? "Content Control" : "Heading";
+    sectionElement.textContent = `Section: ${currentSection.title} (${sectionType})`;
+    positionElement.textContent = `Position: ${cursorPosition} (in ${currentSection.title})`;
+    infoElement.textContent =
+      currentSection.type === "contentControl"
+        ? `Inside content control: ${currentSection.style}`
+        : `Section starts at position ${currentSection.start}`;
+  } else {
+    sectionElement.textContent = "Before first section";
+    positionElement.textContent = `Position: ${cursorPosition}`;
+    infoElement.textContent = `Before first ${sectionHeadingStyle}`;
+  }
+}
 
-      return currentSection;
-    } catch (error) {
-      console.error("Error getting current section:", error);
-      document.getElementById("current-section").textContent = `Error: ${error.message}`;
-      document.getElementById("current-position").textContent = "Error occurred";
-      document.getElementById("cursor-info").textContent = "Please try again";
-      return null;
-    }
+// The boundary heading of the section around the cursor and the body paragraphs up to the next
+// boundary heading, or null when the cursor is before the first boundary
+async function getCurrentSectionParagraphs(context, sectionHeadingStyle) {
+  const selection = context.document.getSelection();
+  context.load(selection, "start");
+  await context.sync();
+
+  const boundaryLevel = levelFromStyleName(sectionHeadingStyle);
+  const scan = await scanHeadings(context, {
+    resolveLevel: (paragraph) => resolveHeadingLevel(paragraph, headingStyleMap),
+    matchLevel: (level) => level === boundaryLevel,
   });
+
+  const heading = findSectionFromPosition(selection.start, scan.headings);
+  if (!heading) {
+    return null;
+  }
+
+  const next = scan.headings[scan.headings.indexOf(heading) + 1];
+  const endIndex = next ? next.paragraphIndex : scan.paragraphs.length;
+  return { heading, bodyParagraphs: scan.paragraphs.slice(heading.paragraphIndex + 1, endIndex) };
 }
 
-// Helper function to find headings by style
-async function findHeadingsByStyle(context, headingStyle) {
-  const headings = [];
+// Run a section lookup in the request context the TOC ranges are tracked in, or else the one the
+// cached section headings are tracked in, so their ranges can be read again
+function runInSectionContext(batch) {
+  if (currentTocItems.some((item) => item.range) || !headingIndexCache.context) {
+    return runInTocContext(batch);
+  }
+  return Word.run(headingIndexCache.context, batch);
+}
 
-  try {
-    // Get document body and scan for headings efficiently
-    const body = context.document.body;
-    const paragraphs = body.paragraphs;
+// Section boundary headings for a style, served from the cache while the headings are unchanged.
+// Cached positions are re-read from the tracked ranges on every lookup, so they follow edits.
+async function getSectionHeadings(context, headingStyle) {
+  const level = levelFromStyleName(headingStyle);
+  const verify = contentChangeHandlers.length === 0;
+  const cache = headingIndexCache;
+
+  if (!cache.stale && cache.context === context && cache.style === headingStyle) {
+    try {
+      // Without change events, a heading style applied or removed shows in the count, and a renamed
+      // or re-levelled heading in the check of the cached paragraphs
+      const unchangedCount =
+        !verify || (await countHeadingParagraphs(context, level, headingStyleMap)) === cache.headingParagraphCount;
+      const headings = unchangedCount
+        ? await refreshSectionHeadings(context, cache.headings, { level, headingStyleMap, verify })
+        : null;
+      if (headings) {
+        return headings;
+      }
+    } catch (error) {
+      console.warn("Could not refresh the cached section headings:", error);
+    }
+  }
+
+  headingIndexCache = { ...cache, stale: true };
+  if (cache.headings && cache.context === context) {
+    await releaseSectionHeadings(context, cache.headings);
+  }
+
+  // Report progress while long documents are scanned; a cancelled scan is never cached
+  const signal = { aborted: false };
+  activeSectionScan = signal;
+  const headings = await findHeadingsByStyle(context, headingStyle, {
+    headingStyleMap: headingStyleMap,
+    includeRanges: true,
+    signal: signal,
+    onProgress: ({ scanned, total }) => {
+      if (scanned < total) {
+        document.getElementById("cursor-info").textContent = `Scanning headings... ${scanned} of ${total} paragraphs`;
+      }
+    },
+  });
+  if (activeSectionScan === signal) {
+    activeSectionScan = null;
+  }
 
-    // Load paragraphs metadata first
-    context.load(paragraphs, "items");
+  if (!signal.aborted) {
+    headings.forEach((heading) => {
+      context.trackedObjects.add(heading.range);
+      context.trackedObjects.add(heading.paragraph);
+    });
     await context.sync();
 
-    // Limit scan to avoid performance issues
-    const maxParagraphs = Math.min(200, paragraphs.items.length);
-    console.log(`Scanning first ${maxParagraphs} paragraphs for ${headingStyle}...`);
+    headingIndexCache = {
+      context: context,
+      style: headingStyle,
+      headings: headings,
+      headingParagraphCount: verify ? await countHeadingParagraphs(context, level, headingStyleMap) : null,
+      stale: false,
+    };
+  }
+  return headings;
+}
 
-    // Load properties for paragraphs in batches
-    for (let i = 0; i < maxParagraphs; i++) {
-      context.load(paragraphs.items[i], "text, styleBuiltIn, getRange");
-    }
+// Stop tracking the ranges and paragraphs of previously cached section headings
+async function releaseSectionHeadings(context, headings) {
+  try {
+    headings.forEach((heading) => {
+      context.trackedObjects.remove(heading.range);
+      context.trackedObjects.remove(heading.paragraph);
+    });
     await context.sync();
+  } catch (error) {
+    console.warn("Could not release cached section headings:", error);
+  }
+}
 
-    // Get ranges for position information
-    for (let i = 0; i < maxParagraphs; i++) {
-      const paragraph = paragraphs.items[i];
-      const style = paragraph.styleBuiltIn ? paragraph.styleBuiltIn.toString() : "";
-
-      if (
-        style === headingStyle ||
-        (headingStyle === "Heading 1" && style.includes("Heading1")) ||
-        (headingStyle === "Heading 2" && style.includes("Heading2"))
-      ) {
-        const text = paragraph.text ? paragraph.text.trim() : "";
-        if (text) {
-          // Get the range to find position
-          const range = paragraph.getRange();
-          context.load(range, "start, end");
-          await context.sync();
+// Mark the cached section headings stale so the next lookup rescans the document. Their ranges stay
+// tracked until then, since a lookup may be using them.
+function invalidateHeadingIndex() {
+  headingIndexCache = { ...headingIndexCache, stale: true };
+}
 
-          headings.push({
-            title: text,
-            start: range.start,
-            end: range.end,
-            style: style,
-          });
+// Read the custom heading style mapping stored with the document
+function loadHeadingStyleMap() {
+  headingStyleMap = normalizeStyleMap(Office.context.document.settings.get(HEADING_STYLE_MAP_SETTING));
+  renderStyleMapTable();
+}
+
+// Persist the mapping table to the document settings
+async function saveHeadingStyleMap() {
+  const statusElement = document.getElementById("style-map-status");
+  const rows = document.querySelectorAll("#style-map-rows tr");
+  const entries = Array.from(rows).map((row) => ({
+    style: row.querySelector(".style-map-name").value,
+    level: row.querySelector(".style-map-level").value,
+  }));
+
+  headingStyleMap = normalizeStyleMap(entries);
+  Office.context.document.settings.set(HEADING_STYLE_MAP_SETTING, headingStyleMap);
 
-          console.log(`Found section heading: "${text}" at position ${range.start}`);
+  try {
+    await new Promise((resolve, reject) => {
+      Office.context.document.settings.saveAsync((result) => {
+        if (result.status === Office.AsyncResultStatus.Succeeded) {
+          resolve();
+        } else {
+          reject(result.error);
         }
-      }
-    }
+      });
+    });
+
+    statusElement.textContent = `Saved ${headingStyleMap.length} style mapping(s) to this document`;
+    statusElement.style.color = "green";
   } catch (error) {
-    console.error("Error finding headings:", error);
+    console.error("Error saving heading style mapping:", error);
+    statusElement.textContent = `Mapping applied but not saved: ${error.message}`;
+    statusElement.style.color = "red";
   }
 
-  // Sort by position
-  headings.sort((a, b) => a.start - b.start);
-  return headings;
+  // Heading levels may have changed, so cached headings and the TOC are out of date
+  invalidateHeadingIndex();
+  renderStyleMapTable();
+  if (currentTocItems.length > 0) {
+    getTableOfContents();
+  }
 }
 
-// Helper function to find which section contains a given position
-function findSectionFromPosition(cursorPosition, sectionHeadings) {
-  let currentSection = null;
+// Show or hide the mapping editor, listing the document's custom styles as suggestions
+function toggleStyleMapSection() {
+  const section = document.getElementById("style-map-section");
+  const show = section.style.display === "none";
+  section.style.display = show ? "block" : "none";
+
+  if (show) {
+    loadCustomStyleSuggestions();
+  }
+}
 
-  for (let i = 0; i < sectionHeadings.length; i++) {
-    const heading = sectionHeadings[i];
+// Offer the document's custom paragraph styles as suggestions (WordApi 1.5)
+async function loadCustomStyleSuggestions() {
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.5")) {
+    return;
+  }
 
-    // If cursor is after this heading start
-    if (cursorPosition >= heading.start) {
-      // Check if there's a next heading
-      const nextHeading = sectionHeadings[i + 1];
+  try {
+    await Word.run(async (context) => {
+      const styles = context.document.getStyles();
+      context.load(styles, "items/nameLocal, items/type, items/builtIn");
+      await context.sync();
 
-      // If no next heading, or cursor is before next heading
-      if (!nextHeading || cursorPosition < nextHeading.start) {
-        currentSection = heading;
-        break;
-      }
-    }
+      const options = styles.items
+        .filter((style) => !style.builtIn && style.type === Word.StyleType.paragraph)
+        .map((style) => `<option value="${escapeHtml(style.nameLocal)}"></option>`);
+      document.getElementById("custom-style-names").innerHTML = options.join("");
+    });
+  } catch (error) {
+    console.warn("Could not load document styles:", error);
+  }
+}
+
+function renderStyleMapTable() {
+  document.getElementById("style-map-rows").innerHTML = "";
+  headingStyleMap.forEach((entry) => addStyleMapRow(entry));
+}
+
+// Append an editable mapping row
+function addStyleMapRow(entry) {
+  let levelOptions = "";
+  for (let level = 0; level <= MAX_HEADING_LEVEL; level++) {
+    const label = level === 0 ? "Title" : `Heading ${level}`;
+    levelOptions += `<option value="${level}" ${level === entry.level ? "selected" : ""}>${label}</option>`;
   }
 
-  return currentSection;
+  const row = document.createElement("tr");
+  row.innerHTML = `
+    <td><input class="style-map-name ms-font-s" list="custom-style-names" placeholder="Style name" style="width: 100%;"></td>
+    <td><select class="style-map-level ms-font-s">${levelOptions}</select></td>
+    <td><button class="style-map-remove ms-font-s" type="button" title="Remove mapping">✕</button></td>
+  `;
+  row.querySelector(".style-map-name").value = entry.style;
+  row.querySelector(".style-map-remove").onclick = () => row.remove();
+  document.getElementById("style-map-rows").appendChild(row);
 }
 
 // Toggle auto-tracking
-function toggleAutoTracking() {
+async function toggleAutoTracking() {
   const checkbox = document.getElementById("autoTrack");
 
   if (checkbox.checked) {
-    // Start auto-tracking
-    autoTrackInterval = setInterval(async () => {
-      if (currentTocItems.length > 0) {
-        await getCurrentSection();
-      }
-    }, 2000); // Check every 2 seconds
-
+    await startAutoTracking();
     document.getElementById("position-section").style.display = "block";
   } else {
-    // Stop auto-tracking
-    if (autoTrackInterval) {
-      clearInterval(autoTrackInterval);
-      autoTrackInterval = null;
-    }
+    await stopAutoTracking();
+  }
+}
+
+// Follow the cursor by listening for selection changes instead of polling Word
+async function startAutoTracking() {
+  if (autoTracking) {
+    return;
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      Office.context.document.addHandlerAsync(
+        Office.EventType.DocumentSelectionChanged,
+        onSelectionChanged,
+        (result) => {
+          if (result.status === Office.AsyncResultStatus.Succeeded) {
+            resolve();
+          } else {
+            reject(result.error);
+          }
+        }
+      );
+    });
+  } catch (error) {
+    console.error("Could not subscribe to selection changes:", error);
+    document.getElementById("autoTrack").checked = false;
+    document.getElementById("cursor-info").textContent = `Auto-tracking unavailable: ${error.message}`;
+    return;
+  }
+
+  autoTracking = true;
+  await registerContentChangeHandlers();
+
+  // Show the section for the current cursor position straight away
+  scheduleSectionUpdate();
+}
+
+// Unsubscribe from selection and content change events
+async function stopAutoTracking() {
+  if (!autoTracking) {
+    return;
+  }
+
+  autoTracking = false;
+  clearTimeout(selectionChangeTimer);
+  selectionChangeTimer = null;
+  if (activeSectionScan) {
+    activeSectionScan.aborted = true;
+  }
+
+  await new Promise((resolve) => {
+    Office.context.document.removeHandlerAsync(
+      Office.EventType.DocumentSelectionChanged,
+      { handler: onSelectionChanged },
+      () => resolve()
+    );
+  });
+  await removeContentChangeHandlers();
+  invalidateHeadingIndex();
+}
+
+// Invalidate the heading cache whenever paragraphs are edited, added or removed (WordApi 1.6)
+async function registerContentChangeHandlers() {
+  if (!Office.context.requirements.isSetSupported("WordApi", "1.6")) {
+    console.log("Paragraph change events not supported; cached headings will be checked on each lookup");
+    return;
+  }
+
+  try {
+    await Word.run(async (context) => {
+      const onContentChanged = async () => {
+        invalidateHeadingIndex();
+      };
+
+      contentChangeHandlers = [
+        context.document.onParagraphChanged.add(onContentChanged),
+        context.document.onParagraphAdded.add(onContentChanged),
+        context.document.onParagraphDeleted.add(onContentChanged),
+      ];
+      await context.sync();
+    });
+  } catch (error) {
+    console.warn("Could not register paragraph change handlers:", error);
+    contentChangeHandlers = [];
+  }
+}
+
+async function removeContentChangeHandlers() {
+  if (contentChangeHandlers.length === 0) {
+    return;
+  }
+
+  const handlers = contentChangeHandlers;
+  contentChangeHandlers = [];
+
+  try {
+    await Word.run(handlers[0].context, async (context) => {
+      handlers.forEach((handler) => handler.remove());
+      await context.sync();
+    });
+  } catch (error) {
+    console.warn("Could not remove paragraph change handlers:", error);
+  }
+}
+
+// Selection changes arrive in bursts while the user moves the cursor, so debounce them
+function onSelectionChanged() {
+  scheduleSectionUpdate();
+}
+
+function scheduleSectionUpdate() {
+  clearTimeout(selectionChangeTimer);
+  selectionChangeTimer = setTimeout(runSectionUpdate, SELECTION_DEBOUNCE_MS);
+}
+
+// Run one section lookup at a time; a change that arrives mid-lookup triggers one more run afterwards
+async function runSectionUpdate() {
+  if (!autoTracking) {
+    return;
+  }
+
+  if (sectionUpdateInFlight) {
+    sectionUpdatePending = true;
+    return;
+  }
+
+  sectionUpdateInFlight = true;
+  try {
+    await getCurrentSection(document.getElementById("sectionHeadingStyle").value);
+  } finally {
+    sectionUpdateInFlight = false;
+  }
+
+  if (sectionUpdatePending) {
+    sectionUpdatePending = false;
+    runSectionUpdate();
   }
 }
 
-// Find which section the current position is in
-function findCurrentSection(currentPosition) {
+// Find which TOC section the current position is in, given the current start of each TOC item
+function findCurrentSection(currentPosition, tocStarts) {
   if (currentTocItems.length === 0) {
     return { text: "No TOC available", level: 0, index: -1 };
   }
@@ -841,18 +4801,15 @@ function findCurrentSection(currentPosition) {
     const item = currentTocItems[i];
 
     // If cursor is after this heading
-    if (currentPosition >= item.start) {
-      // Check if there's a next heading
-      const nextItem = currentTocItems[i + 1];
-
+    if (currentPosition >= tocStarts[i]) {
       // If this is the last heading or cursor is before next heading
-      if (!nextItem || currentPosition < nextItem.start) {
+      if (i + 1 === currentTocItems.length || currentPosition < tocStarts[i + 1]) {
         currentSection = {
           text: item.text,
           level: item.level,
           style: item.style,
           index: i,
-          start: item.start,
+          start: tocStarts[i],
           end: item.end,
         };
         break;
@@ -877,22 +4834,33 @@ function updateCurrentPositionDisplay(section, position, selectedText) {
 
 // Highlight current section in TOC
 function highlightCurrentSectionInTOC(currentSection) {
-  // Remove previous highlights
-  const tocItems = document.querySelectorAll(".toc-item");
-  tocItems.forEach((item) => {
-    item.classList.remove("current-section");
-    item.style.backgroundColor = "";
-    item.style.fontWeight = "";
-  });
+  const index = currentSection ? currentSection.index : -1;
+  const previousItem = document.querySelector(".toc-item.current-section");
+
+  // Nothing to do while the cursor stays inside the same section
+  if (previousItem && parseInt(previousItem.dataset.index) === index) {
+    return;
+  }
+
+  // Remove previous highlight
+  if (previousItem) {
+    previousItem.classList.remove("current-section");
+  }
 
   // Highlight current section
-  if (currentSection && currentSection.index >= 0) {
-    const currentItem = tocItems[currentSection.index];
+  if (index >= 0) {
+    const currentItem = document.querySelector(`.toc-item[data-index="${index}"]`);
     if (currentItem) {
+      // Expand any collapsed ancestors so the highlighted row is visible
+      let nodeElement = currentItem.closest(".toc-node");
+      while (nodeElement) {
+        nodeElement = nodeElement.parentElement.closest(".toc-node");
+        if (nodeElement) {
+          setTocNodeCollapsed(nodeElement, false);
+        }
+      }
+
       currentItem.classList.add("current-section");
-      currentItem.style.backgroundColor = "#fff4ce";
-      currentItem.style.fontWeight = "bold";
-      currentItem.style.border = "2px solid #ffb900";
 
       // Scroll to current item in TOC
       currentItem.scrollIntoView({ behavior: "smooth", block: "nearest" });
@@ -0,0 +1,115 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Minimal LCS-based diff. The O(n * m) table is only built for the part of two texts that differs,
+// and only up to a size limit, since either side can be a whole document.
+
+// Largest LCS table diffLines and diffWords build (about 32 MB of numbers)
+const MAX_DIFF_CELLS = 4000000;
+
+// Diff two token arrays into runs of { type: "equal" | "added" | "removed", tokens }
+export function diffTokens(before, after) {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const lengths = new Array(rows * cols).fill(0);
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] =
+        before[i] === after[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, token) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      runs.push({ type, tokens: [token] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push("equal", before[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      push("removed", before[i]);
+      i++;
+    } else {
+      push("added", after[j]);
+      j++;
+    }
+  }
+  while (i < before.length) {
+    push("removed", before[i++]);
+  }
+  while (j < after.length) {
+    push("added", after[j++]);
+  }
+
+  return runs;
+}
+
+// Line-level diff of two texts, split and capped as diffWords is
+export function diffLines(before, after) {
+  return diffAroundCommonEnds(splitLines(before), splitLines(after));
+}
+
+function splitLines(text) {
+  return text ? text.split(/\r\n|\r|\n/) : [];
+}
+
+// Word-level diff of two texts. Runs keep the whitespace between words as tokens of their own, so
+// joining every token of the equal and added runs gives back the new text.
+//
+// Edits usually touch a small part of a section, so the common prefix and suffix are split off
+// before the LCS table is built; when the differing middle is still too large for the table, it
+// comes back as one removed and one added run.
+export function diffWords(before, after) {
+  return diffAroundCommonEnds(splitWords(before), splitWords(after));
+}
+
+function diffAroundCommonEnds(beforeTokens, afterTokens) {
+  let prefix = 0;
+  while (prefix < beforeTokens.length && prefix < afterTokens.length && beforeTokens[prefix] === afterTokens[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < beforeTokens.length - prefix &&
+    suffix < afterTokens.length - prefix &&
+    beforeTokens[beforeTokens.length - 1 - suffix] === afterTokens[afterTokens.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const beforeMiddle = beforeTokens.slice(prefix, beforeTokens.length - suffix);
+  const afterMiddle = afterTokens.slice(prefix, afterTokens.length - suffix);
+  const middle =
+    (beforeMiddle.length + 1) * (afterMiddle.length + 1) <= MAX_DIFF_CELLS
+      ? diffTokens(beforeMiddle, afterMiddle)
+      : [
+          { type: "removed", tokens: beforeMiddle },
+          { type: "added", tokens: afterMiddle },
+        ].filter((run) => run.tokens.length > 0);
+
+  return [
+    { type: "equal", tokens: beforeTokens.slice(0, prefix) },
+    ...middle,
+    { type: "equal", tokens: beforeTokens.slice(beforeTokens.length - suffix) },
+  ].filter((run) => run.tokens.length > 0);
+}
+
+function splitWords(text) {
+  return text ? text.split(/(\s+)/).filter(Boolean) : [];
+}
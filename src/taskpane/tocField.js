@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { MAX_HEADING_LEVEL } from "./headingLevels";
+
+// Options for a table of contents written into the document
+export const DEFAULT_TOC_FIELD_OPTIONS = {
+  minLevel: 1,
+  maxLevel: 3,
+  hyperlinks: true,
+  pageNumbers: true,
+};
+
+// Tag prefix of the content controls holding a generated (non-field) table of contents.
+// The full tag records the options the list was built with: generated-toc:<min>-<max>[:links]
+export const GENERATED_TOC_TAG = "generated-toc";
+
+// Bookmarks the generated list links to. The leading underscore keeps them hidden in Word's bookmark dialog.
+export const HEADING_BOOKMARK_PREFIX = "_PaneToc";
+
+// Switches for a TOC field: \o outline levels, \h hyperlinked entries, \n without page numbers,
+// \z hide page numbers in web layout, \u use paragraph outline levels
+export function buildTocFieldSwitches(options = {}) {
+  const { minLevel, maxLevel, hyperlinks, pageNumbers } = normalizeTocFieldOptions(options);
+  const switches = [`\\o "${minLevel}-${maxLevel}"`];
+
+  if (hyperlinks) {
+    switches.push("\\h");
+  }
+  if (!pageNumbers) {
+    switches.push("\\n");
+  }
+  switches.push("\\z", "\\u");
+
+  return switches.join(" ");
+}
+
+// Whether a field code is a table of contents
+export function isTocFieldCode(code) {
+  return /^\s*TOC(\s|$)/i.test(code || "");
+}
+
+// Clamp levels to 1..MAX_HEADING_LEVEL and keep minLevel <= maxLevel
+export function normalizeTocFieldOptions(options = {}) {
+  const settings = { ...DEFAULT_TOC_FIELD_OPTIONS, ...options };
+  const clamp = (value, fallback) => {
+    const level = parseInt(value, 10);
+    return isNaN(level) ? fallback : Math.min(Math.max(level, 1), MAX_HEADING_LEVEL);
+  };
+
+  const minLevel = clamp(settings.minLevel, DEFAULT_TOC_FIELD_OPTIONS.minLevel);
+  const maxLevel = Math.max(clamp(settings.maxLevel, DEFAULT_TOC_FIELD_OPTIONS.maxLevel), minLevel);
+
+  return {
+    minLevel: minLevel,
+    maxLevel: maxLevel,
+    hyperlinks: Boolean(settings.hyperlinks),
+    pageNumbers: Boolean(settings.pageNumbers),
+  };
+}
+
+// TOC items that fall inside the configured level range, in document order
+export function selectTocEntries(items, options = {}) {
+  const { minLevel, maxLevel } = normalizeTocFieldOptions(options);
+  return items.filter((item) => item.level >= minLevel && item.level <= maxLevel);
+}
+
+// Content control tag for a generated list built with `options`
+export function generatedTocTag(options = {}) {
+  const { minLevel, maxLevel, hyperlinks } = normalizeTocFieldOptions(options);
+  return `${GENERATED_TOC_TAG}:${minLevel}-${maxLevel}${hyperlinks ? ":links" : ""}`;
+}
+
+// Options recorded in a generated list's tag, or null when the tag is not one
+export function parseGeneratedTocTag(tag) {
+  const match = /^generated-toc:(\d+)-(\d+)(:links)?$/.exec(tag || "");
+  if (!match) {
+    return null;
+  }
+
+  return normalizeTocFieldOptions({
+    minLevel: match[1],
+    maxLevel: match[2],
+    hyperlinks: Boolean(match[3]),
+    pageNumbers: false,
+  });
+}
+
+// Bookmark name for the heading at `index` in the TOC item list
+export function headingBookmarkName(index) {
+  return `${HEADING_BOOKMARK_PREFIX}${index + 1}`;
+}
@@ -0,0 +1,35 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Escaping for the XML the add-in writes itself: the OPML export and the custom XML parts
+// holding section metadata and outline snapshots.
+
+// Text for an XML attribute or element
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const XML_ENTITIES = { lt: "<", gt: ">", quot: '"', apos: "'", amp: "&" };
+
+// Largest code point Unicode defines
+const MAX_CODE_POINT = 0x10ffff;
+
+// Text from an XML attribute or element, with entity and character references resolved in one pass.
+// A reference to a code point Unicode does not have is left as written, so a part edited by hand
+// or damaged still loads.
+export function unescapeXml(text) {
+  return text.replace(/&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|(lt|gt|quot|apos|amp));/g, (match, decimal, hex, name) => {
+    if (name) {
+      return XML_ENTITIES[name];
+    }
+    const code = decimal !== undefined ? parseInt(decimal, 10) : parseInt(hex, 16);
+    return code <= MAX_CODE_POINT ? String.fromCodePoint(code) : match;
+  });
+}
@@ -0,0 +1,95 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  bookmarkNameForHeading,
+  collectHeadingNumbers,
+  CROSS_REFERENCE_FORMATS,
+  crossReferenceText,
+  findSectionReferences,
+  findStaleReferences,
+} from "../src/taskpane/crossReferences";
+
+describe("bookmarkNameForHeading", () => {
+  test("builds the name from the outline number and the heading words", () => {
+    expect(bookmarkNameForHeading({ text: "Scope & Goals", outlineNumber: "4.2" })).toBe("Sec_4_2_Scope_Goals");
+    expect(bookmarkNameForHeading({ text: "3.1 Résumé des coûts" })).toBe("Sec_3_1_Resume_des_couts");
+    expect(bookmarkNameForHeading({ text: "A. Glossary" })).toBe("Sec_A_Glossary");
+    expect(bookmarkNameForHeading({ text: "—" })).toBe("Sec_Heading");
+  });
+
+  test("stays within Word's 40 characters", () => {
+    const name = bookmarkNameForHeading({
+      text: "A very long heading about every part of the rollout plan",
+      outlineNumber: "12.3",
+    });
+
+    expect(name).toBe("Sec_12_3_A_very_long_heading_about_every");
+    expect(name.length).toBeLessThanOrEqual(40);
+  });
+
+  test("adds a suffix when the name is taken, ignoring case", () => {
+    const item = { text: "Scope", outlineNumber: "2" };
+
+    expect(bookmarkNameForHeading(item, ["sec_2_scope"])).toBe("Sec_2_Scope_2");
+    expect(bookmarkNameForHeading(item, ["Sec_2_Scope", "Sec_2_Scope_2"])).toBe("Sec_2_Scope_3");
+  });
+});
+
+describe("crossReferenceText", () => {
+  const item = { text: "4.2 Scope", outlineNumber: "" };
+
+  test.each([
+    [CROSS_REFERENCE_FORMATS.number, "Section 4.2"],
+    [CROSS_REFERENCE_FORMATS.title, "Scope"],
+    [CROSS_REFERENCE_FORMATS.numberAndTitle, "Section 4.2 Scope"],
+  ])("reads as the %s format", (format, text) => {
+    expect(crossReferenceText(item, format)).toBe(text);
+  });
+
+  test("calls lettered sections appendices and falls back to the title without a number", () => {
+    expect(crossReferenceText({ text: "Glossary", outlineNumber: "B.1" })).toBe("Appendix B.1 Glossary");
+    expect(crossReferenceText({ text: "Glossary" }, CROSS_REFERENCE_FORMATS.number)).toBe("Glossary");
+  });
+});
+
+describe("findSectionReferences", () => {
+  test("finds numbered sections, section signs and appendices", () => {
+    const text = "See Section 4.2 and sections 3, § 5.1 and appendix b.2; Section A is not a reference.";
+
+    expect(findSectionReferences(text)).toEqual([
+      { text: "Section 4.2", number: "4.2", index: 4 },
+      { text: "sections 3", number: "3", index: 20 },
+      { text: "§ 5.1", number: "5.1", index: 32 },
+      { text: "appendix b.2", number: "B.2", index: 42 },
+    ]);
+  });
+
+  test("finds nothing in empty text", () => {
+    expect(findSectionReferences(null)).toEqual([]);
+  });
+});
+
+describe("findStaleReferences", () => {
+  const items = [
+    { text: "Introduction", outlineNumber: "1" },
+    { text: "Scope", outlineNumber: "1.1" },
+    { text: "7.3 Legacy numbering", outlineNumber: "2" },
+    { text: "Glossary", outlineNumber: "A" },
+  ];
+
+  test("collects computed and typed numbers", () => {
+    expect(Array.from(collectHeadingNumbers(items)).sort()).toEqual(["1", "1.1", "2", "7.3", "A"]);
+  });
+
+  test("keeps the references whose number matches no heading", () => {
+    const references = findSectionReferences("Section 1.1, Section 7.3, Section 1.2 and Appendix B");
+
+    expect(findStaleReferences(references, items).map((reference) => reference.text)).toEqual([
+      "Section 1.2",
+      "Appendix B",
+    ]);
+  });
+});
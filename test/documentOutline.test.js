@@ -0,0 +1,284 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  countHeadingParagraphs,
+  findHeadingsByStyle,
+  findSectionFromPosition,
+  readCurrentSection,
+  readTableOfContents,
+  readTocItemPositions,
+  refreshSectionHeadings,
+} from "../src/taskpane/documentOutline";
+import { contentControlDocument, emptyDocument, headingOnlyDocument } from "./fixtures/documents";
+import { createWordContext, installWordMock, uninstallWordMock } from "./mocks/word";
+
+const outline = (items) => items.map((item) => [item.text, item.level, item.wordCount]);
+
+beforeAll(() => {
+  // Section control lookups compare ranges with Word.LocationRelation
+  installWordMock();
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  uninstallWordMock();
+  jest.restoreAllMocks();
+});
+
+describe("readTableOfContents", () => {
+  test("lists heading paragraphs with the words of the body text that follows them", async () => {
+    const { context, stats } = createWordContext(headingOnlyDocument);
+    const { items, cancelled } = await readTableOfContents(context);
+
+    expect(cancelled).toBe(false);
+    expect(outline(items)).toEqual([
+      ["Project Plan", 0, 0],
+      ["Introduction", 1, 6],
+      ["Scope", 2, 10],
+      ["Schedule", 1, 9],
+      ["Risks", 2, 3],
+    ]);
+    expect(items.map((item) => item.type)).toEqual(Array(5).fill("paragraph"));
+    expect(items.map((item) => item.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(items[1]).toMatchObject({ style: "Heading 1", start: 30, end: 42 });
+
+    // Heading ranges outlive the request so navigation can use them later
+    expect(items.every((item) => stats.tracked.has(item.range))).toBe(true);
+  });
+
+  test("applies the custom heading style mapping", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const { items } = await readTableOfContents(context, {
+      headingStyleMap: [{ style: "Spec Heading", level: 2 }],
+    });
+
+    expect(outline(items).slice(3, 5)).toEqual([
+      ["Schedule", 1, 0],
+      ["Milestones", 2, 8],
+    ]);
+  });
+
+  test("uses section content controls when the document has them", async () => {
+    const { context, stats } = createWordContext(contentControlDocument);
+    const { items, cancelled } = await readTableOfContents(context);
+
+    expect(cancelled).toBe(false);
+    expect(outline(items)).toEqual([
+      ["Overview", 1, 6],
+      ["Goals", 2, 3],
+      ["Details", 1, 6],
+    ]);
+    expect(items[0]).toMatchObject({
+      type: "contentControl",
+      controlId: 11,
+      sectionId: "a1b2c3d4-0000-4000-8000-000000000001",
+      style: "Section (Heading 1)",
+      start: 0,
+      end: 59,
+    });
+    expect(stats.tracked.size).toBe(0);
+  });
+
+  test("returns no items for an empty document", async () => {
+    const { context } = createWordContext(emptyDocument);
+
+    await expect(readTableOfContents(context)).resolves.toEqual({ items: [], cancelled: false });
+  });
+
+  test("reports a cancelled scan with the headings found so far", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const { items, cancelled } = await readTableOfContents(context, { signal: { aborted: true } });
+
+    expect(cancelled).toBe(true);
+    expect(items).toEqual([]);
+  });
+});
+
+describe("findHeadingsByStyle", () => {
+  test("finds the headings at the style's level in document order", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const headings = await findHeadingsByStyle(context, "Heading 2");
+
+    expect(headings).toEqual([
+      { title: "Scope", start: 79, end: 84, style: "Heading 2" },
+      { title: "Risks", start: 210, end: 215, style: "Outline Only" },
+    ]);
+  });
+
+  test("includes custom styles mapped to the level and ranges when asked", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const headings = await findHeadingsByStyle(context, "Heading 2", {
+      headingStyleMap: [{ style: "Spec Heading", level: 2 }],
+      includeRanges: true,
+    });
+
+    expect(headings.map((heading) => heading.title)).toEqual(["Scope", "Milestones", "Risks"]);
+    expect(headings[1].range).toMatchObject({ start: 151, end: 161 });
+  });
+
+  test("finds nothing in an empty document", async () => {
+    const { context } = createWordContext(emptyDocument);
+
+    await expect(findHeadingsByStyle(context, "Heading 1")).resolves.toEqual([]);
+  });
+});
+
+describe("countHeadingParagraphs", () => {
+  test("counts the paragraphs at a level from their styles", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+
+    await expect(countHeadingParagraphs(context, 1)).resolves.toBe(2);
+    await expect(countHeadingParagraphs(context, 2)).resolves.toBe(2);
+    await expect(countHeadingParagraphs(context, 2, [{ style: "Spec Heading", level: 2 }])).resolves.toBe(3);
+  });
+});
+
+describe("refreshSectionHeadings", () => {
+  const cachedHeadings = async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const headings = await findHeadingsByStyle(context, "Heading 1", { includeRanges: true });
+    return { context, headings };
+  };
+
+  test("re-reads positions from the tracked ranges", async () => {
+    const { context, headings } = await cachedHeadings();
+    // Word moves tracked ranges along when text is typed above them
+    headings.forEach((heading) => {
+      heading.range.start += 7;
+      heading.range.end += 7;
+    });
+
+    const refreshed = await refreshSectionHeadings(context, headings, { level: 1 });
+    expect(refreshed.map((heading) => [heading.title, heading.start])).toEqual([
+      ["Introduction", 37],
+      ["Schedule", 149],
+    ]);
+  });
+
+  test("keeps headings whose paragraphs are unchanged when verifying", async () => {
+    const { context, headings } = await cachedHeadings();
+
+    const refreshed = await refreshSectionHeadings(context, headings, { level: 1, verify: true });
+    expect(refreshed.map((heading) => heading.title)).toEqual(["Introduction", "Schedule"]);
+  });
+
+  test("is null when a heading was renamed or given another level", async () => {
+    const renamed = await cachedHeadings();
+    renamed.headings[0].paragraph.text = "Background";
+    await expect(
+      refreshSectionHeadings(renamed.context, renamed.headings, { level: 1, verify: true })
+    ).resolves.toBeNull();
+
+    const demoted = await cachedHeadings();
+    Object.assign(demoted.headings[1].paragraph, { style: "Heading 2", styleBuiltIn: "Heading2", outlineLevel: 2 });
+    await expect(
+      refreshSectionHeadings(demoted.context, demoted.headings, { level: 1, verify: true })
+    ).resolves.toBeNull();
+  });
+});
+
+describe("readTocItemPositions", () => {
+  test("reads paragraph items from their ranges", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const { items } = await readTableOfContents(context);
+    items[2].range.start = 90;
+
+    const starts = await readTocItemPositions(context, items);
+    expect(starts.slice(0, 4)).toEqual([items[0].start, items[1].start, 90, items[3].start]);
+  });
+
+  test("looks section controls up again and keeps the old start of missing ones", async () => {
+    const { context } = createWordContext(contentControlDocument);
+    const items = [
+      { text: "Overview", controlId: 11, start: 5 },
+      { text: "Gone", controlId: 99, start: 42 },
+    ];
+
+    await expect(readTocItemPositions(context, items)).resolves.toEqual([0, 42]);
+  });
+});
+
+describe("findSectionFromPosition", () => {
+  const headings = [
+    { title: "One", start: 10 },
+    { title: "Two", start: 50 },
+    { title: "Three", start: 90 },
+  ];
+
+  test.each([
+    [0, null],
+    [10, "One"],
+    [49, "One"],
+    [50, "Two"],
+    [1000, "Three"],
+  ])("position %i is in section %s", (position, title) => {
+    const section = findSectionFromPosition(position, headings);
+    expect(section ? section.title : null).toBe(title);
+  });
+
+  test("returns null without headings", () => {
+    expect(findSectionFromPosition(5, [])).toBeNull();
+  });
+});
+
+describe("readCurrentSection", () => {
+  test("finds the heading section around the cursor", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const lookup = await readCurrentSection(context, "Heading 1");
+
+    expect(lookup.cursorPosition).toBe(130);
+    expect(lookup.headingCount).toBe(2);
+    expect(lookup.section).toMatchObject({ title: "Introduction", start: 30 });
+  });
+
+  test("finds the section control at the boundary level that holds the cursor", async () => {
+    const { context } = createWordContext(contentControlDocument);
+
+    const chapter = await readCurrentSection(context, "Heading 1");
+    expect(chapter).toEqual({
+      cursorPosition: 50,
+      section: {
+        title: "Overview",
+        start: 50,
+        end: 50,
+        style: "Section control (level 1)",
+        type: "contentControl",
+        id: 11,
+      },
+      headingCount: null,
+    });
+
+    const subsection = await readCurrentSection(context, "Heading 2");
+    expect(subsection.section).toMatchObject({ title: "Goals", id: 12 });
+  });
+
+  test("returns no section before the first boundary heading", async () => {
+    const { context } = createWordContext({ ...headingOnlyDocument, selection: 5 });
+    const lookup = await readCurrentSection(context, "Heading 1");
+
+    expect(lookup.section).toBeNull();
+    expect(lookup.headingCount).toBe(2);
+  });
+
+  test("returns no section in an empty document", async () => {
+    const { context } = createWordContext(emptyDocument);
+
+    await expect(readCurrentSection(context, "Heading 1")).resolves.toEqual({
+      cursorPosition: 0,
+      section: null,
+      headingCount: 0,
+    });
+  });
+
+  test("takes the boundary headings from loadSectionHeadings", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const loadSectionHeadings = jest.fn(async () => [{ title: "Cached", start: 100, end: 106 }]);
+    const lookup = await readCurrentSection(context, "Heading 3", { loadSectionHeadings });
+
+    expect(loadSectionHeadings).toHaveBeenCalledWith(context, "Heading 3");
+    expect(lookup.section.title).toBe("Cached");
+  });
+});
@@ -0,0 +1,94 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  coerceCustomPropertyValue,
+  customPropertiesToAdd,
+  findMissingProperties,
+  formatPropertyValue,
+  PROPERTY_TEMPLATES,
+} from "../src/taskpane/documentProperties";
+
+const controlled = PROPERTY_TEMPLATES.find((template) => template.id === "controlled");
+
+describe("findMissingProperties", () => {
+  test("reports empty properties and values outside the allowed list", () => {
+    const missing = findMissingProperties(controlled, {
+      builtIn: { title: "Plan", author: "  " },
+      custom: { "Document ID": "DOC-7", Classification: "Secret" },
+    });
+
+    expect(missing.map((property) => [property.key, property.builtIn, property.reason])).toEqual([
+      ["author", true, "missing"],
+      ["Classification", false, "invalid"],
+      ["Owner", false, "missing"],
+    ]);
+    expect(missing[1].allowedValues).toEqual(["Public", "Internal", "Confidential"]);
+  });
+
+  test("accepts numbers and trimmed text", () => {
+    const missing = findMissingProperties(controlled, {
+      builtIn: { title: "Plan", author: "Ana" },
+      custom: { "Document ID": 42, Classification: " Public ", Owner: "Ana" },
+    });
+
+    expect(missing).toEqual([]);
+  });
+
+  test("reports everything when there are no values", () => {
+    expect(findMissingProperties(controlled, {})).toHaveLength(controlled.properties.length);
+  });
+});
+
+describe("customPropertiesToAdd", () => {
+  test("adds the custom properties the document lacks, with their defaults", () => {
+    expect(customPropertiesToAdd(controlled, { Owner: "" })).toEqual([
+      { key: "Document ID", value: "" },
+      { key: "Classification", value: "Internal" },
+    ]);
+  });
+});
+
+describe("coerceCustomPropertyValue", () => {
+  test.each([
+    ["Number", " 12.5 ", 12.5],
+    ["Boolean", "Yes", true],
+    ["Boolean", "0", false],
+    ["String", " 12 ", " 12 "],
+  ])("reads %s text %j as %j", (type, text, value) => {
+    expect(coerceCustomPropertyValue(type, text)).toBe(value);
+  });
+
+  test("reads dates", () => {
+    expect(coerceCustomPropertyValue("Date", "2024-05-01T12:00:00Z")).toEqual(new Date("2024-05-01T12:00:00Z"));
+  });
+
+  test.each([
+    ["Number", "twelve", '"twelve" is not a number'],
+    ["Number", " ", '" " is not a number'],
+    ["Boolean", "maybe", '"maybe" is not yes or no'],
+    ["Date", "next week", '"next week" is not a date'],
+  ])("rejects %s text %j instead of changing the type", (type, text, message) => {
+    expect(() => coerceCustomPropertyValue(type, text)).toThrow(message);
+  });
+});
+
+describe("formatPropertyValue", () => {
+  test("shows dates in local time and other values as text", () => {
+    const date = new Date("2024-05-01T12:00:00Z");
+
+    expect(formatPropertyValue(date)).toBe(date.toLocaleString());
+    expect(formatPropertyValue("2024-05-01T12:00:00Z", "date")).toBe(date.toLocaleString());
+    expect(formatPropertyValue("not a date", "Date")).toBe("not a date");
+    expect(formatPropertyValue(false, "Boolean")).toBe("false");
+    expect(formatPropertyValue(0, "Number")).toBe("0");
+  });
+
+  test("shows nothing for missing values", () => {
+    expect(formatPropertyValue(null)).toBe("");
+    expect(formatPropertyValue(undefined, "date")).toBe("");
+    expect(formatPropertyValue("")).toBe("");
+  });
+});
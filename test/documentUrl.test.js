@@ -0,0 +1,222 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { describeDocumentLocation, DocumentLocation, parseDocumentUrl } from "../src/taskpane/documentUrl";
+
+// URL shapes seen from Office.context.document.url, with the parts expected from each
+const corpus = [
+  {
+    name: "SharePoint library file in a folder",
+    url: "https://contoso.sharepoint.com/sites/Engineering/Shared%20Documents/Specs/Design%20Spec.docx",
+    expected: {
+      kind: DocumentLocation.sharePoint,
+      host: "contoso.sharepoint.com",
+      tenant: "contoso",
+      siteCollection: "/sites/Engineering",
+      library: "Shared Documents",
+      folderPath: "Specs",
+      fileName: "Design Spec.docx",
+      extension: "docx",
+    },
+  },
+  {
+    name: "SharePoint file at the root of a library in the root site",
+    url: "https://contoso.sharepoint.com/Shared%20Documents/Root.docx",
+    expected: {
+      kind: DocumentLocation.sharePoint,
+      siteCollection: "/",
+      library: "Shared Documents",
+      folderPath: "",
+      fileName: "Root.docx",
+    },
+  },
+  {
+    name: "Teams site in a sovereign cloud with nested folders",
+    url: "https://contoso.sharepoint.us/teams/Ops/Docs/Runbooks/2024/Failover.DOCX",
+    expected: {
+      kind: DocumentLocation.sharePoint,
+      tenant: "contoso",
+      siteCollection: "/teams/Ops",
+      library: "Docs",
+      folderPath: "Runbooks/2024",
+      fileName: "Failover.DOCX",
+      extension: "docx",
+    },
+  },
+  {
+    name: "OneDrive for Business",
+    url: "https://contoso-my.sharepoint.com/personal/jane_contoso_com/Documents/Notes.docx",
+    expected: {
+      kind: DocumentLocation.oneDriveForBusiness,
+      host: "contoso-my.sharepoint.com",
+      tenant: "contoso",
+      siteCollection: "/personal/jane_contoso_com",
+      library: "Documents",
+      folderPath: "",
+      fileName: "Notes.docx",
+    },
+  },
+  {
+    name: "Sharing link that names the file",
+    url: "https://contoso.sharepoint.com/:w:/r/sites/Eng/Shared%20Documents/Plan.docx?d=w3f2a&csf=1&web=1&e=Xy12",
+    expected: {
+      kind: DocumentLocation.sharePoint,
+      siteCollection: "/sites/Eng",
+      library: "Shared Documents",
+      folderPath: "",
+      fileName: "Plan.docx",
+      extension: "docx",
+    },
+  },
+  {
+    name: "Sharing link with only a share token",
+    url: "https://contoso.sharepoint.com/:w:/s/Eng/EaBcDeFgHiJkLmN?e=4Qz9",
+    expected: {
+      kind: DocumentLocation.sharePoint,
+      siteCollection: "/sites/Eng",
+      library: null,
+      folderPath: null,
+      fileName: null,
+    },
+  },
+  {
+    name: "Personal sharing link",
+    url: "https://contoso-my.sharepoint.com/:w:/p/jane_contoso_com/EcXyZ?e=abc",
+    expected: {
+      kind: DocumentLocation.oneDriveForBusiness,
+      siteCollection: "/personal/jane_contoso_com",
+      fileName: null,
+    },
+  },
+  {
+    name: "Office Online Doc.aspx link",
+    url:
+      "https://contoso.sharepoint.com/sites/Eng/_layouts/15/Doc.aspx" +
+      "?sourcedoc=%7B1D2C3B4A-0000-0000-0000-000000000000%7D&file=Quarterly%20Report.docx&action=default",
+    expected: {
+      kind: DocumentLocation.sharePoint,
+      siteCollection: "/sites/Eng",
+      library: null,
+      folderPath: null,
+      fileName: "Quarterly Report.docx",
+      extension: "docx",
+    },
+  },
+  {
+    name: "Malformed percent-encoding is kept as typed",
+    url: "https://contoso.sharepoint.com/sites/Eng/Shared%20Documents/Bad%E0%A4%A.docx",
+    expected: {
+      kind: DocumentLocation.sharePoint,
+      library: "Shared Documents",
+      fileName: "Bad%E0%A4%A.docx",
+    },
+  },
+  {
+    name: "Personal OneDrive",
+    url: "https://d.docs.live.net/1a2b3c4d5e6f7a8b/Documents/Letters/Letter.docx",
+    expected: {
+      kind: DocumentLocation.oneDrivePersonal,
+      host: "d.docs.live.net",
+      siteCollection: "/1a2b3c4d5e6f7a8b",
+      folderPath: "Documents/Letters",
+      fileName: "Letter.docx",
+    },
+  },
+  {
+    name: "Windows drive path",
+    url: "C:\\Users\\jane\\Documents\\Report.docx",
+    expected: {
+      kind: DocumentLocation.local,
+      host: null,
+      folderPath: "C:\\Users\\jane\\Documents",
+      fileName: "Report.docx",
+      extension: "docx",
+    },
+  },
+  {
+    name: "UNC share",
+    url: "\\\\fileserver\\share\\Specs\\Spec.docm",
+    expected: {
+      kind: DocumentLocation.local,
+      host: "fileserver",
+      folderPath: "\\\\fileserver\\share\\Specs",
+      fileName: "Spec.docm",
+      extension: "docm",
+    },
+  },
+  {
+    name: "file:// URL with a drive letter",
+    url: "file:///C:/Docs/My%20Spec.docx",
+    expected: {
+      kind: DocumentLocation.local,
+      folderPath: "C:/Docs",
+      fileName: "My Spec.docx",
+    },
+  },
+  {
+    name: "macOS path",
+    url: "/Users/jane/Documents/Report.docx",
+    expected: {
+      kind: DocumentLocation.local,
+      folderPath: "/Users/jane/Documents",
+      fileName: "Report.docx",
+    },
+  },
+  {
+    name: "Other web server",
+    url: "https://docs.example.com/files/spec.docx?download=1",
+    expected: {
+      kind: DocumentLocation.web,
+      host: "docs.example.com",
+      tenant: null,
+      folderPath: "files",
+      fileName: "spec.docx",
+      extension: "docx",
+    },
+  },
+  {
+    name: "File name without an extension",
+    url: "https://docs.example.com/README",
+    expected: { kind: DocumentLocation.web, folderPath: null, fileName: "README", extension: null },
+  },
+  {
+    name: "Unsaved document",
+    url: "",
+    expected: { kind: DocumentLocation.unknown, host: null, fileName: null },
+  },
+  {
+    name: "Text that is not a URL",
+    url: "Document1",
+    expected: { kind: DocumentLocation.unknown, host: null, fileName: null },
+  },
+];
+
+describe("parseDocumentUrl", () => {
+  test.each(corpus)("$name", ({ url, expected }) => {
+    expect(parseDocumentUrl(url)).toMatchObject({ url, ...expected });
+  });
+
+  test("treats a missing URL as unknown", () => {
+    expect(parseDocumentUrl(undefined)).toMatchObject({ kind: DocumentLocation.unknown, url: "" });
+  });
+});
+
+describe("describeDocumentLocation", () => {
+  test("joins the known parts of the location", () => {
+    expect(describeDocumentLocation(parseDocumentUrl(corpus[0].url))).toBe(
+      "SharePoint › /sites/Engineering › Shared Documents › Specs"
+    );
+  });
+
+  test("leaves out the empty folder of a file at the library root", () => {
+    expect(describeDocumentLocation(parseDocumentUrl(corpus[3].url))).toBe(
+      "OneDrive for Business › /personal/jane_contoso_com › Documents"
+    );
+  });
+
+  test("names unknown locations", () => {
+    expect(describeDocumentLocation(parseDocumentUrl(""))).toBe("Unknown location");
+  });
+});
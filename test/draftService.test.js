@@ -0,0 +1,201 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  createDraftServiceClient,
+  DraftServiceConflictError,
+  DraftServiceHttpError,
+  DraftServiceNetworkError,
+  DraftServiceSchemaError,
+  DraftServiceTimeoutError,
+  filterAndSortDrafts,
+  parseDraftList,
+} from "../src/taskpane/draftService";
+
+const config = { baseUrl: "http://localhost:4000/", key: "test", base: "cache", retries: 2, retryDelayMs: 100 };
+
+// A fetch Response stand-in with a text body
+const respond = (status, body = "", statusText = "") => ({
+  status,
+  statusText,
+  ok: status >= 200 && status < 300,
+  text: async () => (typeof body === "string" ? body : JSON.stringify(body)),
+});
+
+// A client whose fetch answers with `responses` in turn (the last one repeats) and whose backoff
+// waits are recorded instead of slept
+const createClient = (responses, overrides = {}) => {
+  const queue = [...responses];
+  const fetchImpl = jest.fn(async () => {
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  });
+  const sleep = jest.fn(async () => {});
+  const client = createDraftServiceClient({ ...config, ...overrides }, { fetchImpl, sleep });
+  return { client, fetchImpl, sleep };
+};
+
+beforeAll(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("createDraftServiceClient", () => {
+  test("posts the key and base as JSON to the configured base URL", async () => {
+    const { client, fetchImpl } = createClient([respond(200, [])]);
+
+    await expect(client.getAllDrafts()).resolves.toEqual([]);
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe("http://localhost:4000/draft/getAll/");
+    expect(init).toMatchObject({ method: "POST", headers: { "Content-Type": "application/json" } });
+    expect(JSON.parse(init.body)).toEqual({ key: "test", base: "cache" });
+  });
+
+  test("retries server errors with exponential backoff", async () => {
+    const { client, fetchImpl, sleep } = createClient([respond(503), respond(500), respond(200, [{ id: 1 }])]);
+
+    await expect(client.getAllDrafts()).resolves.toHaveLength(1);
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls).toEqual([[100], [200]]);
+  });
+
+  test("gives up after the configured number of retries", async () => {
+    const { client, fetchImpl, sleep } = createClient([respond(429, "", "Too Many Requests")]);
+
+    const error = await client.getAllDrafts().catch((caught) => caught);
+    expect(error).toBeInstanceOf(DraftServiceHttpError);
+    expect(error).toMatchObject({
+      status: 429,
+      retryable: true,
+      message: "Draft service returned 429 Too Many Requests",
+    });
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  test("retries network failures", async () => {
+    const { client, fetchImpl } = createClient([new TypeError("Failed to fetch"), respond(200, [])]);
+
+    await expect(client.getAllDrafts()).resolves.toEqual([]);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test("reports a network failure once the retries are used up", async () => {
+    const { client } = createClient([new TypeError("Failed to fetch")], { retries: 0 });
+
+    await expect(client.getAllDrafts()).rejects.toBeInstanceOf(DraftServiceNetworkError);
+  });
+
+  test("does not retry client errors", async () => {
+    const { client, fetchImpl, sleep } = createClient([respond(403, "denied", "Forbidden")]);
+
+    const error = await client.getAllDrafts().catch((caught) => caught);
+    expect(error).toBeInstanceOf(DraftServiceHttpError);
+    expect(error).toMatchObject({ status: 403, retryable: false, body: "denied" });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test("times out a request that gets no answer and aborts it", async () => {
+    let signal = null;
+    const fetchImpl = jest.fn((url, init) => {
+      signal = init.signal;
+      return new Promise(() => {});
+    });
+    const client = createDraftServiceClient({ ...config, retries: 0, timeoutMs: 10 }, { fetchImpl });
+
+    const error = await client.getAllDrafts().catch((caught) => caught);
+    expect(error).toBeInstanceOf(DraftServiceTimeoutError);
+    expect(error).toMatchObject({ timeoutMs: 10, url: "http://localhost:4000/draft/getAll/" });
+    expect(signal.aborted).toBe(true);
+  });
+
+  test("reports a 409 with the server's copy of the draft as a conflict", async () => {
+    const { client, fetchImpl } = createClient([
+      respond(409, { current: { version: 7, content: "Theirs" } }, "Conflict"),
+    ]);
+
+    const error = await client.saveDraft({ content: "Mine", baseVersion: 6 }).catch((caught) => caught);
+    expect(error).toBeInstanceOf(DraftServiceConflictError);
+    expect(error).toMatchObject({ status: 409, current: { version: 7, content: "Theirs" } });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test("rejects a response that is not JSON", async () => {
+    const { client } = createClient([respond(200, "<html>Gateway</html>")]);
+
+    const error = await client.getAllDrafts().catch((caught) => caught);
+    expect(error).toBeInstanceOf(DraftServiceSchemaError);
+    expect(error.payload).toBe("<html>Gateway</html>");
+  });
+
+  test.each([
+    ["a timeout", new Promise(() => {})],
+    ["a server error", respond(502, "", "Bad Gateway")],
+    ["a network failure", new TypeError("Failed to fetch")],
+  ])("does not retry a save after %s", async (name, response) => {
+    // The server may have stored the draft before failing, so a second post could duplicate it
+    const { client, fetchImpl, sleep } = createClient([response], { timeoutMs: 10 });
+
+    await expect(client.saveDraft({ content: "Mine" })).rejects.toMatchObject({ retryable: true });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test("resolves an empty save response to an empty object", async () => {
+    const { client } = createClient([respond(200, "")]);
+
+    await expect(client.saveDraft({ content: "Mine" })).resolves.toEqual({});
+  });
+});
+
+describe("parseDraftList", () => {
+  test("normalizes drafts from a bare or wrapped array", () => {
+    const drafts = [
+      { draftId: 3, name: "Intro", createdBy: "Ana", updatedAt: "2024-05-01", text: "Hello" },
+      { id: "b", title: "Plan", author: "Ben", modified: "2024-05-02", content: "Steps" },
+    ];
+
+    expect(parseDraftList({ items: drafts })).toEqual([
+      { id: "3", title: "Intro", author: "Ana", date: "2024-05-01", content: "Hello", raw: drafts[0] },
+      { id: "b", title: "Plan", author: "Ben", date: "2024-05-02", content: "Steps", raw: drafts[1] },
+    ]);
+    expect(parseDraftList(drafts)).toHaveLength(2);
+    expect(parseDraftList([{ id: 9 }])[0]).toMatchObject({ title: "Draft 9", author: "", content: "" });
+  });
+
+  test.each([
+    ["no list", { count: 2 }, "expected an array of drafts"],
+    ["a draft that is not an object", [{ id: 1 }, "text"], "draft 1 is not an object"],
+    ["a draft without an id", [{ title: "No id" }], "draft 0 has no id"],
+  ])("rejects %s", (name, payload, message) => {
+    expect(() => parseDraftList(payload, "http://localhost:4000/draft/getAll/")).toThrow(
+      new DraftServiceSchemaError("http://localhost:4000/draft/getAll/", message, payload)
+    );
+  });
+});
+
+describe("filterAndSortDrafts", () => {
+  const drafts = [
+    { title: "beta", author: "Cy", date: "2024-05-01", content: "" },
+    { title: "Alpha", author: "ana", date: "not a date", content: "budget" },
+    { title: "Gamma", author: "Ben", date: "2024-06-01", content: "" },
+  ];
+
+  test("sorts by date, newest first, with unparseable dates last", () => {
+    expect(filterAndSortDrafts(drafts).map((draft) => draft.title)).toEqual(["Gamma", "beta", "Alpha"]);
+  });
+
+  test("filters on title, author and content and sorts case-insensitively", () => {
+    expect(filterAndSortDrafts(drafts, "BUDGET").map((draft) => draft.title)).toEqual(["Alpha"]);
+    expect(filterAndSortDrafts(drafts, "", "author").map((draft) => draft.author)).toEqual(["ana", "Ben", "Cy"]);
+  });
+});
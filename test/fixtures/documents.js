@@ -0,0 +1,65 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// Documents for the mocked Word API (see ../mocks/word.js)
+
+const heading = (level, text) => ({ text, style: `Heading ${level}` });
+const body = (text) => ({ text, style: "Normal" });
+
+// Headings marked only by paragraph styles, with a custom "Spec Heading" style and a paragraph
+// that only has an outline level
+export const headingOnlyDocument = {
+  paragraphs: [
+    body("Draft for review"),
+    { text: "Project Plan", style: "Title" },
+    heading(1, "Introduction"),
+    body("This plan covers the first release."),
+    heading(2, "Scope"),
+    body("Only the desktop client is in scope."),
+    body("Mobile comes later."),
+    heading(1, "Schedule"),
+    { text: "Milestones", style: "Spec Heading" },
+    body("Beta in March and general availability in June."),
+    { text: "Risks", style: "Outline Only", styleBuiltIn: "Other", outlineLevel: 2 },
+    body("Hiring may slip."),
+  ],
+  // Inside "Mobile comes later."
+  selection: 130,
+};
+
+// Sections wrapped in tagged content controls: Overview holds Goals, and a draft control that is not
+// a section sits inside Details
+export const contentControlDocument = {
+  paragraphs: [
+    heading(1, "Overview"),
+    body("What we are building and why."),
+    heading(2, "Goals"),
+    body("Ship the pane."),
+    heading(1, "Details"),
+    body("Inserted draft text here."),
+    body("Closing words."),
+  ],
+  contentControls: [
+    { id: 11, tag: "section:a1b2c3d4-0000-4000-8000-000000000001:1", first: 0, last: 3 },
+    { id: 12, tag: "section:a1b2c3d4-0000-4000-8000-000000000002:2", first: 2, last: 3 },
+    { id: 13, tag: "section:a1b2c3d4-0000-4000-8000-000000000003:1", first: 4, last: 6 },
+    { id: 14, tag: "draft:42", first: 5, last: 5 },
+  ],
+  // Inside "Ship the pane."
+  selection: 50,
+};
+
+export const emptyDocument = {
+  paragraphs: [],
+};
+
+// `count` paragraphs with a Heading 1 every `sectionLength` paragraphs and three-word body text between them
+export function generateLargeDocument(count, sectionLength = 20) {
+  const paragraphs = [];
+  for (let i = 0; i < count; i++) {
+    paragraphs.push(i % sectionLength === 0 ? heading(1, `Section ${i / sectionLength + 1}`) : body(`Body text ${i}`));
+  }
+  return { paragraphs };
+}
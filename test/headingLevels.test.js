@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { levelFromStyleName, normalizeStyleMap, resolveHeadingLevel } from "../src/taskpane/headingLevels";
+
+describe("resolveHeadingLevel", () => {
+  test.each([
+    ["built-in heading", { styleBuiltIn: "Heading3", style: "Heading 3" }, 3],
+    ["built-in Title", { styleBuiltIn: "Title", style: "Title" }, 0],
+    ["localized heading name", { styleBuiltIn: "Other", style: "Überschrift 2" }, 2],
+    ["localized Title name", { styleBuiltIn: "Other", style: "Titre" }, 0],
+    ["outline level only", { styleBuiltIn: "Other", style: "Callout", outlineLevel: 4 }, 4],
+    ["body text outline level", { styleBuiltIn: "Normal", style: "Normal", outlineLevel: 10 }, null],
+    ["no properties", {}, null],
+  ])("%s", (name, paragraph, level) => {
+    expect(resolveHeadingLevel(paragraph)).toBe(level);
+  });
+
+  test("lets the custom mapping override every other source", () => {
+    const styleMap = [
+      { style: "Spec Heading", level: 2 },
+      { style: "heading 1", level: 3 },
+    ];
+
+    expect(resolveHeadingLevel({ styleBuiltIn: "Other", style: "spec heading  ", outlineLevel: 5 }, styleMap)).toBe(2);
+    expect(resolveHeadingLevel({ styleBuiltIn: "Heading1", style: "Heading 1" }, styleMap)).toBe(3);
+  });
+
+  test("prefers the built-in style to the outline level", () => {
+    expect(resolveHeadingLevel({ styleBuiltIn: "Heading2", style: "Heading 2", outlineLevel: 6 })).toBe(2);
+  });
+});
+
+describe("levelFromStyleName", () => {
+  test.each([
+    ["Heading1", 1],
+    ["Heading 9", 9],
+    ["Kop 4", 4],
+    ["Nagłówek 2", 2],
+    ["Heading 0", null],
+    ["Heading 10", null],
+    ["Normal", null],
+    ["", null],
+    [null, null],
+  ])("%s is level %s", (styleName, level) => {
+    expect(levelFromStyleName(styleName)).toBe(level);
+  });
+});
+
+describe("normalizeStyleMap", () => {
+  test("drops blank and out-of-range rows and keeps the last entry per style", () => {
+    expect(
+      normalizeStyleMap([
+        { style: " Spec Heading ", level: "2" },
+        { style: "", level: 1 },
+        { style: "Deep", level: 10 },
+        { style: "Note", level: "x" },
+        { style: "spec heading", level: 3 },
+        null,
+      ])
+    ).toEqual([{ style: "spec heading", level: 3 }]);
+  });
+
+  test("reads anything that is not a list as an empty mapping", () => {
+    expect(normalizeStyleMap(undefined)).toEqual([]);
+    expect(normalizeStyleMap({ style: "Spec Heading", level: 2 })).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { LINT_RULES, lintHeadingStructure } from "../src/taskpane/headingLint";
+
+// Headings and body paragraphs from [text, level] and [text, bold, size] rows, numbered in order
+const document = (rows) => {
+  const headings = [];
+  const bodyParagraphs = [];
+  rows.forEach((row, paragraphIndex) => {
+    if (typeof row[1] === "number" && row.length === 2) {
+      headings.push({
+        paragraphIndex,
+        text: row[0],
+        level: row[1],
+        style: row[1] === 0 ? "Title" : `Heading ${row[1]}`,
+      });
+    } else {
+      bodyParagraphs.push({ paragraphIndex, text: row[0], bold: row[1], size: row[2] });
+    }
+  });
+  return { headings, bodyParagraphs };
+};
+
+const rules = (findings) => findings.map((finding) => [finding.rule, finding.paragraphIndex]);
+
+describe("lintHeadingStructure", () => {
+  test("finds nothing wrong with a well-formed document", () => {
+    const { headings, bodyParagraphs } = document([
+      ["Spec", 0],
+      ["Introduction", 1],
+      ["Some text.", false, 11],
+      ["Scope", 2],
+      ["Plan", 1],
+    ]);
+
+    expect(lintHeadingStructure(headings, bodyParagraphs)).toEqual([]);
+  });
+
+  test("reports skipped levels with a fix to the expected level", () => {
+    const { headings } = document([
+      ["Spec", 0],
+      ["Introduction", 1],
+      ["Details", 3],
+      ["Plan", 1],
+      ["Budget", 4],
+    ]);
+    const findings = lintHeadingStructure(headings);
+
+    expect(rules(findings)).toEqual([
+      [LINT_RULES.skippedLevel, 2],
+      [LINT_RULES.skippedLevel, 4],
+    ]);
+    expect(findings[0]).toMatchObject({
+      message: "Level 3 follows level 1; level 2 was skipped",
+      fix: { label: "Make Heading 2", level: 2 },
+    });
+    expect(findings[1].fix.level).toBe(2);
+  });
+
+  test("reports an outline that starts below level 1 without a Title", () => {
+    const { headings } = document([["Scope", 2]]);
+    const findings = lintHeadingStructure(headings);
+
+    expect(findings.find((finding) => finding.rule === LINT_RULES.skippedLevel).message).toBe(
+      "Outline starts at level 2 instead of level 1"
+    );
+  });
+
+  test("reports empty headings without counting them as a level", () => {
+    const { headings } = document([
+      ["Spec", 0],
+      ["Intro", 1],
+      ["", 3],
+      ["Scope", 2],
+    ]);
+    const findings = lintHeadingStructure(headings);
+
+    expect(rules(findings)).toEqual([[LINT_RULES.emptyHeading, 2]]);
+    expect(findings[0]).toMatchObject({ severity: "error", fix: { label: "Make body text", level: null } });
+  });
+
+  test("reports duplicate headings under the same parent only", () => {
+    const { headings } = document([
+      ["Spec", 0],
+      ["Phase one", 1],
+      ["Risks", 2],
+      ["Phase two", 1],
+      ["Risks", 2],
+      ["risks", 2],
+    ]);
+
+    expect(rules(lintHeadingStructure(headings))).toEqual([[LINT_RULES.duplicateSibling, 5]]);
+  });
+
+  test("reports headings too long for the TOC", () => {
+    const { headings } = document([
+      ["Spec", 0],
+      ["A heading that runs on", 1],
+    ]);
+    const findings = lintHeadingStructure(headings, [], { maxLength: 10 });
+
+    expect(findings).toEqual([
+      expect.objectContaining({
+        rule: LINT_RULES.tooLong,
+        message: "Heading is 22 characters long and is left out of the TOC (limit 10)",
+        fix: null,
+      }),
+    ]);
+  });
+
+  test("suggests a level for short, bold, larger body lines", () => {
+    const { headings, bodyParagraphs } = document([
+      ["Spec", 0],
+      ["Body text.", false, 11],
+      ["More body text.", false, 11],
+      ["Even more body text.", false, 11],
+      ["The body text goes on.", false, 11],
+      ["And on.", false, 11],
+      ["Big bold line", true, 18],
+      ["Medium bold line", true, 13],
+      ["Small bold line", true, 12],
+      ["Bold sentence.", true, 18],
+      ["Plain large line", false, 18],
+      ["Mixed bold line", null, 18],
+    ]);
+    const findings = lintHeadingStructure(headings, bodyParagraphs);
+
+    expect(findings.map((finding) => [finding.paragraphIndex, finding.fix.level])).toEqual([
+      [6, 1],
+      [7, 2],
+      [8, 3],
+    ]);
+    expect(findings.every((finding) => finding.rule === LINT_RULES.manualHeading)).toBe(true);
+  });
+
+  test("offers to make an opening body paragraph the Title", () => {
+    const { headings, bodyParagraphs } = document([
+      ["", false, 11],
+      ["Project Plan", false, 11],
+      ["Introduction", 1],
+    ]);
+    const findings = lintHeadingStructure(headings, bodyParagraphs);
+
+    expect(findings[0]).toMatchObject({
+      rule: LINT_RULES.missingTitle,
+      paragraphIndex: 1,
+      fix: { label: "Make Title", level: 0 },
+    });
+  });
+
+  test("reports a missing Title without a fix when the document opens with a heading", () => {
+    const { headings } = document([["Introduction", 1]]);
+
+    expect(lintHeadingStructure(headings)).toEqual([
+      {
+        rule: LINT_RULES.missingTitle,
+        severity: "warning",
+        message: "The document has no paragraph in the Title style",
+        paragraphIndex: null,
+        text: "",
+        fix: null,
+      },
+    ]);
+  });
+});
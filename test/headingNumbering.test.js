@@ -0,0 +1,72 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  APPENDIX_NONE,
+  computeOutlineNumbers,
+  findOutlineNumber,
+  formatNumberPrefix,
+  stripOutlineNumber,
+} from "../src/taskpane/headingNumbering";
+
+const toc = (headings) => headings.map(([level, text], index) => ({ level, text, index }));
+
+describe("computeOutlineNumbers", () => {
+  const items = toc([
+    [0, "Handbook"],
+    [1, "Introduction"],
+    [3, "Background"],
+    [2, "Scope"],
+    [1, "Design"],
+    [1, "Appendix Glossary"],
+    [2, "Terms"],
+    [1, "Appendix Sources"],
+  ]);
+
+  test("numbers by hierarchy and letters appendices", () => {
+    expect(computeOutlineNumbers(items)).toEqual([null, "1", "1.1", "1.2", "2", "A", "A.1", "B"]);
+  });
+
+  test("keeps numbering through appendices when they are turned off", () => {
+    expect(computeOutlineNumbers(items, { appendixStart: APPENDIX_NONE })).toEqual([
+      null,
+      "1",
+      "1.1",
+      "1.2",
+      "2",
+      "3",
+      "3.1",
+      "4",
+    ]);
+  });
+
+  test("starts appendices at a given TOC index", () => {
+    expect(computeOutlineNumbers(items, { appendixStart: 4 })).toEqual([null, "1", "1.1", "1.2", "A", "B", "B.1", "C"]);
+  });
+});
+
+describe("outline number prefixes", () => {
+  test.each([
+    ["3.2 Scope", "3.2 "],
+    ["1. Introduction", "1. "],
+    ["4.1.2. Details", "4.1.2. "],
+    ["A. Glossary", "A. "],
+    ["B.3 Sources", "B.3 "],
+    ["A Study of Things", ""],
+    ["2024 Roadmap", ""],
+    ["5 Whys Analysis", ""],
+    ["12 Angry Men", ""],
+    ["Introduction", ""],
+  ])("%j starts with %j", (text, number) => {
+    expect(findOutlineNumber(text)).toBe(number);
+    expect(stripOutlineNumber(text)).toBe(text.slice(number.length));
+  });
+
+  test("writes top-level numbers with a full stop", () => {
+    expect(formatNumberPrefix("2")).toBe("2. ");
+    expect(formatNumberPrefix("A")).toBe("A. ");
+    expect(formatNumberPrefix("2.1")).toBe("2.1 ");
+  });
+});
@@ -0,0 +1,141 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { resolveHeadingLevel } from "../src/taskpane/headingLevels";
+import { countWords, DEFAULT_SCAN_BATCH_SIZE, scanHeadings } from "../src/taskpane/headingScanner";
+import { emptyDocument, generateLargeDocument, headingOnlyDocument } from "./fixtures/documents";
+import { createWordContext } from "./mocks/word";
+
+const resolveLevel = (paragraph) => resolveHeadingLevel(paragraph);
+
+describe("scanHeadings", () => {
+  test("finds every heading with its paragraph index and range", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const scan = await scanHeadings(context, { resolveLevel });
+
+    expect(scan.cancelled).toBe(false);
+    expect(scan.paragraphCount).toBe(12);
+    expect(scan.headings.map((heading) => [heading.paragraphIndex, heading.text, heading.level])).toEqual([
+      [1, "Project Plan", 0],
+      [2, "Introduction", 1],
+      [4, "Scope", 2],
+      [7, "Schedule", 1],
+      [10, "Risks", 2],
+    ]);
+    expect(scan.headings[2]).toMatchObject({ style: "Heading 2", styleBuiltIn: "Heading2", start: 79, end: 84 });
+  });
+
+  test("filters by level and by the loaded text", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const scan = await scanHeadings(context, {
+      resolveLevel,
+      matchLevel: (level) => level >= 1,
+      acceptHeading: (text) => text !== "Scope",
+    });
+
+    expect(scan.headings.map((heading) => heading.text)).toEqual(["Introduction", "Schedule", "Risks"]);
+  });
+
+  test("hands body paragraphs to onBodyParagraph when bodyProperties is set", async () => {
+    const { context } = createWordContext(headingOnlyDocument);
+    const bodyParagraphs = [];
+    await scanHeadings(context, {
+      resolveLevel,
+      bodyProperties: "font/bold",
+      onBodyParagraph: (paragraph, index, text) => bodyParagraphs.push([index, text]),
+    });
+
+    expect(bodyParagraphs.map(([index]) => index)).toEqual([0, 3, 5, 6, 8, 9, 11]);
+    expect(bodyParagraphs[1][1]).toBe("This plan covers the first release.");
+  });
+
+  test("scans an empty document with a single sync", async () => {
+    const { context, stats } = createWordContext(emptyDocument);
+    const scan = await scanHeadings(context, { resolveLevel, countWords: true });
+
+    expect(scan).toMatchObject({ headings: [], paragraphCount: 0, cancelled: false });
+    expect(stats.syncCount).toBe(1);
+  });
+
+  test("does not sync batches without candidates when words are not counted", async () => {
+    const document = generateLargeDocument(1000, 1000);
+    const { context, stats } = createWordContext(document);
+    const scan = await scanHeadings(context, { resolveLevel, batchSize: 100 });
+
+    expect(scan.headings).toHaveLength(1);
+    expect(stats.syncCount).toBe(2);
+  });
+
+  test("reports progress after every batch", async () => {
+    const { context } = createWordContext(generateLargeDocument(250, 50));
+    const onProgress = jest.fn();
+    await scanHeadings(context, { resolveLevel, batchSize: 100, onProgress });
+
+    expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+      { scanned: 100, total: 250, found: 2 },
+      { scanned: 200, total: 250, found: 4 },
+      { scanned: 250, total: 250, found: 5 },
+    ]);
+  });
+
+  test("stops between batches once the signal is aborted", async () => {
+    const { context, stats } = createWordContext(generateLargeDocument(1000));
+    const signal = { aborted: false };
+    const scan = await scanHeadings(context, {
+      resolveLevel,
+      batchSize: 100,
+      signal,
+      onProgress: () => {
+        signal.aborted = true;
+      },
+    });
+
+    expect(scan.cancelled).toBe(true);
+    expect(scan.headings).toHaveLength(5);
+    expect(stats.syncCount).toBe(2);
+  });
+
+  describe("10k-paragraph document", () => {
+    const paragraphCount = 10000;
+    const document = generateLargeDocument(paragraphCount);
+
+    test("covers the whole document with a bounded number of syncs", async () => {
+      const { context, stats } = createWordContext(document);
+      const started = Date.now();
+      const scan = await scanHeadings(context, { resolveLevel, countWords: true });
+      const elapsed = Date.now() - started;
+
+      expect(scan.paragraphCount).toBe(paragraphCount);
+      expect(scan.headings).toHaveLength(paragraphCount / 20);
+      expect(scan.headings[scan.headings.length - 1]).toMatchObject({ text: "Section 500", paragraphIndex: 9980 });
+      expect(scan.headings.every((heading) => heading.wordCount === 19 * 3)).toBe(true);
+
+      expect(stats.syncCount).toBe(1 + Math.ceil(paragraphCount / DEFAULT_SCAN_BATCH_SIZE));
+      // Generous bound for slow CI machines; the mocked scan itself takes a few tens of milliseconds
+      expect(elapsed).toBeLessThan(2000);
+    });
+
+    test("only loads text for headings when words are not counted", async () => {
+      const { context, stats } = createWordContext(document);
+      await scanHeadings(context, { resolveLevel });
+
+      // The paragraph collection plus one text load per heading
+      expect(stats.loadCount).toBe(1 + paragraphCount / 20);
+    });
+  });
+});
+
+describe("countWords", () => {
+  test.each([
+    ["", 0],
+    [null, 0],
+    ["   ", 0],
+    ["one", 1],
+    ["  two\twords\n", 2],
+    ["Beta in March and general availability in June.", 8],
+  ])("%j has %i words", (text, count) => {
+    expect(countWords(text)).toBe(count);
+  });
+});
@@ -0,0 +1,283 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+// In-memory stand-in for the parts of the Word JavaScript API the pane reads. Every object holds its
+// data up front, so load() only records what was asked for and context.sync() just counts round trips.
+//
+// A document is described as
+//   { paragraphs: [{ text, style, styleBuiltIn, outlineLevel }], contentControls: [{ id, tag, first, last }], selection }
+// where first/last are the indexes of a control's first and last paragraph and selection is a
+// character position. Paragraph positions run on from each other with one character for each
+// paragraph mark, as they do in Word.
+
+export const LocationRelation = {
+  unrelated: "Unrelated",
+  equal: "Equal",
+  containsStart: "ContainsStart",
+  containsEnd: "ContainsEnd",
+  contains: "Contains",
+  insideStart: "InsideStart",
+  insideEnd: "InsideEnd",
+  inside: "Inside",
+  adjacentBefore: "AdjacentBefore",
+  overlapsBefore: "OverlapsBefore",
+  before: "Before",
+  adjacentAfter: "AdjacentAfter",
+  overlapsAfter: "OverlapsAfter",
+  after: "After",
+};
+
+const RangeLocation = {
+  whole: "Whole",
+  start: "Start",
+  end: "End",
+  before: "Before",
+  after: "After",
+  content: "Content",
+};
+
+// Body text paragraphs report outline level 10
+const BODY_TEXT_OUTLINE_LEVEL = 10;
+
+// A mocked request context over the described document.
+// Returns { context, stats } where stats counts syncs and loads and holds the tracked objects.
+export function createWordContext(documentModel = {}) {
+  const stats = { syncCount: 0, loadCount: 0, tracked: new Set() };
+
+  const paragraphs = layoutParagraphs(documentModel.paragraphs || []);
+  const controls = (documentModel.contentControls || []).map((control) => createContentControl(control, paragraphs));
+  paragraphs.forEach((paragraph, index) => {
+    paragraph.setParentControl(innermostControl(controls, index));
+  });
+  controls.forEach((control) => {
+    control.setParentControl(innermostControl(controls.filter((other) => other !== control && other.holds(control))));
+  });
+
+  const documentEnd = paragraphs.length > 0 ? paragraphs[paragraphs.length - 1].end : 0;
+  const selection = Math.min(documentModel.selection || 0, documentEnd);
+
+  const context = {
+    document: {
+      body: {
+        paragraphs: createCollection(paragraphs),
+        getRange: () => createRange(0, documentEnd),
+      },
+      contentControls: createCollection(controls),
+      getSelection: () => createRange(selection, selection),
+    },
+    trackedObjects: {
+      add: (object) => stats.tracked.add(object),
+      remove: (object) => stats.tracked.delete(object),
+    },
+    load(object, properties) {
+      object.load(properties);
+      return object;
+    },
+    async sync() {
+      stats.syncCount++;
+    },
+  };
+
+  const countLoads = (object) => {
+    const load = object.load;
+    object.load = (properties) => {
+      stats.loadCount++;
+      return load.call(object, properties);
+    };
+  };
+  [context.document.body.paragraphs, context.document.contentControls, ...paragraphs, ...controls].forEach(countLoads);
+
+  return { context, stats };
+}
+
+// Install a global Word whose run() hands each batch a fresh context over the same document.
+// Returns the stats of the most recent context as `lastRun`.
+export function installWordMock(documentModel = {}) {
+  const mock = { lastRun: null };
+
+  global.Word = {
+    LocationRelation: LocationRelation,
+    RangeLocation: RangeLocation,
+    run(objectOrBatch, maybeBatch) {
+      const batch = typeof objectOrBatch === "function" ? objectOrBatch : maybeBatch;
+      const run = createWordContext(documentModel);
+      mock.lastRun = run.stats;
+      return Promise.resolve().then(() => batch(run.context));
+    },
+  };
+  return mock;
+}
+
+export function uninstallWordMock() {
+  delete global.Word;
+}
+
+function layoutParagraphs(descriptions) {
+  let position = 0;
+  return descriptions.map((description) => {
+    const paragraph = createParagraph(description, position);
+    position = paragraph.end + 1;
+    return paragraph;
+  });
+}
+
+function createParagraph(description, start) {
+  const text = description.text || "";
+  const style = description.style || "Normal";
+  let parentControl = null;
+
+  return {
+    isNullObject: false,
+    text: text,
+    style: style,
+    styleBuiltIn: description.styleBuiltIn || builtInStyle(style),
+    outlineLevel: description.outlineLevel || outlineLevelFor(style),
+    start: start,
+    end: start + text.length,
+    load() {
+      return this;
+    },
+    getRange(location = RangeLocation.whole) {
+      return createRange(this.start, this.end, location, text);
+    },
+    get parentContentControlOrNullObject() {
+      return parentControl || nullObject();
+    },
+    setParentControl(control) {
+      parentControl = control;
+    },
+  };
+}
+
+function createContentControl(description, paragraphs) {
+  const first = paragraphs[description.first];
+  const last = paragraphs[description.last === undefined ? description.first : description.last];
+  let parentControl = null;
+
+  return {
+    isNullObject: false,
+    id: description.id,
+    tag: description.tag || "",
+    title: description.title || "",
+    first: description.first,
+    last: description.last === undefined ? description.first : description.last,
+    start: first.start,
+    end: last.end,
+    paragraphs: createCollection(paragraphs.slice(description.first, paragraphs.indexOf(last) + 1)),
+    load() {
+      return this;
+    },
+    getRange(location = RangeLocation.whole) {
+      return createRange(this.start, this.end, location);
+    },
+    get parentContentControlOrNullObject() {
+      return parentControl || nullObject();
+    },
+    setParentControl(control) {
+      parentControl = control;
+    },
+    holdsParagraph(index) {
+      return index >= this.first && index <= this.last;
+    },
+    holds(other) {
+      return other.first >= this.first && other.last <= this.last && other.last - other.first < this.last - this.first;
+    },
+  };
+}
+
+// The control with the fewest paragraphs that holds the paragraph at `index`, or null
+function innermostControl(controls, index) {
+  const holding = index === undefined ? controls : controls.filter((control) => control.holdsParagraph(index));
+  return holding.reduce(
+    (inner, control) => (!inner || control.last - control.first < inner.last - inner.first ? control : inner),
+    null
+  );
+}
+
+function createCollection(items) {
+  return {
+    items: items,
+    load() {
+      return this;
+    },
+    getFirst() {
+      return items[0];
+    },
+    getFirstOrNullObject() {
+      return items[0] || nullObject();
+    },
+    getByIdOrNullObject(id) {
+      return items.find((item) => item.id === id) || nullObject();
+    },
+  };
+}
+
+function createRange(start, end, location = RangeLocation.whole, text = "") {
+  const collapsedAt = location === RangeLocation.start ? start : location === RangeLocation.end ? end : null;
+  const range = {
+    isNullObject: false,
+    start: collapsedAt === null ? start : collapsedAt,
+    end: collapsedAt === null ? end : collapsedAt,
+    text: collapsedAt === null ? text : "",
+    load() {
+      return this;
+    },
+    getRange(rangeLocation) {
+      return createRange(range.start, range.end, rangeLocation, range.text);
+    },
+    compareLocationWith(other) {
+      return { value: compareLocations(range, other) };
+    },
+  };
+  return range;
+}
+
+// How `range` relates to `other`, seen from `range` ("Contains" when `other` lies inside it)
+function compareLocations(range, other) {
+  if (range.start === other.start && range.end === other.end) {
+    return LocationRelation.equal;
+  }
+  if (range.end < other.start) {
+    return range.end + 1 === other.start ? LocationRelation.adjacentBefore : LocationRelation.before;
+  }
+  if (range.start > other.end) {
+    return range.start === other.end + 1 ? LocationRelation.adjacentAfter : LocationRelation.after;
+  }
+  if (range.start <= other.start && other.end <= range.end) {
+    if (range.start === other.start) {
+      return LocationRelation.containsStart;
+    }
+    return range.end === other.end ? LocationRelation.containsEnd : LocationRelation.contains;
+  }
+  if (other.start <= range.start && range.end <= other.end) {
+    if (range.start === other.start) {
+      return LocationRelation.insideStart;
+    }
+    return range.end === other.end ? LocationRelation.insideEnd : LocationRelation.inside;
+  }
+  return range.start < other.start ? LocationRelation.overlapsBefore : LocationRelation.overlapsAfter;
+}
+
+function nullObject() {
+  return {
+    isNullObject: true,
+    load() {
+      return this;
+    },
+  };
+}
+
+function builtInStyle(style) {
+  const heading = style.match(/^Heading (\d)$/);
+  if (heading) {
+    return `Heading${heading[1]}`;
+  }
+  return style === "Title" || style === "Normal" ? style : "Other";
+}
+
+function outlineLevelFor(style) {
+  const heading = style.match(/^Heading (\d)$/);
+  return heading ? parseInt(heading[1]) : BODY_TEXT_OUTLINE_LEVEL;
+}
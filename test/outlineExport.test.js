@@ -0,0 +1,113 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  OUTLINE_EXPORT_FORMATS,
+  OUTLINE_JSON_VERSION,
+  toHtmlOutline,
+  toJsonOutline,
+  toMarkdownOutline,
+  toOpmlOutline,
+} from "../src/taskpane/outlineExport";
+
+const generated = new Date("2024-05-01T12:00:00Z");
+
+const items = [
+  { text: "Introduction", level: 1, style: "Heading 1", type: "paragraph", start: 0, end: 12 },
+  { text: "Scope & *aims*", level: 2, style: "Heading 2", type: "paragraph", start: 40, end: 54 },
+  { text: "Details", level: 3, style: "Heading 3", type: "paragraph", start: 90, end: 97 },
+  { text: "Plan <draft>", level: 1, style: "Heading 1", type: "contentControl", start: 120, end: 300 },
+];
+
+describe("toMarkdownOutline", () => {
+  test("nests bullets by outline depth and escapes Markdown", () => {
+    expect(toMarkdownOutline(items)).toBe(
+      "- Introduction\n  - Scope & \\*aims\\*\n    - Details\n- Plan \\<draft\\>\n"
+    );
+  });
+
+  test("nests skipped levels under the nearest real ancestor", () => {
+    const skipped = [
+      { text: "A", level: 1 },
+      { text: "B", level: 3 },
+    ];
+    expect(toMarkdownOutline(skipped)).toBe("- A\n  - B\n");
+  });
+
+  test("is empty for an empty outline", () => {
+    expect(toMarkdownOutline([])).toBe("");
+  });
+});
+
+describe("toJsonOutline", () => {
+  test("keeps the TOC item shape with parent indexes", () => {
+    const outline = JSON.parse(toJsonOutline(items, { title: "Plan", generated }));
+
+    expect(outline).toMatchObject({
+      version: OUTLINE_JSON_VERSION,
+      title: "Plan",
+      generated: "2024-05-01T12:00:00.000Z",
+    });
+    expect(outline.items.map((item) => item.parentIndex)).toEqual([-1, 0, 1, -1]);
+    expect(outline.items[3]).toEqual({
+      index: 3,
+      text: "Plan <draft>",
+      level: 1,
+      style: "Heading 1",
+      type: "contentControl",
+      start: 120,
+      end: 300,
+      parentIndex: -1,
+    });
+  });
+
+  test("writes null for missing style, type and positions", () => {
+    const outline = JSON.parse(toJsonOutline([{ text: "Cached", level: 1 }], { generated }));
+
+    expect(outline.items[0]).toMatchObject({ style: null, type: null, start: null, end: null });
+  });
+
+  test("does not annotate the caller's items", () => {
+    toJsonOutline(items, { generated });
+    expect(items[1]).not.toHaveProperty("parentIndex");
+  });
+});
+
+describe("toHtmlOutline", () => {
+  test("writes a standalone page with nested, escaped lists", () => {
+    const html = toHtmlOutline(items, { title: "R&D plan" });
+
+    expect(html.startsWith("<!DOCTYPE html>\n")).toBe(true);
+    expect(html).toContain("<title>R&amp;D plan</title>");
+    expect(html).toContain("<li>Scope &amp; *aims*\n");
+    expect(html).toContain("<li>Details</li>");
+    expect(html).toContain("<li>Plan &lt;draft&gt;</li>");
+    expect(html.match(/<ul>/g)).toHaveLength(3);
+  });
+});
+
+describe("toOpmlOutline", () => {
+  test("writes nested outline elements with level and style attributes", () => {
+    const opml = toOpmlOutline(items, { title: "Plan", generated });
+
+    expect(opml).toContain(`<dateCreated>${generated.toUTCString()}</dateCreated>`);
+    expect(opml).toContain('    <outline text="Introduction" _level="1" _style="Heading 1">\n');
+    expect(opml).toContain('        <outline text="Details" _level="3" _style="Heading 3"/>\n');
+    expect(opml).toContain('<outline text="Plan &lt;draft&gt;" _level="1" _style="Heading 1"/>');
+  });
+
+  test("leaves out the style attribute when there is none", () => {
+    expect(toOpmlOutline([{ text: "Cached", level: 1 }], { generated })).toContain(
+      '<outline text="Cached" _level="1"/>'
+    );
+  });
+});
+
+describe("OUTLINE_EXPORT_FORMATS", () => {
+  test.each(Object.entries(OUTLINE_EXPORT_FORMATS))("%s serializes the outline", (name, format) => {
+    expect(format.extension).toMatch(/^[a-z]+$/);
+    expect(typeof format.serialize(items, { generated })).toBe("string");
+  });
+});
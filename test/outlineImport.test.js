@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { toJsonOutline, toMarkdownOutline } from "../src/taskpane/outlineExport";
+import {
+  parseJsonOutline,
+  parseMarkdownOutline,
+  parseOutline,
+  planSkeleton,
+  validateOutline,
+} from "../src/taskpane/outlineImport";
+
+const items = [
+  { text: "Introduction", level: 1 },
+  { text: "Scope & *aims*", level: 2 },
+  { text: "Details", level: 3 },
+  { text: "Plan <draft>", level: 1 },
+];
+
+describe("parseOutline", () => {
+  test("reads back a JSON export", () => {
+    const outline = parseOutline(toJsonOutline(items, { title: "Spec" }));
+
+    expect(outline).toEqual({ format: "json", items, errors: [] });
+  });
+
+  test("reads back a Markdown export", () => {
+    expect(parseOutline(toMarkdownOutline(items))).toEqual({ format: "markdown", items, errors: [] });
+  });
+
+  test("takes a byte order mark in front of JSON", () => {
+    expect(parseOutline(`\uFEFF${JSON.stringify(items)}`).format).toBe("json");
+  });
+});
+
+describe("parseJsonOutline", () => {
+  test("accepts a plain list of TOC items and ignores their other fields", () => {
+    const outline = parseJsonOutline(
+      JSON.stringify([
+        { text: "Title", level: 0, style: "Title", start: 0, end: 5 },
+        { text: "  Scope\n of work ", level: "2", type: "paragraph" },
+      ])
+    );
+
+    expect(outline.items).toEqual([
+      { text: "Title", level: 0 },
+      { text: "Scope of work", level: 2 },
+    ]);
+  });
+
+  test("leaves out items without text or a valid level", () => {
+    const outline = parseJsonOutline(
+      JSON.stringify({ items: [{ level: 1 }, { text: "Deep", level: 12 }, { text: "Kept", level: 1 }, null] })
+    );
+
+    expect(outline.items).toEqual([{ text: "Kept", level: 1 }]);
+    expect(outline.errors).toEqual([
+      "Item 1 has no heading text",
+      'Item 2 ("Deep") has no level between 0 and 9',
+      "Item 4 has no heading text",
+    ]);
+  });
+
+  test("reports JSON that is not an outline", () => {
+    expect(parseJsonOutline("{").errors[0]).toMatch(/^The file is not valid JSON/);
+    expect(parseJsonOutline('{"title": "Spec"}').errors).toEqual(["The JSON has no list of outline items"]);
+  });
+});
+
+describe("parseMarkdownOutline", () => {
+  test("reads headings by their number of hashes", () => {
+    const outline = parseMarkdownOutline("# Introduction #\n\n## Scope\r\n#### Deep \\#1\n#NoSpace\nSome prose.");
+
+    expect(outline.items).toEqual([
+      { text: "Introduction", level: 1 },
+      { text: "Scope", level: 2 },
+      { text: "Deep #1", level: 4 },
+    ]);
+    expect(outline.errors).toEqual(["Line 5 is not a heading or list item", "Line 6 is not a heading or list item"]);
+  });
+
+  test("nests list items by indent, below the heading before them", () => {
+    const outline = parseMarkdownOutline(
+      ["# Design", "- Overview", "    * Goals", "\t* Non-goals", "1. Architecture", "# Rollout", "+ Phases"].join("\n")
+    );
+
+    expect(outline.items.map((item) => [item.text, item.level])).toEqual([
+      ["Design", 1],
+      ["Overview", 2],
+      ["Goals", 3],
+      ["Non-goals", 3],
+      ["Architecture", 2],
+      ["Rollout", 1],
+      ["Phases", 2],
+    ]);
+  });
+
+  test("leaves out list items nested deeper than level 9", () => {
+    const lines = Array.from({ length: 10 }, (_, depth) => `${"  ".repeat(depth)}- Level ${depth + 1}`);
+    const outline = parseMarkdownOutline(lines.join("\n"));
+
+    expect(outline.items).toHaveLength(9);
+    expect(outline.errors).toEqual(["Line 10 is nested deeper than level 9"]);
+  });
+});
+
+describe("validateOutline", () => {
+  test("warns about level jumps, empty and duplicate headings but not a missing title", () => {
+    const warnings = validateOutline([
+      { text: "Introduction", level: 1 },
+      { text: "Details", level: 3 },
+      { text: "", level: 2 },
+      { text: "Decisions", level: 3 },
+      { text: "Plan", level: 1 },
+      { text: "Plan", level: 1 },
+    ]);
+
+    expect(warnings).toEqual([
+      { index: 1, severity: "warning", message: "Level 3 follows level 1; level 2 was skipped" },
+      { index: 2, severity: "error", message: "Empty heading paragraph" },
+      { index: 5, severity: "warning", message: 'Another heading under the same parent is also "Plan"' },
+    ]);
+  });
+
+  test("finds nothing wrong with a well-formed outline", () => {
+    expect(validateOutline([{ text: "Spec", level: 0 }, ...items.slice(0, 2)])).toEqual([]);
+  });
+});
+
+describe("planSkeleton", () => {
+  const outline = [
+    { text: "Spec", level: 0 },
+    { text: "Introduction", level: 1 },
+    { text: "Scope", level: 2 },
+    { text: "Plan", level: 1 },
+  ];
+
+  test("inserts only headings by default", () => {
+    expect(planSkeleton(outline)).toEqual({
+      paragraphs: outline.map((item, itemIndex) => ({ ...item, itemIndex })),
+      sections: [],
+    });
+  });
+
+  test("adds placeholder text under every heading but the Title", () => {
+    const plan = planSkeleton(outline, { placeholder: "TBD" });
+
+    expect(plan.paragraphs.map((paragraph) => [paragraph.text, paragraph.level])).toEqual([
+      ["Spec", 0],
+      ["Introduction", 1],
+      ["TBD", null],
+      ["Scope", 2],
+      ["TBD", null],
+      ["Plan", 1],
+      ["TBD", null],
+    ]);
+  });
+
+  test("spans each section control up to the next heading at the same or a higher level", () => {
+    const plan = planSkeleton(outline, { placeholder: "TBD", sectionControls: true });
+
+    expect(plan.sections).toEqual([
+      { itemIndex: 1, level: 1, first: 1, last: 4 },
+      { itemIndex: 2, level: 2, first: 3, last: 4 },
+      { itemIndex: 3, level: 1, first: 5, last: 6 },
+    ]);
+  });
+});
@@ -0,0 +1,295 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  addSnapshotBodies,
+  createOutlineSnapshot,
+  diffOutlineSnapshots,
+  HEADING_CHANGES,
+  OUTLINE_SNAPSHOT_VERSION,
+  outlineSnapshotSummary,
+  readOutlineSnapshot,
+  sectionBodyText,
+  serializeSnapshotBodiesXml,
+} from "../src/taskpane/outlineSnapshot";
+import { diffWords } from "../src/taskpane/textDiff";
+
+const takenAt = new Date("2024-05-01T12:00:00Z");
+
+// Snapshot of [text, level, body, sectionId?] rows
+const snapshot = (rows) =>
+  createOutlineSnapshot(
+    rows.map(([text, level, , sectionId]) => ({ text, level, sectionId })),
+    rows.map(([, , body]) => body),
+    { title: "Plan", takenAt }
+  );
+
+const baseline = snapshot([
+  ["Introduction", 1, "Why we are doing this."],
+  ["Scope", 2, "Only the north site."],
+  ["Plan", 1, "Three phases over two years."],
+  ["Phase one", 2, "Survey the site."],
+  ["Phase two", 2, "Build the access road."],
+  ["Risks", 1, "Weather and budget."],
+]);
+
+const changes = (diff) => diff.headings.map((entry) => [entry.change, (entry.after || entry.before).text]);
+
+describe("createOutlineSnapshot", () => {
+  test("records heading, level, section id and normalized body per section", () => {
+    const created = createOutlineSnapshot(
+      [
+        { text: "Intro", level: 1, sectionId: "toc-section-1" },
+        { text: "Plan", level: 1 },
+      ],
+      ["First line  \r\nSecond line\r", ""],
+      { title: "Plan", takenAt }
+    );
+
+    expect(created).toMatchObject({ version: OUTLINE_SNAPSHOT_VERSION, title: "Plan", takenAt: takenAt.toISOString() });
+    expect(created.sections[0]).toMatchObject({
+      text: "Intro",
+      level: 1,
+      sectionId: "toc-section-1",
+      body: "First line\nSecond line",
+    });
+    expect(created.sections[1].sectionId).toBeNull();
+    expect(created.sections[0].hash).toBe(snapshot([["Other", 2, "First line\nSecond line"]]).sections[0].hash);
+  });
+});
+
+describe("readOutlineSnapshot", () => {
+  test("reads back an exported snapshot", () => {
+    expect(readOutlineSnapshot(JSON.stringify(baseline))).toEqual(baseline);
+  });
+
+  test("rejects text and objects that are not snapshots", () => {
+    expect(readOutlineSnapshot("{not json")).toBeNull();
+    expect(readOutlineSnapshot({ version: 99, sections: [] })).toBeNull();
+    expect(readOutlineSnapshot(null)).toBeNull();
+  });
+
+  test("drops malformed sections and fills in missing hashes", () => {
+    const read = readOutlineSnapshot({
+      version: OUTLINE_SNAPSHOT_VERSION,
+      sections: [{ text: "Kept", level: 1, body: "Body" }, { text: "No level" }, null],
+    });
+
+    expect(read.sections).toHaveLength(1);
+    expect(read.sections[0].hash).toBe(snapshot([["Kept", 1, "Body"]]).sections[0].hash);
+  });
+});
+
+describe("snapshot storage", () => {
+  const summary = outlineSnapshotSummary(baseline);
+
+  test("keeps headings and hashes in the summary and reads its bodies as missing", () => {
+    expect(summary.sections[1]).toEqual({ text: "Scope", level: 2, sectionId: null, hash: baseline.sections[1].hash });
+    expect(JSON.stringify(summary)).not.toContain("north site");
+    expect(readOutlineSnapshot(JSON.parse(JSON.stringify(summary))).sections.map((section) => section.body)).toEqual(
+      baseline.sections.map(() => null)
+    );
+  });
+
+  test("round-trips the bodies through the XML part, including markup and control characters", () => {
+    const tricky = snapshot([
+      ["Terms", 1, 'Use <b> & "quotes"\u000bthen a break\u0007'],
+      ["Empty", 1, ""],
+    ]);
+    const xml = serializeSnapshotBodiesXml(tricky);
+
+    expect(xml).toContain(`takenAt="${tricky.takenAt}"`);
+    expect(xml).not.toContain("\u0007");
+    expect(xml).not.toContain("\u000b");
+    expect(addSnapshotBodies(readOutlineSnapshot(outlineSnapshotSummary(tricky)), xml)).toEqual(tricky);
+  });
+
+  test("ignores a part from another snapshot and bodies whose hash does not match", () => {
+    const stored = readOutlineSnapshot(summary);
+    const other = snapshot([["Introduction", 1, "Why we are doing this."]]);
+    const otherXml = serializeSnapshotBodiesXml({ ...other, takenAt: "2024-04-01T00:00:00.000Z" });
+    const editedXml = serializeSnapshotBodiesXml(baseline).replace("north site", "south site");
+
+    expect(addSnapshotBodies(stored, otherXml)).toEqual(stored);
+    expect(addSnapshotBodies(stored, editedXml).sections.map((section) => section.body !== null)).toEqual([
+      true,
+      false,
+      true,
+      true,
+      true,
+      true,
+    ]);
+    expect(addSnapshotBodies(stored, "")).toEqual(stored);
+  });
+
+  test("still finds changed and renamed sections without the bodies, but without a word diff", () => {
+    const current = snapshot([
+      ["Introduction", 1, "Why we are doing this."],
+      ["Boundaries", 2, "Only the north site."],
+      ["Plan", 1, "Four phases over two years."],
+      ["Phase one", 2, "Survey the site."],
+      ["Phase two", 2, "Build the access road."],
+      ["Risks", 1, "Weather and budget."],
+    ]);
+    const diff = diffOutlineSnapshots(readOutlineSnapshot(summary), current);
+
+    expect(changes(diff)).toEqual([[HEADING_CHANGES.renamed, "Boundaries"]]);
+    expect(diff.changedSections.map((entry) => [entry.after.text, entry.words])).toEqual([["Plan", null]]);
+  });
+});
+
+describe("sectionBodyText", () => {
+  test("drops the heading paragraph", () => {
+    expect(sectionBodyText("Heading\rBody one\rBody two")).toBe("Body one\rBody two");
+    expect(sectionBodyText("Heading only")).toBe("");
+    expect(sectionBodyText(undefined)).toBe("");
+  });
+});
+
+describe("diffOutlineSnapshots", () => {
+  test("finds nothing between identical outlines", () => {
+    expect(diffOutlineSnapshots(baseline, baseline)).toEqual({
+      headings: [],
+      changedSections: [],
+      unchangedCount: baseline.sections.length,
+    });
+  });
+
+  test("lists added and removed headings in document order", () => {
+    const current = snapshot([
+      ["Introduction", 1, "Why we are doing this."],
+      ["Plan", 1, "Three phases over two years."],
+      ["Phase one", 2, "Survey the site."],
+      ["Phase two", 2, "Build the access road."],
+      ["Phase three", 2, "Open the road."],
+      ["Risks", 1, "Weather and budget."],
+    ]);
+
+    const diff = diffOutlineSnapshots(baseline, current);
+    expect(changes(diff)).toEqual([
+      [HEADING_CHANGES.removed, "Scope"],
+      [HEADING_CHANGES.added, "Phase three"],
+    ]);
+    expect(diff.headings[0]).toMatchObject({ beforeIndex: 1, afterIndex: -1 });
+    expect(diff.unchangedCount).toBe(5);
+  });
+
+  test("recognizes a renamed heading by its unchanged body", () => {
+    const current = snapshot([
+      ["Introduction", 1, "Why we are doing this."],
+      ["Scope of work", 2, "Only the north site."],
+      ["Plan", 1, "Three phases over two years."],
+      ["Phase one", 2, "Survey the site."],
+      ["Phase two", 2, "Build the access road."],
+      ["Risks", 1, "Weather and budget."],
+    ]);
+
+    const diff = diffOutlineSnapshots(baseline, current);
+    expect(changes(diff)).toEqual([[HEADING_CHANGES.renamed, "Scope of work"]]);
+    expect(diff.headings[0].before.text).toBe("Scope");
+  });
+
+  test("recognizes a renamed and edited heading by its section control id", () => {
+    const before = snapshot([
+      ["Intro", 1, "Old text.", "toc-section-1"],
+      ["Plan", 1, "Plan text.", "toc-section-2"],
+    ]);
+    const current = snapshot([
+      ["Plan", 1, "Plan text.", "toc-section-2"],
+      ["Background", 1, "New text.", "toc-section-1"],
+    ]);
+
+    const diff = diffOutlineSnapshots(before, current);
+    expect(changes(diff)).toEqual([
+      [HEADING_CHANGES.renamed, "Background"],
+      [HEADING_CHANGES.moved, "Background"],
+    ]);
+    expect(diff.changedSections.map((entry) => entry.after.text)).toEqual(["Background"]);
+  });
+
+  test("pairs a renamed and edited heading with the one in its old place", () => {
+    const current = snapshot([
+      ["Introduction", 1, "Why we are doing this."],
+      ["Boundaries", 2, "Only the south site."],
+      ["Plan", 1, "Three phases over two years."],
+      ["Phase one", 2, "Survey the site."],
+      ["Phase two", 2, "Build the access road."],
+      ["Risks", 1, "Weather and budget."],
+    ]);
+
+    const diff = diffOutlineSnapshots(baseline, current);
+    expect(changes(diff)).toEqual([[HEADING_CHANGES.renamed, "Boundaries"]]);
+    expect(diff.changedSections).toHaveLength(1);
+  });
+
+  test("reports reordered, promoted and re-parented headings as moved", () => {
+    const current = snapshot([
+      ["Introduction", 1, "Why we are doing this."],
+      ["Plan", 1, "Three phases over two years."],
+      ["Phase two", 2, "Build the access road."],
+      ["Phase one", 2, "Survey the site."],
+      ["Scope", 2, "Only the north site."],
+      ["Risks", 2, "Weather and budget."],
+    ]);
+
+    const diff = diffOutlineSnapshots(baseline, current);
+    expect(diff.headings.every((entry) => entry.change === HEADING_CHANGES.moved)).toBe(true);
+    expect(changes(diff).map(([, text]) => text)).toEqual(["Phase one", "Scope", "Risks"]);
+    expect(diff.unchangedCount).toBe(3);
+  });
+
+  test("does not move subsections whose parent was removed", () => {
+    const current = snapshot([
+      ["Introduction", 1, "Why we are doing this."],
+      ["Scope", 2, "Only the north site."],
+      ["Phase one", 2, "Survey the site."],
+      ["Phase two", 2, "Build the access road."],
+      ["Risks", 1, "Weather and budget."],
+    ]);
+
+    expect(changes(diffOutlineSnapshots(baseline, current))).toEqual([[HEADING_CHANGES.removed, "Plan"]]);
+  });
+
+  test("lists sections whose body changed with a word diff", () => {
+    const current = snapshot([
+      ["Introduction", 1, "Why we are doing this."],
+      ["Scope", 2, "Only the north site."],
+      ["Plan", 1, "Four phases over two years."],
+      ["Phase one", 2, "Survey the site."],
+      ["Phase two", 2, "Build the access road."],
+      ["Risks", 1, "Weather and budget."],
+    ]);
+
+    const diff = diffOutlineSnapshots(baseline, current);
+    expect(diff.headings).toEqual([]);
+    expect(diff.changedSections).toHaveLength(1);
+    expect(diff.changedSections[0]).toMatchObject({ beforeIndex: 2, afterIndex: 2 });
+    expect(diff.changedSections[0].words).toEqual([
+      { type: "removed", tokens: ["Three"] },
+      { type: "added", tokens: ["Four"] },
+      { type: "equal", tokens: [" ", "phases", " ", "over", " ", "two", " ", "years."] },
+    ]);
+  });
+});
+
+describe("diffWords", () => {
+  test("keeps whitespace so equal and added runs rebuild the new text", () => {
+    const after = "The quick red fox\njumps";
+    const runs = diffWords("The quick brown fox jumps", after);
+
+    expect(
+      runs
+        .filter((run) => run.type !== "removed")
+        .flatMap((run) => run.tokens)
+        .join("")
+    ).toBe(after);
+    expect(runs.filter((run) => run.type === "removed").flatMap((run) => run.tokens)).toEqual(["brown", " "]);
+  });
+
+  test("handles empty texts", () => {
+    expect(diffWords("", "")).toEqual([]);
+    expect(diffWords("", "New words")).toEqual([{ type: "added", tokens: ["New", " ", "words"] }]);
+  });
+});
@@ -0,0 +1,187 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  createOutlineCache,
+  createSettingsStore,
+  DEFAULT_PANE_SETTINGS,
+  MAX_CACHED_OUTLINE_ITEMS,
+  normalizePaneSettings,
+  OUTLINE_CACHE_KEY,
+  PANE_SETTINGS_KEY,
+  readOutlineCache,
+} from "../src/taskpane/paneSettings";
+
+// Office.context.document.settings backed by a map; saveAsync copies it to `saved` or fails when asked to
+const createDocumentSettings = (saved = {}) => {
+  const values = new Map(Object.entries(saved));
+  const settings = {
+    saved: { ...saved },
+    failSaves: false,
+    get: (name) => (values.has(name) ? values.get(name) : null),
+    set: (name, value) => values.set(name, value),
+    remove: (name) => values.delete(name),
+    saveAsync: jest.fn((callback) => {
+      if (settings.failSaves) {
+        callback({ status: "failed", error: new Error("Settings are too large") });
+      } else {
+        settings.saved = Object.fromEntries(values);
+        callback({ status: "succeeded" });
+      }
+    }),
+  };
+  return settings;
+};
+
+// window.localStorage over a plain object, optionally throwing like a full or blocked store
+const createStorage = ({ failWrites = false } = {}) => {
+  const items = {};
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      if (failWrites) {
+        throw new Error("QuotaExceededError");
+      }
+      items[key] = value;
+    },
+  };
+};
+
+const documentKey = "https://example.com/plan.docx";
+
+const items = [
+  { text: "Introduction", level: 1, style: "Heading 1", type: "heading", wordCount: 120 },
+  { text: "Scope", level: 2, style: "Heading 2", type: "heading", wordCount: 40 },
+];
+
+beforeAll(() => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe("normalizePaneSettings", () => {
+  test("uses the defaults for missing or malformed values", () => {
+    expect(normalizePaneSettings(null)).toEqual(DEFAULT_PANE_SETTINGS);
+    expect(
+      normalizePaneSettings({ sectionHeadingStyle: "Heading 7", autoTrack: "yes", draftService: { baseUrl: 42 } })
+    ).toEqual(DEFAULT_PANE_SETTINGS);
+  });
+
+  test("keeps known values", () => {
+    const settings = {
+      sectionHeadingStyle: "Heading 2",
+      autoTrack: true,
+      draftService: { baseUrl: "https://drafts.example.com", key: "k", base: "b", savePath: "/save" },
+    };
+
+    expect(normalizePaneSettings({ ...settings, extra: 1 })).toEqual(settings);
+  });
+});
+
+describe("readOutlineCache", () => {
+  test("reads the items back without positions", () => {
+    const savedAt = new Date("2024-05-01T12:00:00Z");
+    const cache = readOutlineCache(createOutlineCache(items, savedAt));
+
+    expect(cache.savedAt).toBe("2024-05-01T12:00:00.000Z");
+    expect(cache.items[1]).toEqual({ ...items[1], index: 1, start: null, end: null });
+  });
+
+  test("skips malformed items and rejects unknown versions", () => {
+    const cache = createOutlineCache(items);
+    cache.items.splice(1, 0, null, { text: "No level" });
+
+    expect(readOutlineCache(cache).items.map((item) => item.text)).toEqual(["Introduction", "Scope"]);
+    expect(readOutlineCache({ ...cache, version: 99 })).toBeNull();
+    expect(readOutlineCache({ version: cache.version })).toBeNull();
+    expect(readOutlineCache(undefined)).toBeNull();
+  });
+});
+
+describe("createSettingsStore", () => {
+  test("saves to the document settings and keeps a local copy", async () => {
+    const documentSettings = createDocumentSettings();
+    const storage = createStorage();
+    const store = createSettingsStore({ documentSettings, storage, documentKey });
+
+    await expect(store.saveSettings({ autoTrack: true })).resolves.toBe("document");
+    expect(documentSettings.saved[PANE_SETTINGS_KEY]).toMatchObject({ autoTrack: true });
+    expect(JSON.parse(storage.items[`wordAddin:${documentKey}:${PANE_SETTINGS_KEY}`])).toMatchObject({
+      autoTrack: true,
+    });
+    expect(store.loadSettings().autoTrack).toBe(true);
+  });
+
+  test("falls back to the local copy when the document has no value", async () => {
+    const storage = createStorage();
+    await createSettingsStore({ storage, documentKey }).saveSettings({ sectionHeadingStyle: "Title" });
+
+    const store = createSettingsStore({ documentSettings: createDocumentSettings(), storage, documentKey });
+    expect(store.loadSettings().sectionHeadingStyle).toBe("Title");
+    expect(createSettingsStore().loadSettings()).toEqual(DEFAULT_PANE_SETTINGS);
+  });
+
+  test("keeps no local copy for unsaved documents, so a new document does not open with another's", async () => {
+    const storage = createStorage();
+    const unsaved = createSettingsStore({ documentSettings: createDocumentSettings(), storage, documentKey: "" });
+
+    await expect(unsaved.saveOutline(items)).resolves.toBe(true);
+    await unsaved.saveSettings({ autoTrack: true });
+    expect(storage.items).toEqual({});
+
+    const next = createSettingsStore({ documentSettings: createDocumentSettings(), storage, documentKey: "" });
+    expect(next.loadOutline()).toBeNull();
+    expect(next.loadSettings()).toEqual(DEFAULT_PANE_SETTINGS);
+  });
+
+  test("rolls back the in-memory value when the document settings cannot be saved", async () => {
+    const previous = normalizePaneSettings({ sectionHeadingStyle: "Heading 2" });
+    const documentSettings = createDocumentSettings({ [PANE_SETTINGS_KEY]: previous });
+    const store = createSettingsStore({ documentSettings, storage: createStorage(), documentKey });
+
+    documentSettings.failSaves = true;
+    await expect(store.saveSettings({ sectionHeadingStyle: "Title" })).resolves.toBe("local");
+    await expect(store.saveOutline(items)).resolves.toBe(true);
+    expect(documentSettings.get(PANE_SETTINGS_KEY)).toEqual(previous);
+    expect(documentSettings.get(OUTLINE_CACHE_KEY)).toBeNull();
+
+    // A later successful save must not persist the values that failed
+    documentSettings.failSaves = false;
+    await store.saveSnapshot({ version: 1 });
+    expect(documentSettings.saved[PANE_SETTINGS_KEY]).toEqual(previous);
+    expect(documentSettings.saved).not.toHaveProperty(OUTLINE_CACHE_KEY);
+  });
+
+  test("reports when the value could not be saved anywhere", async () => {
+    const documentSettings = createDocumentSettings();
+    documentSettings.failSaves = true;
+    const store = createSettingsStore({
+      documentSettings,
+      storage: createStorage({ failWrites: true }),
+      documentKey,
+    });
+
+    await expect(store.saveSnapshot({ version: 1 })).resolves.toBe("none");
+    expect(store.loadSnapshot()).toBeNull();
+  });
+
+  test("only writes the outline cache when the outline changed and is small enough", async () => {
+    const documentSettings = createDocumentSettings();
+    const store = createSettingsStore({ documentSettings });
+
+    await expect(store.saveOutline(items)).resolves.toBe(true);
+    await expect(store.saveOutline(items.map((item) => ({ ...item })))).resolves.toBe(false);
+    await expect(store.saveOutline([{ ...items[0], wordCount: 121 }])).resolves.toBe(true);
+    expect(documentSettings.saveAsync).toHaveBeenCalledTimes(2);
+
+    const longOutline = Array.from({ length: MAX_CACHED_OUTLINE_ITEMS + 1 }, () => items[0]);
+    await expect(store.saveOutline(longOutline)).resolves.toBe(false);
+    expect(store.loadOutline().items).toHaveLength(1);
+  });
+});
@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  assignReviewItemsToSections,
+  countReviewItemsBySection,
+  filterReviewItems,
+  groupReviewItemsBySection,
+  listReviewAuthors,
+  REVIEW_KINDS,
+  trackedChangeKind,
+} from "../src/taskpane/reviewItems";
+
+const tocItems = [
+  { text: "Introduction", level: 1, start: 10 },
+  { text: "Scope", level: 2, start: 50 },
+  { text: "Plan", level: 1, start: 90 },
+];
+
+const comment = (start, author, resolved = false) => ({ kind: REVIEW_KINDS.comment, author, resolved, start });
+const change = (start, author, kind) => ({ kind, author, resolved: false, start });
+
+const items = [
+  comment(0, "Ana"),
+  comment(12, "Ben", true),
+  change(20, "Ana", REVIEW_KINDS.insertion),
+  comment(50, "Ana"),
+  change(60, "Ben", REVIEW_KINDS.deletion),
+  change(95, "Cy", REVIEW_KINDS.formatting),
+];
+
+describe("trackedChangeKind", () => {
+  test.each([
+    ["Added", REVIEW_KINDS.insertion],
+    ["Deleted", REVIEW_KINDS.deletion],
+    ["Formatted", REVIEW_KINDS.formatting],
+    ["None", null],
+  ])("%s is %s", (type, kind) => {
+    expect(trackedChangeKind(type)).toBe(kind);
+  });
+});
+
+describe("assignReviewItemsToSections", () => {
+  test("places items in the section they start in, subsections included", () => {
+    const assigned = assignReviewItemsToSections(items, tocItems);
+
+    expect(assigned.map((item) => item.position)).toEqual([-1, 0, 0, 1, 1, 2]);
+    expect(assigned.map((item) => item.itemIndex)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(assigned[3]).toMatchObject({ kind: REVIEW_KINDS.comment, author: "Ana", start: 50 });
+  });
+
+  test("places items by the current heading starts and skips headings that are gone", () => {
+    // "Scope" moved down to 70 since the scan and "Plan" was deleted
+    const current = [tocItems[0], { ...tocItems[1], start: 70 }, { ...tocItems[2], start: null }];
+
+    expect(assignReviewItemsToSections(items, current).map((item) => item.position)).toEqual([-1, 0, 0, 0, 0, 1]);
+  });
+
+  test("puts everything before the first heading without an outline", () => {
+    expect(assignReviewItemsToSections(items, []).every((item) => item.position === -1)).toBe(true);
+  });
+});
+
+describe("filterReviewItems", () => {
+  const assigned = assignReviewItemsToSections(items, tocItems);
+
+  test("keeps everything by default", () => {
+    expect(filterReviewItems(assigned)).toHaveLength(items.length);
+  });
+
+  test("drops resolved comments but keeps pending changes when showing unresolved items", () => {
+    const unresolved = filterReviewItems(assigned, { status: "unresolved", kind: "all", author: "" });
+    expect(unresolved.map((item) => item.itemIndex)).toEqual([0, 2, 3, 4, 5]);
+  });
+
+  test("filters by kind and by exact author", () => {
+    expect(filterReviewItems(assigned, { kind: REVIEW_KINDS.deletion }).map((item) => item.start)).toEqual([60]);
+    expect(filterReviewItems(assigned, { author: "Ana" }).map((item) => item.start)).toEqual([0, 20, 50]);
+  });
+});
+
+describe("listReviewAuthors", () => {
+  test("lists each author once, sorted", () => {
+    expect(listReviewAuthors([comment(1, "Cy"), ...items, comment(2, "")])).toEqual(["Ana", "Ben", "Cy"]);
+  });
+});
+
+describe("countReviewItemsBySection", () => {
+  test("counts comments, open comments and changes per section", () => {
+    const counts = countReviewItemsBySection(assignReviewItemsToSections(items, tocItems));
+
+    expect(counts.get(-1)).toEqual({ comments: 1, openComments: 1, insertions: 0, deletions: 0, formatting: 0 });
+    expect(counts.get(0)).toEqual({ comments: 1, openComments: 0, insertions: 1, deletions: 0, formatting: 0 });
+    expect(counts.get(1)).toEqual({ comments: 1, openComments: 1, insertions: 0, deletions: 1, formatting: 0 });
+    expect(counts.get(2)).toEqual({ comments: 0, openComments: 0, insertions: 0, deletions: 0, formatting: 1 });
+  });
+});
+
+describe("groupReviewItemsBySection", () => {
+  test("groups by section in document order", () => {
+    const assigned = assignReviewItemsToSections(items, tocItems);
+    const groups = groupReviewItemsBySection([assigned[5], assigned[0], assigned[3], assigned[4]]);
+
+    expect(groups.map((group) => [group.position, group.items.map((item) => item.start)])).toEqual([
+      [-1, [0]],
+      [1, [50, 60]],
+      [2, [95]],
+    ]);
+  });
+});
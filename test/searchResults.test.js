@@ -0,0 +1,99 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { createOutlineCache, readOutlineCache } from "../src/taskpane/paneSettings";
+import { buildSearchSnippet, groupHitsBySection } from "../src/taskpane/searchResults";
+
+describe("groupHitsBySection", () => {
+  const tocItems = [
+    { text: "Intro", start: 10 },
+    { text: "Scope", start: 50 },
+    { text: "Plan", start: 90 },
+  ];
+
+  test("puts each hit under the last heading at or before it, in document order", () => {
+    const hits = [{ start: 2 }, { start: 10 }, { start: 30 }, { start: 95 }, { start: 120 }];
+
+    expect(groupHitsBySection(hits, tocItems)).toEqual([
+      { position: -1, hits: [{ hitIndex: 0, start: 2 }] },
+      {
+        position: 0,
+        hits: [
+          { hitIndex: 1, start: 10 },
+          { hitIndex: 2, start: 30 },
+        ],
+      },
+      {
+        position: 2,
+        hits: [
+          { hitIndex: 3, start: 95 },
+          { hitIndex: 4, start: 120 },
+        ],
+      },
+    ]);
+  });
+
+  test("groups every hit before the first heading when there is no TOC", () => {
+    expect(groupHitsBySection([{ start: 5 }, { start: 80 }], [])).toEqual([
+      {
+        position: -1,
+        hits: [
+          { hitIndex: 0, start: 5 },
+          { hitIndex: 1, start: 80 },
+        ],
+      },
+    ]);
+    expect(groupHitsBySection([], tocItems)).toEqual([]);
+  });
+
+  test("does not put every hit in the last section of an outline restored from the cache", () => {
+    const cached = readOutlineCache(createOutlineCache(tocItems.map((item) => ({ ...item, level: 1 })))).items;
+
+    expect(groupHitsBySection([{ start: 5 }, { start: 60 }], cached)).toEqual([
+      {
+        position: -1,
+        hits: [
+          { hitIndex: 0, start: 5 },
+          { hitIndex: 1, start: 60 },
+        ],
+      },
+    ]);
+  });
+
+  test("skips headings whose position is not known yet", () => {
+    const partly = [tocItems[0], { ...tocItems[1], start: null }, tocItems[2]];
+
+    expect(groupHitsBySection([{ start: 60 }, { start: 95 }], partly).map((group) => group.position)).toEqual([0, 2]);
+  });
+});
+
+describe("buildSearchSnippet", () => {
+  const paragraph = "The budget covers the pilot. A second budget covers the rollout in all regions.";
+
+  test("shows the text around the match with ellipses where it was cut", () => {
+    expect(buildSearchSnippet(paragraph, "budget", 1, 10)).toEqual({
+      before: "… A second ",
+      match: "budget",
+      after: " covers th…",
+    });
+  });
+
+  test("keeps the paragraph's casing and collapses whitespace", () => {
+    expect(buildSearchSnippet("Intro:\tthe  Budget", "budget")).toEqual({
+      before: "Intro: the ",
+      match: "Budget",
+      after: "",
+    });
+  });
+
+  test("falls back to the paragraph start when the match is not in it", () => {
+    expect(buildSearchSnippet(paragraph, "forecast", 0, 10)).toEqual({
+      before: "",
+      match: "forecast",
+      after: "The budget covers th…",
+    });
+    expect(buildSearchSnippet(paragraph, "budget", 5).before).toBe("");
+  });
+});
@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  createSectionTag,
+  findSectionControlProblems,
+  newSectionId,
+  parseSectionTag,
+  SECTION_CONTROL_PROBLEMS,
+} from "../src/taskpane/sectionControls";
+
+const ID_ONE = "0f8b2c9e-1d2a-4b3c-8d4e-5f6a7b8c9d01";
+const ID_TWO = "0f8b2c9e-1d2a-4b3c-8d4e-5f6a7b8c9d02";
+
+const control = (controlId, tag, headingLevel, parentTag = null) => ({
+  controlId,
+  tag,
+  parentTag,
+  headingText: headingLevel === null ? "" : `Heading ${controlId}`,
+  headingLevel,
+});
+
+describe("section tags", () => {
+  test("round-trip the id and level", () => {
+    expect(parseSectionTag(createSectionTag(3, ID_ONE.toUpperCase()))).toEqual({ id: ID_ONE, level: 3 });
+  });
+
+  test.each(["", null, "draft:42", `section:${ID_ONE}`, `section:${ID_ONE}:0`, "section:not-a-uuid:1"])(
+    "%j is not a section tag",
+    (tag) => {
+      expect(parseSectionTag(tag)).toBeNull();
+    }
+  );
+
+  test("new ids are version 4 UUIDs", () => {
+    expect(newSectionId()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+});
+
+describe("findSectionControlProblems", () => {
+  test("accepts well-formed, correctly nested sections and ignores other controls", () => {
+    const controls = [
+      control(1, createSectionTag(1, ID_ONE), 1),
+      control(2, createSectionTag(2, ID_TWO), 2, createSectionTag(1, ID_ONE)),
+      control(3, "draft:42", null),
+    ];
+    expect(findSectionControlProblems(controls)).toEqual([]);
+  });
+
+  test("reports duplicated ids", () => {
+    const problems = findSectionControlProblems([
+      control(1, createSectionTag(1, ID_ONE), 1),
+      control(2, createSectionTag(1, ID_ONE), 1),
+    ]);
+    expect(problems).toMatchObject([{ controlId: 2, ...SECTION_CONTROL_PROBLEMS.duplicateId }]);
+  });
+
+  test("reports sections that lost their heading", () => {
+    const problems = findSectionControlProblems([control(1, createSectionTag(2, ID_ONE), null)]);
+    expect(problems).toMatchObject([{ controlId: 1, ...SECTION_CONTROL_PROBLEMS.orphaned }]);
+  });
+
+  test("reports sections nested inside a section at the same or a deeper level", () => {
+    const problems = findSectionControlProblems([
+      control(1, createSectionTag(2, ID_ONE), 2),
+      control(2, createSectionTag(2, ID_TWO), 2, createSectionTag(2, ID_ONE)),
+    ]);
+    expect(problems).toMatchObject([{ controlId: 2, ...SECTION_CONTROL_PROBLEMS.nestedIncorrectly }]);
+  });
+
+  test("reports tags whose level no longer matches the heading, with the heading's level", () => {
+    const problems = findSectionControlProblems([control(1, createSectionTag(1, ID_ONE), 3)]);
+    expect(problems).toMatchObject([{ controlId: 1, level: 3, ...SECTION_CONTROL_PROBLEMS.levelMismatch }]);
+  });
+});
@@ -0,0 +1,186 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  filterSectionsByMetadata,
+  isSectionOverdue,
+  listSectionOwners,
+  newSectionMetadataBookmarkName,
+  NO_STATUS,
+  normalizeSectionMetadata,
+  parseSectionMetadataXml,
+  SECTION_METADATA_BOOKMARK_PREFIX,
+  SECTION_METADATA_NAMESPACE,
+  sectionMetadataBookmark,
+  sectionMetadataKey,
+  serializeSectionMetadataXml,
+  summarizeSectionMetadata,
+} from "../src/taskpane/sectionMetadata";
+
+const today = new Date(2024, 5, 15);
+
+const items = [
+  { text: "Introduction", level: 1 },
+  { text: "Scope", level: 2 },
+  { text: "Plan", level: 1 },
+  { text: "Phase one", level: 2 },
+  { text: "Budget", level: 3 },
+  { text: "Risks", level: 1 },
+];
+
+const metadataByPosition = [
+  { status: "approved", owner: "Ana", due: "2024-06-01" },
+  null,
+  { status: "draft", owner: "Ben", due: "2024-06-10" },
+  { status: "inReview", owner: "Ana", due: "" },
+  { status: "", owner: "Ben", due: "2024-07-01" },
+  null,
+];
+const metadataAt = (position) => metadataByPosition[position];
+
+describe("sectionMetadataKey", () => {
+  test("keys section controls by their section id", () => {
+    expect(sectionMetadataKey({ text: "Plan", sectionId: "0f8fad5b-d9cb-469f-a165-70867728950e" })).toBe(
+      "section:0f8fad5b-d9cb-469f-a165-70867728950e"
+    );
+  });
+
+  test("keys other headings by their metadata bookmark", () => {
+    const bookmark = newSectionMetadataBookmarkName();
+    const key = sectionMetadataKey({ text: "Plan" }, ["Sec_3_Plan", bookmark]);
+
+    expect(bookmark).toMatch(/^_SectionMeta_[0-9a-f]{20}$/);
+    expect(bookmark.length).toBeLessThanOrEqual(40);
+    expect(key).toBe(`bookmark:${bookmark}`);
+    expect(sectionMetadataBookmark(key)).toBe(bookmark);
+  });
+
+  test("is null for a heading without a metadata bookmark", () => {
+    expect(sectionMetadataKey({ text: "Plan" }, ["Sec_3_Plan"])).toBeNull();
+    expect(sectionMetadataBookmark("section:0f8fad5b-d9cb-469f-a165-70867728950e")).toBeNull();
+  });
+});
+
+describe("normalizeSectionMetadata", () => {
+  test("keeps known statuses, trimmed owners and ISO dates", () => {
+    expect(normalizeSectionMetadata({ status: "inReview", owner: "  Ana   Lima ", due: "2024-06-30" })).toEqual({
+      status: "inReview",
+      owner: "Ana Lima",
+      due: "2024-06-30",
+    });
+    expect(normalizeSectionMetadata({ status: "done", owner: "Ana", due: "30/06/2024" })).toEqual({
+      status: "",
+      owner: "Ana",
+      due: "",
+    });
+  });
+
+  test("is null when nothing is set", () => {
+    expect(normalizeSectionMetadata({ status: "", owner: " ", due: "" })).toBeNull();
+    expect(normalizeSectionMetadata(null)).toBeNull();
+  });
+});
+
+describe("section metadata XML", () => {
+  test("round-trips through the custom XML part, escaping owners", () => {
+    const metadata = new Map([
+      ["section:0f8fad5b-d9cb-469f-a165-70867728950e", { status: "draft", owner: 'R&D "core"', due: "" }],
+      [`bookmark:${SECTION_METADATA_BOOKMARK_PREFIX}abc`, { status: "approved", owner: "", due: "2024-06-30" }],
+    ]);
+    const xml = serializeSectionMetadataXml(metadata);
+
+    expect(xml).toContain(`<sectionMetadata xmlns="${SECTION_METADATA_NAMESPACE}">`);
+    expect(xml).toContain('owner="R&amp;D &quot;core&quot;"');
+    expect(xml).not.toContain('due=""');
+    expect(parseSectionMetadataXml(xml)).toEqual(metadata);
+  });
+
+  test("writes entries in key order and leaves out empty ones", () => {
+    const xml = serializeSectionMetadataXml(
+      new Map([
+        ["section:b", { status: "draft" }],
+        ["section:a", { owner: "Ana" }],
+        ["section:c", { status: "", owner: "", due: "" }],
+      ])
+    );
+
+    expect(xml.match(/key="[^"]+"/g)).toEqual(['key="section:a"', 'key="section:b"']);
+  });
+
+  test("reads prefixed elements, single quotes and character references", () => {
+    const xml =
+      "<m:sectionMetadata xmlns:m='urn:x'><m:section owner='Jos&#233;' key='section:a' status='inReview'></m:section>" +
+      '<section key="section:b" status="unknown"/></m:sectionMetadata>';
+
+    expect(parseSectionMetadataXml(xml)).toEqual(
+      new Map([["section:a", { status: "inReview", owner: "José", due: "" }]])
+    );
+  });
+
+  test("still loads a part with an out-of-range character reference", () => {
+    const xml = '<sectionMetadata><section key="section:a" owner="Ana&#x110000;" status="draft"/></sectionMetadata>';
+
+    expect(parseSectionMetadataXml(xml).get("section:a")).toEqual({ status: "draft", owner: "Ana&#x110000;", due: "" });
+  });
+
+  test("is empty for a missing part", () => {
+    expect(parseSectionMetadataXml(null).size).toBe(0);
+  });
+});
+
+describe("isSectionOverdue", () => {
+  test("flags past due dates of sections that are not approved", () => {
+    expect(isSectionOverdue({ status: "draft", due: "2024-06-14" }, today)).toBe(true);
+    expect(isSectionOverdue({ status: "draft", due: "2024-06-15" }, today)).toBe(false);
+    expect(isSectionOverdue({ status: "approved", due: "2024-06-01" }, today)).toBe(false);
+    expect(isSectionOverdue({ status: "draft", due: "" }, today)).toBe(false);
+    expect(isSectionOverdue(null, today)).toBe(false);
+  });
+});
+
+describe("filterSectionsByMetadata", () => {
+  test("shows everything without filters", () => {
+    expect(filterSectionsByMetadata(items, metadataAt).size).toBe(items.length);
+  });
+
+  test("keeps the headings above each match", () => {
+    const visible = filterSectionsByMetadata(items, metadataAt, { status: "all", owner: "Ben" });
+    expect(Array.from(visible).sort()).toEqual([2, 3, 4]);
+  });
+
+  test("combines status and owner, with sections without a status as their own status", () => {
+    const visible = filterSectionsByMetadata(items, metadataAt, { status: "inReview", owner: "Ana" });
+    expect(Array.from(visible).sort()).toEqual([2, 3]);
+    expect(Array.from(filterSectionsByMetadata(items, metadataAt, { status: NO_STATUS, owner: "" })).sort()).toEqual([
+      0, 1, 2, 3, 4, 5,
+    ]);
+  });
+});
+
+describe("listSectionOwners", () => {
+  test("lists each owner once, sorted", () => {
+    const metadata = new Map(metadataByPosition.filter(Boolean).map((entry, index) => [`section:${index}`, entry]));
+    expect(listSectionOwners(metadata)).toEqual(["Ana", "Ben"]);
+  });
+});
+
+describe("summarizeSectionMetadata", () => {
+  test("groups sections by status in workflow order and by owner with unassigned last", () => {
+    const summary = summarizeSectionMetadata(items, metadataAt, today);
+
+    expect(summary.byStatus).toEqual([
+      { status: "draft", positions: [2] },
+      { status: "inReview", positions: [3] },
+      { status: "approved", positions: [0] },
+      { status: NO_STATUS, positions: [1, 4, 5] },
+    ]);
+    expect(summary.byOwner).toEqual([
+      { owner: "Ana", positions: [0, 3] },
+      { owner: "Ben", positions: [2, 4] },
+      { owner: "", positions: [1, 5] },
+    ]);
+    expect(summary.overdue).toEqual([2]);
+  });
+});
@@ -0,0 +1,88 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  buildSectionStats,
+  formatReadingTime,
+  READING_WORDS_PER_MINUTE,
+  sectionStatsToCsv,
+  totalSectionStats,
+} from "../src/taskpane/sectionStats";
+
+describe("buildSectionStats", () => {
+  test("counts words and characters without Word's paragraph, line-break and cell marks", () => {
+    const stats = buildSectionStats("Scope", "Scope\rOnly the\u000bdesktop\u0007\rclient.\r\n", {
+      tables: 1,
+      pictures: 0,
+    });
+
+    expect(stats).toEqual({
+      title: "Scope",
+      words: 5,
+      characters: 27,
+      readingMinutes: 5 / READING_WORDS_PER_MINUTE,
+      tables: 1,
+      pictures: 0,
+      footnotes: null,
+      comments: null,
+    });
+  });
+
+  test("handles a section without text", () => {
+    expect(buildSectionStats("Empty", "")).toMatchObject({ words: 0, characters: 0, readingMinutes: 0 });
+    expect(buildSectionStats("Empty", null).characters).toBe(0);
+  });
+});
+
+describe("totalSectionStats", () => {
+  test("adds up each column and leaves counts no section had as null", () => {
+    const rows = [
+      buildSectionStats("One", "a b c", { tables: 1, pictures: 2, comments: 1 }),
+      buildSectionStats("Two", "d e", { tables: 0, pictures: 1 }),
+    ];
+
+    expect(totalSectionStats(rows)).toMatchObject({
+      title: "Total",
+      words: 5,
+      tables: 1,
+      pictures: 3,
+      footnotes: null,
+      comments: 1,
+    });
+    expect(totalSectionStats([], "All").words).toBeNull();
+  });
+});
+
+describe("formatReadingTime", () => {
+  test.each([
+    [0.4, "< 1 min"],
+    [1.4, "1 min"],
+    [59.4, "59 min"],
+    [60, "1 h"],
+    [65, "1 h 5 min"],
+  ])("%d minutes read as %s", (minutes, label) => {
+    expect(formatReadingTime(minutes)).toBe(label);
+  });
+});
+
+describe("sectionStatsToCsv", () => {
+  test("writes a header, one row per section and the totals", () => {
+    const rows = [buildSectionStats('Intro, "draft"', "One two three", { tables: 2 })];
+    const csv = sectionStatsToCsv(rows, totalSectionStats(rows));
+
+    expect(csv.split("\r\n")).toEqual([
+      "Section,Words,Characters,Reading time (min),Tables,Inline pictures,Footnotes,Comments",
+      '"Intro, ""draft""",3,13,0.0,2,,,',
+      "Total,3,13,0.0,2,,,",
+      "",
+    ]);
+  });
+
+  test("neutralizes titles a spreadsheet would read as formulas", () => {
+    const csv = sectionStatsToCsv([buildSectionStats("=SUM(A1)", "")]);
+
+    expect(csv.split("\r\n")[1]).toBe("'=SUM(A1),0,0,0.0,,,,");
+  });
+});
@@ -0,0 +1,49 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { diffLines, diffTokens } from "../src/taskpane/textDiff";
+
+describe("diffTokens", () => {
+  test("keeps the longest common subsequence as equal runs", () => {
+    expect(diffTokens(["a", "b", "c", "d"], ["a", "c", "x", "d"])).toEqual([
+      { type: "equal", tokens: ["a"] },
+      { type: "removed", tokens: ["b"] },
+      { type: "equal", tokens: ["c"] },
+      { type: "added", tokens: ["x"] },
+      { type: "equal", tokens: ["d"] },
+    ]);
+  });
+});
+
+describe("diffLines", () => {
+  test("diffs line by line across line ending styles", () => {
+    expect(diffLines("Intro\r\nOld plan\r\nRisks", "Intro\nNew plan\nRisks\nBudget")).toEqual([
+      { type: "equal", tokens: ["Intro"] },
+      { type: "removed", tokens: ["Old plan"] },
+      { type: "added", tokens: ["New plan"] },
+      { type: "equal", tokens: ["Risks"] },
+      { type: "added", tokens: ["Budget"] },
+    ]);
+  });
+
+  test("handles empty texts", () => {
+    expect(diffLines("", "")).toEqual([]);
+    expect(diffLines("One\nTwo", "")).toEqual([{ type: "removed", tokens: ["One", "Two"] }]);
+  });
+
+  test("falls back to one removed and one added run when the differing middle is too large", () => {
+    const lines = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix} ${index}`);
+    const before = ["Title", ...lines("Server", 2500), "Closing"].join("\n");
+    const after = ["Title", ...lines("Local", 2500), "Closing"].join("\n");
+
+    const runs = diffLines(before, after);
+    expect(runs.map((run) => [run.type, run.tokens.length])).toEqual([
+      ["equal", 1],
+      ["removed", 2500],
+      ["added", 2500],
+      ["equal", 1],
+    ]);
+  });
+});
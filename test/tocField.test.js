@@ -0,0 +1,91 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import {
+  buildTocFieldSwitches,
+  generatedTocTag,
+  headingBookmarkName,
+  isTocFieldCode,
+  normalizeTocFieldOptions,
+  parseGeneratedTocTag,
+  selectTocEntries,
+} from "../src/taskpane/tocField";
+
+describe("buildTocFieldSwitches", () => {
+  test("builds the default switches", () => {
+    expect(buildTocFieldSwitches()).toBe('\\o "1-3" \\h \\z \\u');
+  });
+
+  test("leaves out hyperlinks and page numbers when they are turned off", () => {
+    expect(buildTocFieldSwitches({ minLevel: 2, maxLevel: 4, hyperlinks: false, pageNumbers: false })).toBe(
+      '\\o "2-4" \\n \\z \\u'
+    );
+  });
+});
+
+describe("isTocFieldCode", () => {
+  test.each([
+    [' TOC \\o "1-3" \\h', true],
+    ["toc", true],
+    ["TOCENTRY", false],
+    [" PAGEREF _Toc1 \\h", false],
+    [null, false],
+  ])("%s is a TOC field: %s", (code, expected) => {
+    expect(isTocFieldCode(code)).toBe(expected);
+  });
+});
+
+describe("normalizeTocFieldOptions", () => {
+  test("clamps levels and keeps the range in order", () => {
+    expect(normalizeTocFieldOptions({ minLevel: "0", maxLevel: 12, hyperlinks: 0 })).toEqual({
+      minLevel: 1,
+      maxLevel: 9,
+      hyperlinks: false,
+      pageNumbers: true,
+    });
+    expect(normalizeTocFieldOptions({ minLevel: 5, maxLevel: 2 })).toMatchObject({ minLevel: 5, maxLevel: 5 });
+    expect(normalizeTocFieldOptions({ minLevel: "x", maxLevel: "" })).toMatchObject({ minLevel: 1, maxLevel: 3 });
+  });
+});
+
+describe("selectTocEntries", () => {
+  test("keeps the items inside the level range in document order", () => {
+    const items = [
+      { text: "Spec", level: 0 },
+      { text: "Intro", level: 1 },
+      { text: "Scope", level: 2 },
+      { text: "Detail", level: 4 },
+      { text: "Plan", level: 1 },
+    ];
+
+    expect(selectTocEntries(items, { minLevel: 1, maxLevel: 2 }).map((item) => item.text)).toEqual([
+      "Intro",
+      "Scope",
+      "Plan",
+    ]);
+  });
+});
+
+describe("generated TOC tags", () => {
+  test("round-trip the level range and hyperlinks", () => {
+    const tag = generatedTocTag({ minLevel: 2, maxLevel: 4, hyperlinks: true });
+
+    expect(tag).toBe("generated-toc:2-4:links");
+    expect(parseGeneratedTocTag(tag)).toEqual({ minLevel: 2, maxLevel: 4, hyperlinks: true, pageNumbers: false });
+    expect(parseGeneratedTocTag(generatedTocTag({ hyperlinks: false }))).toMatchObject({ hyperlinks: false });
+  });
+
+  test("are null for other tags", () => {
+    expect(parseGeneratedTocTag("section:abc:1")).toBeNull();
+    expect(parseGeneratedTocTag(undefined)).toBeNull();
+  });
+});
+
+describe("headingBookmarkName", () => {
+  test("numbers bookmarks from one with the hidden prefix", () => {
+    expect(headingBookmarkName(0)).toBe("_PaneToc1");
+    expect(headingBookmarkName(41)).toBe("_PaneToc42");
+  });
+});
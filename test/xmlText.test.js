@@ -0,0 +1,31 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
+ * See LICENSE in the project root for license information.
+ */
+
+import { escapeXml, unescapeXml } from "../src/taskpane/xmlText";
+
+describe("escapeXml", () => {
+  test("escapes markup and both quote characters", () => {
+    expect(escapeXml(`R&D <"core"> 'team'`)).toBe("R&amp;D &lt;&quot;core&quot;&gt; &apos;team&apos;");
+    expect(escapeXml(42)).toBe("42");
+  });
+});
+
+describe("unescapeXml", () => {
+  test("reverses escapeXml", () => {
+    const text = `R&D <"core"> 'team' &amp; &#65;`;
+
+    expect(unescapeXml(escapeXml(text))).toBe(text);
+  });
+
+  test("resolves decimal and hexadecimal character references", () => {
+    expect(unescapeXml("Jos&#233; &#x1F600; &#X41;")).toBe("José 😀 A");
+  });
+
+  test("leaves references to code points Unicode does not have as written", () => {
+    expect(unescapeXml("a&#x110000;b&#99999999999;c&#1114111;")).toBe(
+      `a&#x110000;b&#99999999999;c${String.fromCodePoint(0x10ffff)}`
+    );
+  });
+});